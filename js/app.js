@@ -5,27 +5,109 @@
  */
 
 import Router from './router.js';
-import { HomePage, PrivacyPolicyPage, SourcesPage, AboutPage, NotFoundPage } from './pages.js';
+import {
+  HomePage,
+  PrivacyPolicyPage,
+  SourcesPage,
+  AboutPage,
+  VerifyEmailPage,
+  FormResultPage,
+  NotFoundPage,
+} from './pages.js';
+import { getSchemaForm } from './components.js';
+import { getFormSchema } from '../shared/forms.js';
+import { validateFields } from '../shared/validation.js';
+import { ERROR_CODES } from '../shared/errors.js';
+import { getAttachmentErrors, isFileField } from '../shared/attachments.js';
+import { HONEYPOT_FIELD, RENDER_TOKEN_FIELD } from '../shared/spam.js';
+import { t, getLocale, setLocale } from './i18n.js';
+import { getCaptchaToken, initCaptcha } from './captcha.js';
 
 /**
- * Extracts form data from FormData object
+ * Extracts schema fields from FormData object
  * @param {FormData} formData - FormData object
- * @returns {{name: string, email: string, subject: string, message: string}} Form data object
+ * @param {Object} schema - Form schema
+ * @returns {Object} Form data object with formId and trimmed field values
  */
-const extractFormData = (formData) => ({
-  name: formData.get('name')?.trim(),
-  email: formData.get('email')?.trim(),
-  subject: formData.get('subject')?.trim(),
-  message: formData.get('message')?.trim(),
+const extractFormData = (formData, schema) => {
+  const data = { formId: schema.id };
+  schema.fields.filter((field) => !isFileField(field)).forEach((field) => {
+    data[field.name] = formData.get(field.name)?.trim() ?? '';
+  });
+  return data;
+};
+
+/**
+ * Extracts selected files of schema file fields
+ * @param {FormData} formData - FormData object
+ * @param {Object} schema - Form schema
+ * @returns {Object<string, File[]>} Files by field name
+ */
+const extractFiles = (formData, schema) => {
+  const files = {};
+  schema.fields.filter(isFileField).forEach((field) => {
+    files[field.name] = formData.getAll(field.name).filter((file) => file instanceof File && file.name);
+  });
+  return files;
+};
+
+/**
+ * Extracts honeypot and render token (sent along, never validated on the client)
+ * @param {FormData} formData - FormData object
+ * @returns {Object} Spam trap values
+ */
+const extractSpamTraps = (formData) => ({
+  [HONEYPOT_FIELD]: formData.get(HONEYPOT_FIELD) ?? '',
+  [RENDER_TOKEN_FIELD]: formData.get(RENDER_TOKEN_FIELD) ?? '',
 });
 
 /**
- * Validates form data completeness
- * @param {Object} data - Form data object
- * @returns {boolean} True if all fields are filled
+ * Reads field values and selected files from form
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} schema - Form schema
+ * @returns {{data: Object, files: Object<string, File[]>, traps: Object}} Form data, files and spam traps
  */
-const isFormDataValid = (data) =>
-  data.name && data.email && data.subject && data.message;
+const readSubmission = (form, schema) => {
+  const formData = new FormData(form);
+  return {
+    data: extractFormData(formData, schema),
+    files: extractFiles(formData, schema),
+    traps: extractSpamTraps(formData),
+  };
+};
+
+/**
+ * Marks a single field as invalid and shows its message
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Field name
+ * @param {string} code - Error code
+ */
+const showFieldError = (form, name, code) => {
+  const input = form.elements.namedItem(name);
+  const message = document.getElementById(`${name}-error`);
+  if (input) input.setAttribute('aria-invalid', 'true');
+  if (message) message.textContent = t(`fieldErrors.${code}`, {}, code);
+};
+
+/**
+ * Shows per-field error messages
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object<string, string>} fields - Error codes by field name
+ */
+const showFieldErrors = (form, fields) => {
+  Object.entries(fields).forEach(([name, code]) => showFieldError(form, name, code));
+};
+
+/**
+ * Removes all per-field error messages
+ * @param {HTMLFormElement} form - Form element
+ */
+const clearFieldErrors = (form) => {
+  form.querySelectorAll('[aria-invalid]').forEach((input) => input.removeAttribute('aria-invalid'));
+  form.querySelectorAll('.contact-form__error').forEach((message) => {
+    message.textContent = '';
+  });
+};
 
 /**
  * Shows error message in status element
@@ -37,14 +119,25 @@ const showError = (status, message) => {
   status.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
 };
 
+/**
+ * Gets success message (double opt-in asks to check the inbox, the reference is appended)
+ * @param {{verificationRequired?: boolean, reference?: string}} result - Response body
+ * @returns {string} Message for the user
+ */
+const getSuccessMessage = ({ verificationRequired, reference }) => {
+  const message = verificationRequired ? t('status.verifyEmail') : t('status.success');
+  return reference ? `${message} ${t('status.reference', { reference })}` : message;
+};
+
 /**
  * Shows success message in status element
  * @param {HTMLElement} status - Status element
  * @param {HTMLFormElement} form - Form to reset
+ * @param {{verificationRequired?: boolean, reference?: string}} [result] - Response body
  */
-const showSuccess = (status, form) => {
+const showSuccess = (status, form, result = {}) => {
   status.className = 'form-status form-status--success';
-  status.innerHTML = '<i class="fas fa-check-circle"></i> Message sent successfully!';
+  status.innerHTML = `<i class="fas fa-check-circle"></i> ${getSuccessMessage(result)}`;
   form.reset();
 };
 
@@ -55,10 +148,10 @@ const showSuccess = (status, form) => {
  */
 const setLoadingState = (btn, loading) => {
   if (loading) {
-    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+    btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${t('form.sending')}`;
     btn.disabled = true;
   } else {
-    btn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Message';
+    btn.innerHTML = `<i class="fas fa-paper-plane"></i> ${t('form.send')}`;
     btn.disabled = false;
   }
 };
@@ -73,55 +166,101 @@ const clearStatus = (status) => {
 };
 
 /**
- * Sends form data to server
- * @param {Object} data - Form data
- * @param {string|null} token - reCAPTCHA token
+ * Builds multipart body from payload fields and files
+ * @param {Object} payload - Text fields
+ * @param {Object<string, File[]>} files - Files by field name
+ * @returns {FormData} Multipart form data
+ */
+const toMultipartBody = (payload, files) => {
+  const body = new FormData();
+  Object.entries(payload).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) body.append(name, value);
+  });
+  Object.entries(files).forEach(([name, list]) => list.forEach((file) => body.append(name, file)));
+  return body;
+};
+
+/**
+ * Sends form data with spam traps and the UI locale to server (multipart if files are attached, JSON otherwise)
+ * @param {{data: Object, files: Object<string, File[]>, traps: Object}} submission - Form data, files and spam traps
+ * @param {string|null} token - CAPTCHA token
+ * @param {string} idempotencyKey - Key of this form fill (repeats return the first result instead of sending again)
  * @returns {Promise<Response>} Fetch response
  */
-const sendFormData = async (data, token) => {
+const sendFormData = async ({ data, files, traps }, token, idempotencyKey) => {
+  const payload = { ...data, ...traps, locale: getLocale(), captchaToken: token };
+  const headers = { 'Idempotency-Key': idempotencyKey };
+  if (Object.values(files).some((list) => list.length > 0)) {
+    return await fetch('/.netlify/functions/send-email', { method: 'POST', headers, body: toMultipartBody(payload, files) });
+  }
   return await fetch('/.netlify/functions/send-email', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ ...data, recaptchaToken: token }),
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
   });
 };
 
+/**
+ * Translates error code (request ID and retry time fill the placeholders)
+ * @param {string} code - Error code from shared/errors.js
+ * @param {{requestId?: string|null, retryAfter?: number}} details - Error details
+ * @param {string} fallback - Message if the code is unknown
+ * @returns {string} Message for the user
+ */
+const translateError = (code, { requestId, retryAfter }, fallback) =>
+  t(`errors.${code}`, { requestId: requestId ?? '-', minutes: Math.ceil((retryAfter ?? 60) / 60) }, fallback);
+
+/**
+ * Maps error code of a failed response to a translated message
+ * @param {Response} response - Fetch response
+ * @param {{code?: string, error?: string, retryAfter?: number}} result - Parsed error body
+ * @returns {string} Message for the user
+ */
+const getErrorMessage = (response, { code, error, retryAfter }) => {
+  const fallback = error || t('status.serverError', { status: response.status });
+  if (!code) return fallback;
+  return translateError(code, { requestId: response.headers.get('X-Request-Id'), retryAfter }, fallback);
+};
+
 /**
  * Validates response and throws on error
  * @param {Response} response - Fetch response
  * @returns {Promise<Object>} Parsed result
- * @throws {Error} If response not ok
+ * @throws {Error} If response not ok (with per-field error codes in `fields`)
  */
 const validateResponse = async (response) => {
   const result = await response.json();
   if (!response.ok) {
-    throw new Error(result.error || `Server error (${response.status})`);
+    const error = new Error(getErrorMessage(response, result));
+    error.code = result.code;
+    error.fields = result.fields;
+    throw error;
   }
   return result;
 };
 
 /**
- * Gets reCAPTCHA site key from script tag
- * @returns {string|null} Site key or null
+ * Fetches signed render timestamp into the form (left empty if unavailable)
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Promise<void>}
  */
-const getRecaptchaSiteKey = () => {
-  const script = document.querySelector('script[src*="api.js?render="]');
-  return script?.src.match(/render=([^&]+)/)?.[1];
+const loadRenderToken = async (form) => {
+  try {
+    const response = await fetch('/.netlify/functions/form-token', { cache: 'no-store' });
+    const { token } = await response.json();
+    form.elements.namedItem(RENDER_TOKEN_FIELD).value = token ?? '';
+  } catch (error) {
+    // Server scores a missing token; the form stays usable
+  }
 };
 
 /**
- * Gets reCAPTCHA token
- * @returns {Promise<string|null>} Token or null
+ * Starts a new form fill: fresh idempotency key and render token
+ * @param {HTMLFormElement} form - Form element
  */
-const getRecaptchaToken = async () => {
-  if (typeof grecaptcha === 'undefined') return null;
-  try {
-    const siteKey = getRecaptchaSiteKey();
-    if (!siteKey || siteKey === 'DEIN_RECAPTCHA_SITE_KEY') return null;
-    return await grecaptcha.execute(siteKey, { action: 'submit' });
-  } catch (error) {
-    return null;
-  }
+const startFormFill = (form) => {
+  form.dataset.idempotencyKey = crypto.randomUUID();
+  loadRenderToken(form);
 };
 
 /**
@@ -147,16 +286,48 @@ const prepareFormSubmission = (submitBtn, status) => {
 
 /**
  * Submits form data to server
- * @param {Object} data - Form data
+ * @param {{data: Object, files: Object<string, File[]>, traps: Object}} submission - Form data, files and spam traps
  * @param {HTMLElement} status - Status element
  * @param {HTMLFormElement} form - Form element
  * @returns {Promise<void>}
  */
-const submitFormData = async (data, status, form) => {
-  const token = await getRecaptchaToken();
-  const response = await sendFormData(data, token);
-  await validateResponse(response);
-  showSuccess(status, form);
+const submitFormData = async (submission, status, form) => {
+  const token = await getCaptchaToken();
+  const response = await sendFormData(submission, token, form.dataset.idempotencyKey);
+  const result = await validateResponse(response);
+  showSuccess(status, form, result);
+  startFormFill(form);
+};
+
+/**
+ * Validates form data and files against schema and marks invalid fields
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} schema - Form schema
+ * @param {{data: Object, files: Object<string, File[]>}} submission - Form data and files
+ * @param {HTMLElement} status - Status element
+ * @returns {boolean} True if valid
+ */
+const validateAndMarkFields = (form, schema, { data, files }, status) => {
+  clearFieldErrors(form);
+  const errors = { ...validateFields(schema, data).errors, ...getAttachmentErrors(schema, files) };
+  if (Object.keys(errors).length === 0) return true;
+  showFieldErrors(form, errors);
+  showError(status, t('status.checkFields'));
+  return false;
+};
+
+/**
+ * Shows server error, mapping field errors onto inputs
+ * @param {HTMLFormElement} form - Form element
+ * @param {HTMLElement} status - Status element
+ * @param {Error} error - Submission error
+ */
+const handleSubmitError = (form, status, error) => {
+  if (error.fields) {
+    showFieldErrors(form, error.fields);
+    return showError(status, t('status.checkFields'));
+  }
+  showError(status, t('status.error', { message: error.message }));
 };
 
 /**
@@ -167,13 +338,14 @@ const submitFormData = async (data, status, form) => {
 const handleFormSubmit = async (e) => {
   e.preventDefault();
   const { form, status, submitBtn } = getFormElements(e.target);
-  const data = extractFormData(new FormData(form));
-  if (!isFormDataValid(data)) return showError(status, 'Please fill in all fields.');
+  const schema = getFormSchema(form.dataset.formId);
+  const submission = readSubmission(form, schema);
+  if (!validateAndMarkFields(form, schema, submission, status)) return;
   prepareFormSubmission(submitBtn, status);
   try {
-    await submitFormData(data, status, form);
+    await submitFormData(submission, status, form);
   } catch (error) {
-    showError(status, `Error: ${error.message}`);
+    handleSubmitError(form, status, error);
   } finally {
     setLoadingState(submitBtn, false);
   }
@@ -187,6 +359,56 @@ const initContactForm = () => {
   const form = document.getElementById('contactForm');
   if (!form) return;
   form.addEventListener('submit', handleFormSubmit);
+  startFormFill(form);
+};
+
+/**
+ * Marks the active form switcher button
+ * @param {string} formId - Active form id
+ */
+const setActiveSwitch = (formId) => {
+  document.querySelectorAll('[data-form-switch]').forEach((button) => {
+    const active = button.dataset.formSwitch === formId;
+    button.classList.toggle('form-switcher__button--active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+};
+
+/**
+ * Replaces the rendered form with another schema form
+ * @param {string} formId - Form id to show
+ */
+const switchForm = (formId) => {
+  const container = document.getElementById('formContainer');
+  const schema = getFormSchema(formId);
+  if (!container || !schema) return;
+  container.innerHTML = getSchemaForm(schema);
+  clearStatus(document.getElementById('formStatus'));
+  setActiveSwitch(formId);
+  initContactForm();
+};
+
+/**
+ * Initializes form switcher buttons if present
+ * @returns {void}
+ */
+const initFormSwitcher = () => {
+  document.querySelectorAll('[data-form-switch]').forEach((button) => {
+    button.addEventListener('click', () => switchForm(button.dataset.formSwitch));
+  });
+};
+
+/**
+ * Initializes language switcher buttons (re-renders current route on change)
+ * @returns {void}
+ */
+const initLanguageSwitcher = () => {
+  document.querySelectorAll('[data-locale]').forEach((button) => {
+    button.addEventListener('click', () => {
+      setLocale(button.dataset.locale);
+      router.loadRoute(window.location.pathname);
+    });
+  });
 };
 
 /**
@@ -201,7 +423,87 @@ const renderPage = (pageComponent) => {
     window.reinitThemeToggle();
   }
 
+  initFormSwitcher();
   initContactForm();
+  initLanguageSwitcher();
+};
+
+/**
+ * Maps verification response to a page state
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} verified | expired | invalid | error
+ */
+const getVerificationState = async (response) => {
+  if (response.ok) return 'verified';
+  const { code } = await response.json();
+  if (code === ERROR_CODES.VERIFICATION_EXPIRED) return 'expired';
+  return code === ERROR_CODES.VERIFICATION_INVALID ? 'invalid' : 'error';
+};
+
+/**
+ * Redeems verification token (repeating it is harmless)
+ * @param {string} token - Token from the email link
+ * @returns {Promise<string>} Verification page state
+ */
+const verifyEmail = async (token) => {
+  try {
+    const response = await fetch('/.netlify/functions/verify-email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+    });
+    return await getVerificationState(response);
+  } catch (error) {
+    return 'error';
+  }
+};
+
+/**
+ * Renders verification page, then the result for the ?token= of the link
+ * @returns {Promise<void>}
+ */
+const showVerification = async () => {
+  renderPage(() => VerifyEmailPage('checking'));
+  const token = new URLSearchParams(window.location.search).get('token');
+  const state = token ? await verifyEmail(token) : 'invalid';
+  if (window.location.pathname === '/verify-email') renderPage(() => VerifyEmailPage(state));
+};
+
+/**
+ * Reads a query parameter of the result page (only IDs and codes, never markup)
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Value, undefined if missing or malformed
+ */
+const getResultParam = (params, name) => {
+  const value = params.get(name);
+  return /^[\w.-]{1,128}$/.test(value ?? '') ? value : undefined;
+};
+
+/**
+ * Builds message of a form result page from the redirect query (?reference= or ?code=)
+ * @param {string} outcome - success | held | error
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Message HTML
+ */
+const getFormResultMessage = (outcome, params) => {
+  if (outcome === 'held') return t('formResult.held');
+  if (outcome === 'success') {
+    return getSuccessMessage({ verificationRequired: params.has('verify'), reference: getResultParam(params, 'reference') });
+  }
+  return translateError(getResultParam(params, 'code'), {
+    requestId: getResultParam(params, 'requestId'),
+    retryAfter: Number(getResultParam(params, 'retryAfter')) || undefined,
+  }, t('formResult.error'));
+};
+
+/**
+ * Renders result page of a plain form post (send-email redirects here)
+ * @param {string} outcome - success | held | error
+ */
+const showFormResult = (outcome) => {
+  const message = getFormResultMessage(outcome, new URLSearchParams(window.location.search));
+  renderPage(() => FormResultPage({ outcome, message }));
 };
 
 const router = new Router();
@@ -210,8 +512,15 @@ router.addRoute('/', () => renderPage(HomePage));
 router.addRoute('/privacy-policy', () => renderPage(PrivacyPolicyPage));
 router.addRoute('/sources', () => renderPage(SourcesPage));
 router.addRoute('/about', () => renderPage(AboutPage));
+router.addRoute('/verify-email', showVerification);
+router.addRoute('/form/success', () => showFormResult('success'));
+router.addRoute('/form/held', () => showFormResult('held'));
+router.addRoute('/form/error', () => showFormResult('error'));
 router.addRoute('/404', () => renderPage(NotFoundPage));
 
+document.documentElement.lang = getLocale();
+initCaptcha();
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => router.init());
 } else {
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview CAPTCHA providers for the SPA
+ * @description Loads the provider configured in index.html and acquires tokens for form submissions
+ * @module captcha
+ */
+
+const PLACEHOLDER_SITE_KEYS = ['', 'YOUR_SITE_KEY', 'DEIN_RECAPTCHA_SITE_KEY'];
+
+/**
+ * Reads content of a meta tag
+ * @param {string} name - Meta name
+ * @returns {string} Content ('' if missing)
+ */
+const getMeta = (name) => document.querySelector(`meta[name="${name}"]`)?.content.trim() ?? '';
+
+/**
+ * Returns CAPTCHA config from `<meta name="captcha-provider">` and `<meta name="captcha-site-key">`
+ * @returns {{provider: string, siteKey: string}} CAPTCHA config
+ */
+export const getCaptchaConfig = () => ({
+  provider: getMeta('captcha-provider') || 'recaptcha',
+  siteKey: getMeta('captcha-site-key'),
+});
+
+/**
+ * Returns (and creates once) the container for widget-based providers
+ * @returns {HTMLElement} Widget container
+ */
+const getWidgetContainer = () => {
+  let container = document.getElementById('captchaWidget');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'captchaWidget';
+    container.className = 'captcha-widget';
+    document.body.appendChild(container);
+  }
+  return container;
+};
+
+/**
+ * Runs reCAPTCHA v3 (invisible, score-based)
+ * @param {string} siteKey - Site key
+ * @returns {Promise<string>} Token
+ */
+const executeRecaptcha = (siteKey) =>
+  new Promise((resolve, reject) => {
+    grecaptcha.ready(() => grecaptcha.execute(siteKey, { action: 'submit' }).then(resolve, reject));
+  });
+
+/**
+ * Runs invisible hCaptcha (may show a challenge)
+ * @param {string} siteKey - Site key
+ * @returns {Promise<string>} Token
+ */
+const executeHcaptcha = async (siteKey) => {
+  const container = getWidgetContainer();
+  container.dataset.widgetId ??= hcaptcha.render(container, { sitekey: siteKey, size: 'invisible' });
+  hcaptcha.reset(container.dataset.widgetId);
+  const { response } = await hcaptcha.execute(container.dataset.widgetId, { async: true });
+  return response;
+};
+
+/**
+ * Runs Cloudflare Turnstile (only visible if interaction is required)
+ * @param {string} siteKey - Site key
+ * @returns {Promise<string>} Token
+ */
+const executeTurnstile = (siteKey) =>
+  new Promise((resolve, reject) => {
+    const container = getWidgetContainer();
+    if (container.dataset.widgetId) turnstile.remove(container.dataset.widgetId);
+    container.dataset.widgetId = turnstile.render(container, {
+      sitekey: siteKey,
+      appearance: 'interaction-only',
+      callback: resolve,
+      'error-callback': () => reject(new Error('Turnstile failed')),
+    });
+  });
+
+/**
+ * Solves Friendly Captcha proof-of-work puzzle
+ * @param {string} siteKey - Site key
+ * @returns {Promise<string>} Solution
+ */
+const executeFriendlyCaptcha = (siteKey) =>
+  new Promise((resolve, reject) => {
+    const container = getWidgetContainer();
+    container.replaceChildren();
+    const widget = new friendlyChallenge.WidgetInstance(container, {
+      sitekey: siteKey,
+      startMode: 'none',
+      doneCallback: resolve,
+      errorCallback: () => reject(new Error('Friendly Captcha failed')),
+    });
+    widget.start();
+  });
+
+/**
+ * Client providers: script URL and token acquisition.
+ * The fake provider needs no script and returns the site key meta value (e.g. "fake-pass") as token.
+ * @type {Object<string, {script: Function|null, execute: Function}>}
+ */
+const PROVIDERS = {
+  recaptcha: { script: (siteKey) => `https://www.google.com/recaptcha/api.js?render=${siteKey}`, execute: executeRecaptcha },
+  hcaptcha: { script: () => 'https://js.hcaptcha.com/1/api.js?render=explicit', execute: executeHcaptcha },
+  turnstile: { script: () => 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit', execute: executeTurnstile },
+  'friendly-captcha': { script: () => 'https://cdn.jsdelivr.net/npm/friendly-challenge@0.9.18/widget.min.js', execute: executeFriendlyCaptcha },
+  fake: { script: null, execute: async (siteKey) => siteKey || 'fake-pass' },
+};
+
+let scriptLoading = null;
+
+/**
+ * Injects provider script once
+ * @param {string} src - Script URL
+ * @returns {Promise<void>} Resolves when the script has loaded
+ */
+const loadScript = (src) => {
+  scriptLoading ??= new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+  return scriptLoading;
+};
+
+/**
+ * Returns active provider, or null if none is configured (placeholder or missing site key)
+ * @returns {{name: string, siteKey: string, script: Function|null, execute: Function}|null} Provider
+ */
+const getActiveProvider = () => {
+  const { provider, siteKey } = getCaptchaConfig();
+  if (!PROVIDERS[provider]) return null;
+  if (provider !== 'fake' && PLACEHOLDER_SITE_KEYS.includes(siteKey)) return null;
+  return { name: provider, siteKey, ...PROVIDERS[provider] };
+};
+
+/**
+ * Loads provider script early (reCAPTCHA scores improve with time on page)
+ * @returns {Promise<void>}
+ */
+export const initCaptcha = async () => {
+  const provider = getActiveProvider();
+  if (!provider?.script) return;
+  await loadScript(provider.script(provider.siteKey)).catch(() => {});
+};
+
+/**
+ * Gets token from configured provider
+ * @returns {Promise<string|null>} Token or null if unavailable (the server decides)
+ */
+export const getCaptchaToken = async () => {
+  const provider = getActiveProvider();
+  if (!provider) return null;
+  try {
+    if (provider.script) await loadScript(provider.script(provider.siteKey));
+    return await provider.execute(provider.siteKey);
+  } catch (error) {
+    return null;
+  }
+};
@@ -1,8 +1,14 @@
 /**
  * @fileoverview Shared components for SPA
- * @description Reusable header and footer templates
+ * @description Reusable header, footer and schema-driven form templates
  */
 
+import { t, getLocale } from './i18n.js';
+import { SUPPORTED_LOCALES, translate } from '../shared/i18n.js';
+import { ATTACHMENT_LIMITS, ATTACHMENT_TYPES, getAcceptAttribute, isFileField } from '../shared/attachments.js';
+import { HONEYPOT_FIELD, RENDER_TOKEN_FIELD } from '../shared/spam.js';
+import { getCaptchaConfig } from './captcha.js';
+
 /**
  * Get the theme toggle button
  * @returns {string} Theme toggle HTML
@@ -10,7 +16,7 @@
 export const getThemeToggle = () => {
   return `
     <!-- Theme Toggle Button -->
-    <button class="theme-toggle" id="themeToggle" aria-label="Toggle theme">
+    <button class="theme-toggle" id="themeToggle" aria-label="${t('theme.toggle')}">
       <img
         src="assets/scheme/scheme-device.svg"
         alt="Auto theme"
@@ -34,18 +40,40 @@ export const getHero = () => {
       <div class="hero__container">
         <h1 class="hero__title">
           <img src="assets/icons/mail.svg" alt="" class="hero__icon" />
-          Serverless Contact Form
+          ${t('hero.title')}
         </h1>
         <p class="hero__subtitle">
-          Modern contact form with Netlify Functions, reCAPTCHA v3, and
-          intelligent spam protection
+          ${t('hero.subtitle')}
         </p>
-        <a href="#demo" class="hero__cta"> Try Live Demo </a>
+        <a href="#demo" class="hero__cta"> ${t('hero.cta')} </a>
       </div>
     </section>
   `;
 };
 
+/**
+ * Get language switcher buttons
+ * @returns {string} Language switcher HTML
+ */
+const getLanguageSwitcher = () => {
+  const active = getLocale();
+  const buttons = SUPPORTED_LOCALES.map((locale) => `
+    <button type="button" class="footer__language${locale === active ? ' footer__language--active' : ''}" data-locale="${locale}" lang="${locale}">
+      ${translate(locale, 'language')}
+    </button>
+  `).join('');
+  return `<div class="footer__languages" role="group" aria-label="${t('footer.language')}">${buttons}</div>`;
+};
+
+/**
+ * Get reCAPTCHA terms notice (only shown when reCAPTCHA is the configured provider)
+ * @returns {string} Notice HTML
+ */
+const getRecaptchaNotice = () => {
+  if (getCaptchaConfig().provider !== 'recaptcha') return '';
+  return `<p class="footer__recaptcha">${t('footer.recaptcha')}</p>`;
+};
+
 /**
  * Get the footer component HTML
  * @returns {string} Footer HTML
@@ -55,7 +83,7 @@ export const getFooter = () => {
     <!-- Footer -->
     <footer class="footer">
       <div class="footer__container">
-        <p class="footer__text">Built with ❤️ using Netlify Functions</p>
+        <p class="footer__text">${t('footer.builtWith')}</p>
         <div class="footer__links">
           <a
             href="https://github.com/4devs2k/FormHandling-Netlify"
@@ -63,7 +91,7 @@ export const getFooter = () => {
             class="footer__link"
           >
             <img src="assets/icons/github.svg" alt="" class="footer__icon" />
-            View on GitHub
+            ${t('footer.github')}
           </a>
           <a
             href="https://github.com/4devs2k/FormHandling-Netlify/blob/master/CODE_STRUCTURE.md"
@@ -75,24 +103,171 @@ export const getFooter = () => {
               alt=""
               class="footer__icon"
             />
-            Documentation
+            ${t('footer.documentation')}
           </a>
         </div>
-        <nav class="footer__nav" aria-label="Footer navigation">
-          <a href="/privacy-policy" data-link class="footer__nav-link">Privacy Policy</a>
+        <nav class="footer__nav" aria-label="${t('footer.navigation')}">
+          <a href="/privacy-policy" data-link class="footer__nav-link">${t('footer.privacy')}</a>
           <span class="footer__separator">•</span>
-          <a href="/sources" data-link class="footer__nav-link">Sources</a>
+          <a href="/sources" data-link class="footer__nav-link">${t('footer.sources')}</a>
           <span class="footer__separator">•</span>
-          <a href="/about" data-link class="footer__nav-link">About</a>
+          <a href="/about" data-link class="footer__nav-link">${t('footer.about')}</a>
           <span class="footer__separator">•</span>
-          <a href="/" data-link class="footer__nav-link">Home</a>
+          <a href="/" data-link class="footer__nav-link">${t('footer.home')}</a>
         </nav>
-        <p class="footer__recaptcha">
-          This site is protected by reCAPTCHA and the Google
-          <a href="https://policies.google.com/privacy" target="_blank" rel="noopener">Privacy Policy</a> and
-          <a href="https://policies.google.com/terms" target="_blank" rel="noopener">Terms of Service</a> apply.
-        </p>
+        ${getLanguageSwitcher()}
+        ${getRecaptchaNotice()}
       </div>
     </footer>
   `;
 };
+
+/**
+ * Get translated field text, falling back to the schema value
+ * @param {string} formId - Form schema id
+ * @param {Object} field - Field definition from form schema
+ * @param {string} prop - Field property (label or placeholder)
+ * @returns {string} Translated text
+ */
+const getFieldText = (formId, field, prop) =>
+  t(`forms.${formId}.fields.${field.name}.${prop}`, {}, field[prop] || '');
+
+/**
+ * Get shared HTML attributes for a form field
+ * @param {Object} field - Field definition from form schema
+ * @param {string} formId - Form schema id
+ * @returns {string} Attribute string
+ */
+const getFieldAttributes = (field, formId) => [
+  `id="${field.name}"`,
+  `name="${field.name}"`,
+  `aria-describedby="${field.name}-error"`,
+  field.placeholder ? `placeholder="${getFieldText(formId, field, 'placeholder')}"` : '',
+  field.required ? 'required' : '',
+  field.minLength ? `minlength="${field.minLength}"` : '',
+  field.maxLength ? `maxlength="${field.maxLength}"` : '',
+].filter(Boolean).join(' ');
+
+/**
+ * Get select options HTML (values stay untranslated, labels are localized)
+ * @param {Object} field - Select field definition
+ * @param {string} formId - Form schema id
+ * @returns {string} Options HTML
+ */
+const getSelectOptions = (field, formId) => [
+  `<option value="">${field.placeholder ? getFieldText(formId, field, 'placeholder') : t('form.choose')}</option>`,
+  ...field.options.map((option) => `<option value="${option}">${t(`form.options.${option}`, {}, option)}</option>`),
+].join('');
+
+/**
+ * Get hint with allowed file types and limits
+ * @param {Object} field - File field definition
+ * @returns {string} Translated hint
+ */
+const getAttachmentsHint = (field) => t('form.attachmentsHint', {
+  types: Object.keys(ATTACHMENT_TYPES).map((extension) => extension.toUpperCase()).join(', '),
+  maxFiles: field.multiple ? ATTACHMENT_LIMITS.maxFiles : 1,
+  maxSize: ATTACHMENT_LIMITS.maxFileBytes / (1024 * 1024),
+});
+
+/**
+ * Get file input HTML with limits hint
+ * @param {Object} field - File field definition
+ * @param {string} attributes - Shared field attributes
+ * @returns {string} File input HTML
+ */
+const getFileInput = (field, attributes) => `
+  <input type="file" ${attributes} accept="${getAcceptAttribute()}"${field.multiple ? ' multiple' : ''} class="contact-form__file" />
+  <small class="contact-form__hint">${getAttachmentsHint(field)}</small>
+`;
+
+/**
+ * Get input element HTML for a form field
+ * @param {Object} field - Field definition from form schema
+ * @param {string} formId - Form schema id
+ * @returns {string} Input, textarea or select HTML
+ */
+const getFieldInput = (field, formId) => {
+  const attributes = getFieldAttributes(field, formId);
+  if (field.type === 'textarea') {
+    return `<textarea ${attributes} rows="${field.rows || 5}" class="contact-form__textarea"></textarea>`;
+  }
+  if (field.type === 'file') return getFileInput(field, attributes);
+  if (field.type === 'select') {
+    return `<select ${attributes} class="contact-form__select">${getSelectOptions(field, formId)}</select>`;
+  }
+  return `<input type="${field.type}" ${attributes} class="contact-form__input" />`;
+};
+
+/**
+ * Get form group HTML for a field
+ * @param {Object} field - Field definition from form schema
+ * @param {string} formId - Form schema id
+ * @returns {string} Form group HTML
+ */
+const getFormField = (field, formId) => `
+  <div class="contact-form__group">
+    <label for="${field.name}" class="contact-form__label">${getFieldText(formId, field, 'label')}</label>
+    ${getFieldInput(field, formId)}
+    <small id="${field.name}-error" class="contact-form__error" aria-live="polite"></small>
+  </div>
+`;
+
+/**
+ * Get spam trap fields: an off-screen honeypot input and the render token filled in by app.js
+ * @returns {string} Hidden fields HTML
+ */
+const getSpamTrapFields = () => `
+  <div class="contact-form__trap" aria-hidden="true">
+    <label for="${HONEYPOT_FIELD}">${t('form.honeypot')}</label>
+    <input type="text" id="${HONEYPOT_FIELD}" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off" />
+  </div>
+  <input type="hidden" name="${RENDER_TOKEN_FIELD}" />
+`;
+
+/**
+ * Get form attributes for a plain post if app.js never takes over (the function redirects to a result page)
+ * @param {Object} schema - Form schema
+ * @returns {string} Action, method and encoding attributes
+ */
+const getFormPostAttributes = (schema) => {
+  const enctype = schema.fields.some(isFileField) ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+  return `action="/.netlify/functions/send-email" method="POST" enctype="${enctype}"`;
+};
+
+/**
+ * Get form HTML rendered from a form schema
+ * @param {Object} schema - Form schema
+ * @returns {string} Form HTML
+ */
+export const getSchemaForm = (schema) => {
+  return `
+    <form id="contactForm" class="contact-form" data-form-id="${schema.id}" ${getFormPostAttributes(schema)}>
+      ${schema.fields.map((field) => getFormField(field, schema.id)).join('')}
+      ${getSpamTrapFields()}
+      <input type="hidden" name="formId" value="${schema.id}" />
+      <input type="hidden" name="locale" value="${getLocale()}" />
+
+      <button type="submit" class="contact-form__button">
+        <i class="fas fa-paper-plane"></i> ${t('form.send')}
+      </button>
+    </form>
+  `;
+};
+
+/**
+ * Get form switcher buttons (hidden if only one form exists)
+ * @param {Object<string, Object>} schemas - Form schemas by id
+ * @param {string} activeId - Currently shown form id
+ * @returns {string} Form switcher HTML
+ */
+export const getFormSwitcher = (schemas, activeId) => {
+  const list = Object.values(schemas);
+  if (list.length < 2) return '';
+  const buttons = list.map((schema) => `
+    <button type="button" class="form-switcher__button${schema.id === activeId ? ' form-switcher__button--active' : ''}" data-form-switch="${schema.id}">
+      ${t(`forms.${schema.id}.title`, {}, schema.title)}
+    </button>
+  `).join('');
+  return `<div class="form-switcher" role="group" aria-label="${t('form.switcherLabel')}">${buttons}</div>`;
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Client-side locale selection
+ * @description Picks the UI locale from the switcher or browser and translates keys
+ * @module i18n
+ */
+
+import { resolveLocale, translate } from '../shared/i18n.js';
+
+/**
+ * localStorage key of the chosen locale
+ * @type {string}
+ */
+const STORAGE_KEY = 'locale';
+
+/**
+ * Get current locale (saved choice, otherwise browser languages)
+ * @returns {string} Supported locale code
+ */
+export const getLocale = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved) return resolveLocale(saved);
+  return resolveLocale([...(navigator.languages || []), navigator.language]);
+};
+
+/**
+ * Save locale choice and update document language
+ * @param {string} locale - Locale code
+ */
+export const setLocale = (locale) => {
+  const resolved = resolveLocale(locale);
+  localStorage.setItem(STORAGE_KEY, resolved);
+  document.documentElement.lang = resolved;
+};
+
+/**
+ * Translate key for the current locale
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [fallback] - Text if key is missing
+ * @returns {string} Translated string
+ */
+export const t = (key, params, fallback) => translate(getLocale(), key, params, fallback);
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Cloudflare Workers adapter
+ * @description Runs a Web Request/Response pipeline as module Worker (needs the nodejs_compat flag for node:crypto and Buffer)
+ * @module adapters/cloudflare
+ */
+
+/**
+ * Copies string bindings (vars and secrets) to process.env, where the pipeline reads its configuration.
+ * @param {Object} [env] - Worker bindings
+ */
+const applyBindings = (env = {}) => {
+  Object.entries(env)
+    .filter(([, value]) => typeof value === "string")
+    .forEach(([name, value]) => {
+      process.env[name] = value;
+    });
+};
+
+/**
+ * Wraps pipeline as module Worker, e.g. `export default toCloudflareWorker(handleSendEmail)`.
+ * The client address is cf-connecting-ip, which Cloudflare's edge sets on every request.
+ * @param {Function} pipeline - (Request, {clientIp}) => Promise<Response>
+ * @returns {{fetch: Function}} Worker module
+ */
+export const toCloudflareWorker = (pipeline) => ({
+  fetch: async (request, env) => {
+    applyBindings(env);
+    return await pipeline(request, { clientIp: request.headers.get("cf-connecting-ip") });
+  },
+});
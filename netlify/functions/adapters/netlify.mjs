@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Netlify Functions adapters
+ * @description Runs a Web Request/Response pipeline as a Lambda-compatible (v1) handler or a v2 function; the client
+ * address comes from Netlify's edge (x-nf-client-connection-ip, context.ip), which overwrites any client-sent value
+ * @module adapters/netlify
+ */
+
+import { connectStores } from "../stores/registry.mjs";
+
+/**
+ * Builds request URL of a v1 event (rawUrl, else host and path).
+ * @param {Object} event - Netlify event object
+ * @returns {string} Absolute URL
+ */
+const getEventUrl = (event) => event.rawUrl || `https://${event.headers?.host || "localhost"}${event.path || "/"}`;
+
+/**
+ * Converts v1 event into a Web Request (Netlify delivers binary bodies base64-encoded).
+ * @param {Object} event - Netlify event object
+ * @returns {Request} Web Request
+ */
+export const toWebRequest = (event) => {
+  const method = (event.httpMethod || "GET").toUpperCase();
+  const hasBody = !["GET", "HEAD"].includes(method) && Boolean(event.body);
+  return new Request(getEventUrl(event), {
+    method,
+    headers: event.headers || {},
+    body: hasBody ? Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf8") : null,
+  });
+};
+
+/**
+ * Converts Web Response into a v1 result.
+ * @param {Response} response - Web Response
+ * @returns {Promise<{statusCode: number, headers: Object<string, string>, body: string}>} Netlify response object
+ */
+const toLambdaResult = async (response) => ({
+  statusCode: response.status,
+  headers: Object.fromEntries(response.headers),
+  body: await response.text(),
+});
+
+/**
+ * Wraps pipeline as v1 handler, e.g. `export const handler = toNetlifyV1Handler(handleSendEmail)`.
+ * @param {Function} pipeline - (Request, {clientIp}) => Promise<Response>
+ * @returns {Function} Netlify v1 handler
+ */
+export const toNetlifyV1Handler = (pipeline) => async (event) => {
+  connectStores(event);
+  const clientIp = event.headers?.["x-nf-client-connection-ip"];
+  return await toLambdaResult(await pipeline(toWebRequest(event), { clientIp }));
+};
+
+/**
+ * Wraps pipeline as v2 function, e.g. `export default toNetlifyV2Handler(handleSendEmail)` (the runtime configures Blobs).
+ * @param {Function} pipeline - (Request, {clientIp}) => Promise<Response>
+ * @returns {Function} Netlify v2 function
+ */
+export const toNetlifyV2Handler = (pipeline) => (request, context) => {
+  connectStores();
+  return pipeline(request, { clientIp: context?.ip });
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Node http and Express adapter
+ * @description Runs a Web Request/Response pipeline as `(req, res)` listener for node:http servers and Express routes
+ * @module adapters/node
+ */
+
+/**
+ * Reads request body stream.
+ * @param {import("node:http").IncomingMessage} req - Node request
+ * @returns {Promise<Buffer>} Raw body
+ */
+const readStream = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Checks whether middleware already read the body stream (body-parser marks parsed requests with `_body`).
+ * @param {import("node:http").IncomingMessage} req - Node request
+ * @returns {boolean} True if the stream can no longer be read
+ */
+const isBodyConsumed = (req) => Boolean(req.readableEnded || req._body);
+
+/**
+ * Recovers raw body from middleware output: raw/text bodies as is, parsed JSON bodies re-serialized.
+ * @param {import("node:http").IncomingMessage} req - Node request with consumed stream
+ * @returns {Buffer} Raw body
+ * @throws {Error} If middleware parsed a non-JSON body (express.urlencoded, multer), which loses the original bytes
+ */
+const readParsedBody = (req) => {
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") return Buffer.from(req.body);
+  const isJson = /^application\/(.+\+)?json/i.test(req.headers["content-type"] || "");
+  if (isJson && req.body && typeof req.body === "object") return Buffer.from(JSON.stringify(req.body));
+  throw new Error("Request body was consumed by middleware; mount the route before express.urlencoded()/multer");
+};
+
+/**
+ * Reads raw body from the stream; only if middleware already consumed it, the parsed body is used.
+ * Express 4 sets `req.body = {}` without reading the stream when express.json() skips a content type.
+ * @param {import("node:http").IncomingMessage} req - Node request
+ * @returns {Promise<Buffer|null>} Raw body, null for GET and HEAD
+ * @throws {Error} If middleware consumed a body that cannot be recovered
+ */
+const readBody = async (req) => {
+  if (["GET", "HEAD"].includes(req.method)) return null;
+  return isBodyConsumed(req) ? readParsedBody(req) : await readStream(req);
+};
+
+/**
+ * Builds request URL (protocol from the TLS socket or X-Forwarded-Proto).
+ * @param {import("node:http").IncomingMessage} req - Node request
+ * @returns {string} Absolute URL
+ */
+const getRequestUrl = (req) => {
+  const forwarded = String(req.headers["x-forwarded-proto"] || "http").split(",")[0].trim();
+  const protocol = req.socket?.encrypted ? "https" : forwarded;
+  return `${protocol}://${req.headers.host || "localhost"}${req.originalUrl || req.url}`;
+};
+
+/**
+ * Converts Node request into a Web Request.
+ * @param {import("node:http").IncomingMessage} req - Node request
+ * @returns {Promise<Request>} Web Request
+ */
+export const toWebRequest = async (req) =>
+  new Request(getRequestUrl(req), { method: req.method, headers: req.headers, body: await readBody(req) });
+
+/**
+ * Writes Web Response to the Node response.
+ * @param {import("node:http").ServerResponse} res - Node response
+ * @param {Response} response - Web Response
+ * @returns {Promise<void>}
+ */
+const writeResponse = async (res, response) => {
+  res.statusCode = response.status;
+  response.headers.forEach((value, name) => res.setHeader(name, value));
+  res.end(Buffer.from(await response.arrayBuffer()));
+};
+
+/**
+ * Wraps pipeline as request listener, e.g. `app.all("/api/send-email", toNodeHandler(handleSendEmail))`.
+ * The client address is the socket peer; proxies in front need TRUSTED_PROXIES. Errors go to Express' next(),
+ * plain node:http servers answer 500.
+ * @param {Function} pipeline - (Request, {clientIp}) => Promise<Response>
+ * @returns {Function} (req, res, next) listener
+ */
+export const toNodeHandler = (pipeline) => async (req, res, next) => {
+  try {
+    await writeResponse(res, await pipeline(await toWebRequest(req), { clientIp: req.socket?.remoteAddress }));
+  } catch (error) {
+    if (next) return next(error);
+    res.statusCode = 500;
+    res.end();
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Vercel Functions adapter
+ * @description Exposes a Web Request/Response pipeline as Vercel's per-method function exports
+ * @module adapters/vercel
+ */
+
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+/**
+ * Maps every HTTP method to the pipeline (it answers 405 itself), e.g.
+ * `export const { GET, POST, OPTIONS } = toVercelHandlers(handleSendEmail)` in api/send-email.mjs.
+ * The client address is x-real-ip, which Vercel's edge overwrites on every request.
+ * @param {Function} pipeline - (Request, {clientIp}) => Promise<Response>
+ * @returns {Object<string, Function>} Handlers by method
+ */
+export const toVercelHandlers = (pipeline) =>
+  Object.fromEntries(
+    METHODS.map((method) => [method, (request) => pipeline(request, { clientIp: request.headers.get("x-real-ip") })]),
+  );
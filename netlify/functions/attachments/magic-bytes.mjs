@@ -0,0 +1,54 @@
+/**
+ * @fileoverview File signature (magic byte) checks for attachments
+ * @description Verifies that file content matches the type implied by its extension
+ * @module attachments/magic-bytes
+ */
+
+/**
+ * Checks whether content starts with signature at offset.
+ * @param {Buffer} content - File content
+ * @param {string|number[]} signature - ASCII string or byte list
+ * @param {number} [offset] - Byte offset
+ * @returns {boolean} True if signature matches
+ */
+const hasSignature = (content, signature, offset = 0) => {
+  const expected = Buffer.from(signature);
+  return content.subarray(offset, offset + expected.length).equals(expected);
+};
+
+/**
+ * Checks that content is UTF-8 text without NUL bytes.
+ * @param {Buffer} content - File content
+ * @returns {boolean} True for plain text
+ */
+const isPlainText = (content) => {
+  if (content.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(content);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Content checks by MIME type.
+ * @type {Object<string, Function>}
+ */
+const SNIFFERS = {
+  "image/png": (content) => hasSignature(content, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  "image/jpeg": (content) => hasSignature(content, [0xff, 0xd8, 0xff]),
+  "image/gif": (content) => hasSignature(content, "GIF87a") || hasSignature(content, "GIF89a"),
+  "image/webp": (content) => hasSignature(content, "RIFF") && hasSignature(content, "WEBP", 8),
+  "application/pdf": (content) => hasSignature(content, "%PDF-"),
+  "text/plain": isPlainText,
+};
+
+/**
+ * Checks file content against the signature of its MIME type.
+ * @param {string} mimeType - Expected MIME type
+ * @param {Buffer} content - File content
+ * @returns {boolean} True if content matches (false for unknown types)
+ */
+export const matchesMagicBytes = (mimeType, content) =>
+  Object.hasOwn(SNIFFERS, mimeType) && SNIFFERS[mimeType](content);
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Server-side attachment validation
+ * @description Applies shared attachment rules, sniffs magic bytes and prepares nodemailer attachments
+ * @module attachments/validate
+ */
+
+import {
+  ATTACHMENT_ERRORS,
+  getAttachmentErrors,
+  getAttachmentType,
+  isFileField,
+} from "../../../shared/attachments.js";
+import { matchesMagicBytes } from "./magic-bytes.mjs";
+
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Strips path components and control characters from a client file name.
+ * @param {string} filename - Client-supplied file name
+ * @returns {string} Safe file name
+ */
+const sanitizeFilename = (filename) =>
+  filename
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001F\u007F"]/g, "")
+    .normalize("NFC")
+    .slice(-MAX_FILENAME_LENGTH) || "attachment";
+
+/**
+ * Converts parsed file part to shared file metadata (name, size, type) plus content.
+ * @param {{filename: string, contentType: string, content: Buffer}} file - File from multipart parser
+ * @returns {{name: string, size: number, type: string, content: Buffer}} File entry
+ */
+const toFileEntry = (file) => ({
+  name: sanitizeFilename(file.filename),
+  size: file.content.length,
+  type: file.contentType,
+  content: file.content,
+});
+
+/**
+ * Groups uploaded files by schema file field.
+ * @param {Object} schema - Form schema
+ * @param {Array<Object>} files - Files from multipart parser
+ * @returns {Object<string, Array<{name: string, size: number, type: string, content: Buffer}>>} Files by field name
+ */
+const groupFilesByField = (schema, files) => {
+  const fieldNames = schema.fields.filter(isFileField).map((field) => field.name);
+  return files
+    .filter((file) => fieldNames.includes(file.fieldName))
+    .reduce((groups, file) => {
+      (groups[file.fieldName] ||= []).push(toFileEntry(file));
+      return groups;
+    }, {});
+};
+
+/**
+ * Finds file fields whose content does not match the declared file type.
+ * @param {Object<string, Array>} filesByField - Files by field name
+ * @returns {Object<string, string>} Error codes by field name
+ */
+const getContentErrors = (filesByField) =>
+  Object.fromEntries(
+    Object.entries(filesByField)
+      .filter(([, files]) => files.some((file) => !matchesMagicBytes(getAttachmentType(file.name), file.content)))
+      .map(([name]) => [name, ATTACHMENT_ERRORS.INVALID_CONTENT]),
+  );
+
+/**
+ * Converts accepted files into nodemailer attachment objects (MIME type derived from extension).
+ * @param {Object<string, Array>} filesByField - Files by field name
+ * @returns {Array<{filename: string, contentType: string, content: Buffer}>} Attachments
+ */
+const toMailAttachments = (filesByField) =>
+  Object.values(filesByField)
+    .flat()
+    .map((file) => ({ filename: file.name, contentType: getAttachmentType(file.name), content: file.content }));
+
+/**
+ * Validates uploaded files against the file fields of a schema. Files for unknown fields are ignored.
+ * @param {Object} schema - Form schema
+ * @param {Array<Object>} files - Files from multipart parser
+ * @returns {{attachments: Array<Object>, errors: Object<string, string>}} Mail attachments and error codes by field
+ */
+export const validateAttachments = (schema, files) => {
+  const filesByField = groupFilesByField(schema, files);
+  const errors = getAttachmentErrors(schema, filesByField);
+  const contentErrors = Object.keys(errors).length === 0 ? getContentErrors(filesByField) : {};
+  return {
+    attachments: toMailAttachments(filesByField),
+    errors: { ...errors, ...contentErrors },
+  };
+};
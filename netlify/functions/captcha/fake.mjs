@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Deterministic fake CAPTCHA verifier
+ * @description Offline verifier for local development and tests; the token decides the result
+ * @module captcha/fake
+ *
+ * Tokens: "fake-pass" (score 0.9), "fake-fail" (rejected), "fake-score-<n>" (passes with score n).
+ * Any other token fails with "invalid-input-response".
+ * Refuses to run in production, where anyone could pass with "fake-pass".
+ */
+
+const NON_PRODUCTION_NODE_ENVS = ["development", "test"];
+
+/**
+ * Environment variables required by the fake verifier (none).
+ * @type {string[]}
+ */
+export const FAKE_ENV_VARS = [];
+
+/**
+ * Builds a verification result.
+ * @param {boolean} success - Whether the token passed
+ * @param {number|null} score - Score
+ * @param {string[]} errors - Error codes
+ * @returns {Object} Verification result
+ */
+const toResult = (success, score, errors = []) => ({
+  success,
+  score,
+  action: success ? "submit" : null,
+  hostname: success ? "localhost" : null,
+  challengeTs: success ? new Date().toISOString() : null,
+  errors,
+});
+
+/**
+ * Resolves token to result.
+ * @param {string} token - Fake token
+ * @returns {Object} Verification result
+ */
+const verifyFakeToken = (token) => {
+  if (token === "fake-pass") return toResult(true, 0.9);
+  const score = /^fake-score-(\d(?:\.\d+)?)$/.exec(token)?.[1];
+  if (score !== undefined) return toResult(true, Number(score));
+  return toResult(false, null, [token === "fake-fail" ? "fake-failure" : "invalid-input-response"]);
+};
+
+/**
+ * Checks whether the fake verifier may run: ALLOW_FAKE_CAPTCHA=true, a Netlify CONTEXT other than production,
+ * or (outside Netlify) NODE_ENV development or test.
+ * @returns {boolean} True if allowed
+ */
+export const isFakeCaptchaAllowed = () => {
+  if (process.env.ALLOW_FAKE_CAPTCHA === "true") return true;
+  if (process.env.CONTEXT) return process.env.CONTEXT !== "production";
+  return NON_PRODUCTION_NODE_ENVS.includes(process.env.NODE_ENV);
+};
+
+/**
+ * Creates fake verifier.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ * @throws {Error} If the environment looks like production
+ */
+export const createFakeVerifier = () => {
+  if (!isFakeCaptchaAllowed()) {
+    throw new Error("Fake CAPTCHA provider is disabled in production (set ALLOW_FAKE_CAPTCHA=true for tests)");
+  }
+  return { name: "fake", verify: async (token) => verifyFakeToken(token) };
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Friendly Captcha verifier
+ * @description Verifies proof-of-work solutions via the Friendly Captcha siteverify endpoint
+ * @module captcha/friendly-captcha
+ */
+
+import { postSiteverify } from "./siteverify.mjs";
+
+const FRIENDLY_CAPTCHA_VERIFY_URL = "https://api.friendlycaptcha.com/api/v1/siteverify";
+
+/**
+ * Environment variables required by the Friendly Captcha verifier.
+ * @type {string[]}
+ */
+export const FRIENDLY_CAPTCHA_ENV_VARS = ["FRIENDLY_CAPTCHA_SECRET_KEY"];
+
+/**
+ * Maps Friendly Captcha response (pass/fail, no score, action or hostname).
+ * @param {Object} data - Friendly Captcha response
+ * @returns {Object} Verification result
+ */
+const toFriendlyVerification = (data) => ({
+  success: data.success === true,
+  score: null,
+  action: null,
+  hostname: null,
+  challengeTs: null,
+  errors: data.errors ?? [],
+});
+
+/**
+ * Creates Friendly Captcha verifier.
+ * FRIENDLY_CAPTCHA_SITE_KEY optionally pins the site key, FRIENDLY_CAPTCHA_API_URL selects the EU endpoint.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ */
+export const createFriendlyCaptchaVerifier = () => ({
+  name: "friendly-captcha",
+  verify: async (token) =>
+    toFriendlyVerification(
+      await postSiteverify(process.env.FRIENDLY_CAPTCHA_API_URL || FRIENDLY_CAPTCHA_VERIFY_URL, {
+        secret: process.env.FRIENDLY_CAPTCHA_SECRET_KEY,
+        solution: token,
+        sitekey: process.env.FRIENDLY_CAPTCHA_SITE_KEY,
+      }),
+    ),
+});
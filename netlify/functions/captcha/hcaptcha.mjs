@@ -0,0 +1,42 @@
+/**
+ * @fileoverview hCaptcha verifier
+ * @description Verifies tokens via the hCaptcha siteverify endpoint (score only on Enterprise plans)
+ * @module captcha/hcaptcha
+ */
+
+import { postSiteverify, toRemoteIp, toVerification } from "./siteverify.mjs";
+
+const HCAPTCHA_VERIFY_URL = "https://api.hcaptcha.com/siteverify";
+
+/**
+ * Environment variables required by the hCaptcha verifier.
+ * @type {string[]}
+ */
+export const HCAPTCHA_ENV_VARS = ["HCAPTCHA_SECRET_KEY"];
+
+/**
+ * Maps hCaptcha response; Enterprise risk scores run the other way round (1.0 = bot).
+ * @param {Object} data - hCaptcha response
+ * @returns {Object} Verification result
+ */
+const toHcaptchaVerification = (data) => ({
+  ...toVerification({ ...data, score: undefined }),
+  score: typeof data.score === "number" ? Math.round((1 - data.score) * 100) / 100 : null,
+});
+
+/**
+ * Creates hCaptcha verifier (HCAPTCHA_SITE_KEY optionally pins the site key).
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ */
+export const createHcaptchaVerifier = () => ({
+  name: "hcaptcha",
+  verify: async (token, { ip } = {}) =>
+    toHcaptchaVerification(
+      await postSiteverify(HCAPTCHA_VERIFY_URL, {
+        secret: process.env.HCAPTCHA_SECRET_KEY,
+        response: token,
+        remoteip: toRemoteIp(ip),
+        sitekey: process.env.HCAPTCHA_SITE_KEY,
+      }),
+    ),
+});
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Disabled CAPTCHA verification
+ * @description Explicit opt-out (CAPTCHA_PROVIDER=none): tokens are not checked and only the spam checks apply
+ * @module captcha/none
+ */
+
+/**
+ * Environment variables required without CAPTCHA (none).
+ * @type {string[]}
+ */
+export const NONE_ENV_VARS = [];
+
+/**
+ * Creates verifier that skips verification.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ */
+export const createNoneVerifier = () => ({
+  name: "none",
+  verify: async () => ({ success: true, score: null, skipped: true }),
+});
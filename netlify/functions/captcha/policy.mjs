@@ -0,0 +1,161 @@
+/**
+ * @fileoverview CAPTCHA verification policy
+ * @description Enforces score thresholds (per form), expected action, allowed hostnames and token age,
+ * loaded from CAPTCHA_POLICY (JSON) with defaults
+ * @module captcha/policy
+ */
+
+import { SPAM_OUTCOMES } from "../spam/scorer.mjs";
+
+/**
+ * Defaults: reject scores below 0.5, expect action "submit", accept tokens up to 5 minutes old.
+ * In quarantine mode, scores between quarantineMinScore and minScore are held for review instead.
+ * @type {Object}
+ */
+export const DEFAULT_CAPTCHA_POLICY = {
+  minScore: 0.5,
+  quarantine: false,
+  quarantineMinScore: 0.1,
+  action: "submit",
+  hostnames: [],
+  maxTokenAgeSeconds: 300,
+  forms: {},
+};
+
+const SCORE_FIELDS = ["minScore", "quarantineMinScore"];
+
+/**
+ * Collects problems of a (form) policy.
+ * @param {Object} policy - Merged policy
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findPolicyProblems = (policy) => {
+  const problems = SCORE_FIELDS.filter((field) => !(policy[field] >= 0 && policy[field] <= 1)).map(
+    (field) => `${field} must be between 0 and 1`,
+  );
+  if (!(policy.maxTokenAgeSeconds > 0)) problems.push("maxTokenAgeSeconds must be a positive number");
+  if (!Array.isArray(policy.hostnames)) problems.push("hostnames must be an array");
+  if (policy.quarantineMinScore > policy.minScore) problems.push("quarantineMinScore must not exceed minScore");
+  return problems;
+};
+
+/**
+ * Parses CAPTCHA_POLICY value.
+ * @param {string} raw - JSON object
+ * @returns {Object} Partial policy
+ * @throws {Error} If value is not a JSON object
+ */
+const parsePolicy = (raw) => {
+  let policy;
+  try {
+    policy = JSON.parse(raw);
+  } catch (error) {
+    throw new Error("CAPTCHA_POLICY is not valid JSON");
+  }
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    throw new Error("CAPTCHA_POLICY must be a JSON object");
+  }
+  return policy;
+};
+
+/**
+ * Loads policy for a form (form overrides merged over CAPTCHA_POLICY over defaults).
+ * @param {string} formId - Form id
+ * @returns {Object} Effective policy
+ * @throws {Error} If configuration is invalid
+ */
+export const loadCaptchaPolicy = (formId) => {
+  const custom = process.env.CAPTCHA_POLICY ? parsePolicy(process.env.CAPTCHA_POLICY) : {};
+  const { forms = {}, ...global } = { ...DEFAULT_CAPTCHA_POLICY, ...custom };
+  const policy = { ...global, ...(Object.hasOwn(forms, formId) ? forms[formId] : {}) };
+  const problems = findPolicyProblems(policy);
+  if (problems.length > 0) {
+    throw new Error(`Invalid CAPTCHA_POLICY for form "${formId}": ${problems.join(", ")}`);
+  }
+  return policy;
+};
+
+/**
+ * Checks hostname against allowlist ("example.com" exact, "*.example.com" any subdomain).
+ * @param {string} hostname - Hostname reported by the provider
+ * @param {string[]} allowed - Allowed hostnames (empty allows any)
+ * @returns {boolean} True if allowed
+ */
+const isAllowedHostname = (hostname, allowed) =>
+  allowed.length === 0 ||
+  allowed
+    .map((entry) => entry.toLowerCase())
+    .some((entry) => (entry.startsWith("*.") ? hostname.endsWith(entry.slice(1)) : hostname === entry));
+
+/**
+ * Finds integrity problem of a successful verification (fields the provider did not return are skipped).
+ * @param {Object} result - Verification result
+ * @param {Object} policy - Effective policy
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} Reason or null
+ */
+const findIntegrityProblem = (result, policy, now) => {
+  if (result.action && policy.action && result.action !== policy.action) {
+    return { reason: "captcha_action_mismatch", detail: result.action };
+  }
+  if (result.hostname && !isAllowedHostname(result.hostname.toLowerCase(), policy.hostnames)) {
+    return { reason: "captcha_hostname_mismatch", detail: result.hostname };
+  }
+  const issuedAt = result.challengeTs ? Date.parse(result.challengeTs) : NaN;
+  if (now - issuedAt > policy.maxTokenAgeSeconds * 1000) {
+    return { reason: "captcha_token_expired", detail: result.challengeTs };
+  }
+  return null;
+};
+
+/**
+ * Maps score to outcome (a score of 0 is a score, not a missing one).
+ * @param {number|null} score - Score (null if the provider has none)
+ * @param {Object} policy - Effective policy
+ * @returns {string} Outcome
+ */
+const getScoreOutcome = (score, policy) => {
+  if (score === null || score >= policy.minScore) return SPAM_OUTCOMES.ACCEPT;
+  if (policy.quarantine && score >= policy.quarantineMinScore) return SPAM_OUTCOMES.QUARANTINE;
+  return SPAM_OUTCOMES.REJECT;
+};
+
+/**
+ * Builds verdict.
+ * @param {string} outcome - Outcome
+ * @param {number|null} score - Score
+ * @param {Object} [reason] - Reason (omitted on accept)
+ * @returns {{outcome: string, score: number|null, reasons: Object[]}} Verdict
+ */
+const toVerdict = (outcome, score, reason) => ({
+  outcome,
+  score,
+  reasons: reason ? [{ check: "captcha", ...reason }] : [],
+});
+
+/**
+ * Evaluates verification result against the form's policy.
+ * @param {Object} result - Result of verifyCaptcha()
+ * @param {string} formId - Form id
+ * @param {number} [now] - Current time in ms
+ * @returns {{outcome: string, score: number|null, reasons: Object[]}} Verdict
+ */
+export const evaluateCaptcha = (result, formId, now = Date.now()) => {
+  const score = result.score ?? null;
+  if (!result.success) return toVerdict(SPAM_OUTCOMES.REJECT, score, { reason: "captcha_failed", detail: (result.errors || []).join(", ") });
+  if (result.skipped) return toVerdict(SPAM_OUTCOMES.ACCEPT, null);
+  const policy = loadCaptchaPolicy(formId);
+  const problem = findIntegrityProblem(result, policy, now);
+  if (problem) return toVerdict(SPAM_OUTCOMES.REJECT, score, problem);
+  const outcome = getScoreOutcome(score, policy);
+  return toVerdict(outcome, score, outcome === SPAM_OUTCOMES.ACCEPT ? undefined : { reason: "captcha_low_score", detail: String(score) });
+};
+
+/**
+ * Evaluates a browser form post without CAPTCHA token: the widget needs JavaScript, so the submission is held
+ * for review instead of rejected (accepted if no provider is configured).
+ * @param {Object} result - Result of verifyCaptcha()
+ * @returns {{outcome: string, score: null, reasons: Object[]}} Verdict
+ */
+export const evaluateMissingCaptcha = (result) =>
+  result.skipped ? toVerdict(SPAM_OUTCOMES.ACCEPT, null) : toVerdict(SPAM_OUTCOMES.QUARANTINE, null, { reason: "captcha_missing" });
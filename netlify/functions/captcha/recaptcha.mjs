@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Google reCAPTCHA v3 verifier
+ * @description Verifies tokens via the reCAPTCHA siteverify endpoint (returns a score)
+ * @module captcha/recaptcha
+ */
+
+import { postSiteverify, toRemoteIp, toVerification } from "./siteverify.mjs";
+
+const RECAPTCHA_VERIFY_URL = "https://www.google.com/recaptcha/api/siteverify";
+
+/**
+ * Environment variables required by the reCAPTCHA verifier.
+ * @type {string[]}
+ */
+export const RECAPTCHA_ENV_VARS = ["RECAPTCHA_SECRET_KEY"];
+
+/**
+ * Creates reCAPTCHA verifier.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ */
+export const createRecaptchaVerifier = () => ({
+  name: "recaptcha",
+  verify: async (token, { ip } = {}) =>
+    toVerification(
+      await postSiteverify(RECAPTCHA_VERIFY_URL, {
+        secret: process.env.RECAPTCHA_SECRET_KEY,
+        response: token,
+        remoteip: toRemoteIp(ip),
+      }),
+    ),
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview CAPTCHA provider registry
+ * @description Selects the CAPTCHA verifier configured via CAPTCHA_PROVIDER and verifies tokens
+ * @module captcha/registry
+ */
+
+import { createRecaptchaVerifier, RECAPTCHA_ENV_VARS } from "./recaptcha.mjs";
+import { createHcaptchaVerifier, HCAPTCHA_ENV_VARS } from "./hcaptcha.mjs";
+import { createTurnstileVerifier, TURNSTILE_ENV_VARS } from "./turnstile.mjs";
+import { createFriendlyCaptchaVerifier, FRIENDLY_CAPTCHA_ENV_VARS } from "./friendly-captcha.mjs";
+import { createFakeVerifier, FAKE_ENV_VARS } from "./fake.mjs";
+import { createNoneVerifier, NONE_ENV_VARS } from "./none.mjs";
+
+const PROVIDERS = {
+  recaptcha: { create: createRecaptchaVerifier, envVars: RECAPTCHA_ENV_VARS },
+  hcaptcha: { create: createHcaptchaVerifier, envVars: HCAPTCHA_ENV_VARS },
+  turnstile: { create: createTurnstileVerifier, envVars: TURNSTILE_ENV_VARS },
+  "friendly-captcha": { create: createFriendlyCaptchaVerifier, envVars: FRIENDLY_CAPTCHA_ENV_VARS },
+  fake: { create: createFakeVerifier, envVars: FAKE_ENV_VARS },
+  none: { create: createNoneVerifier, envVars: NONE_ENV_VARS },
+};
+
+/**
+ * Returns configured CAPTCHA provider name (defaults to recaptcha).
+ * @returns {string} Provider name
+ */
+export const getCaptchaProvider = () =>
+  (process.env.CAPTCHA_PROVIDER || "recaptcha").trim().toLowerCase();
+
+/**
+ * Looks up provider registry entry.
+ * @param {string} name - Provider name
+ * @returns {{create: Function, envVars: string[]}} Provider entry
+ * @throws {Error} If provider is unknown
+ */
+const getProviderEntry = (name) => {
+  const entry = PROVIDERS[name];
+  if (!entry) throw new Error(`Unknown CAPTCHA provider: ${name}`);
+  return entry;
+};
+
+/**
+ * Returns environment variables required by configured provider.
+ * @returns {string[]} Required env var names
+ */
+export const getCaptchaEnvVars = () => getProviderEntry(getCaptchaProvider()).envVars;
+
+/**
+ * Checks whether the configured provider has all its secrets.
+ * @returns {boolean} True if tokens can be verified
+ */
+export const isCaptchaConfigured = () => getCaptchaEnvVars().every((key) => process.env[key]);
+
+/**
+ * Creates verifier of the configured provider.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ * @throws {Error} If provider is unknown or may not run here (fake in production)
+ */
+export const createCaptchaVerifier = () => getProviderEntry(getCaptchaProvider()).create();
+
+/**
+ * Verifies token with configured provider.
+ * Fails closed without provider secrets (notConfigured); only CAPTCHA_PROVIDER=none skips the check (skipped).
+ * @param {string|null} token - CAPTCHA token from the client
+ * @param {{ip?: string}} [context] - Request context forwarded to the provider
+ * @returns {Promise<Object>} Verification result ({success, score, action, hostname, challengeTs, errors, provider})
+ */
+export const verifyCaptcha = async (token, context = {}) => {
+  const provider = getCaptchaProvider();
+  if (!isCaptchaConfigured()) return { success: false, score: null, provider, errors: ["missing-secret"], notConfigured: true };
+  if (provider === "none") return { ...(await createNoneVerifier().verify()), provider };
+  if (!token) return { success: false, score: null, provider, errors: ["missing-input-response"] };
+  try {
+    return { ...(await createCaptchaVerifier().verify(token, context)), provider };
+  } catch (error) {
+    return { success: false, score: null, provider, errors: [error.message] };
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Shared siteverify helpers for CAPTCHA providers
+ * @description Form-encoded verification requests and normalization of provider responses
+ * @module captcha/siteverify
+ */
+
+import { isIP } from "node:net";
+
+const VERIFY_TIMEOUT_MS = 5000;
+
+/**
+ * Returns client IP for the remoteip parameter (omitted unless it is a single valid address).
+ * @param {string} [ip] - Client IP from request metadata
+ * @returns {string|undefined} IP address
+ */
+export const toRemoteIp = (ip) => (isIP(ip || "") ? ip : undefined);
+
+/**
+ * Posts form-encoded parameters (values are URL-encoded, empty ones omitted).
+ * @param {string} url - Siteverify endpoint
+ * @param {Object<string, string|undefined>} params - Request parameters
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} If the provider responds with a non-2xx status or times out
+ */
+export const postSiteverify = async (url, params) => {
+  const body = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+    signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`CAPTCHA provider responded ${response.status}`);
+  return response.json();
+};
+
+/**
+ * Normalizes siteverify response shared by reCAPTCHA, hCaptcha and Turnstile.
+ * @param {Object} data - Provider response
+ * @returns {{success: boolean, score: number|null, action: string|null, hostname: string|null, challengeTs: string|null, errors: string[]}} Verification result
+ */
+export const toVerification = (data) => ({
+  success: data.success === true,
+  score: typeof data.score === "number" ? data.score : null,
+  action: data.action ?? null,
+  hostname: data.hostname ?? null,
+  challengeTs: data.challenge_ts ?? null,
+  errors: data["error-codes"] ?? [],
+});
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Cloudflare Turnstile verifier
+ * @description Verifies tokens via the Turnstile siteverify endpoint (pass/fail, no score)
+ * @module captcha/turnstile
+ */
+
+import { postSiteverify, toRemoteIp, toVerification } from "./siteverify.mjs";
+
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+/**
+ * Environment variables required by the Turnstile verifier.
+ * @type {string[]}
+ */
+export const TURNSTILE_ENV_VARS = ["TURNSTILE_SECRET_KEY"];
+
+/**
+ * Creates Turnstile verifier.
+ * @returns {{name: string, verify: Function}} CAPTCHA verifier
+ */
+export const createTurnstileVerifier = () => ({
+  name: "turnstile",
+  verify: async (token, { ip } = {}) =>
+    toVerification(
+      await postSiteverify(TURNSTILE_VERIFY_URL, {
+        secret: process.env.TURNSTILE_SECRET_KEY,
+        response: token,
+        remoteip: toRemoteIp(ip),
+      }),
+    ),
+});
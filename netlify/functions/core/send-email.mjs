@@ -0,0 +1,925 @@
+/**
+ * @fileoverview Platform-neutral contact form pipeline (Web Request in, Web Response out)
+ * @description Handles form submissions with rate limiting, CAPTCHA verification, and email delivery via pluggable transports;
+ * adapters in ../adapters run it on Netlify, Node/Express, Cloudflare Workers and Vercel
+ * @module core/send-email
+ */
+
+import { checkEnvVariables } from "../transports/registry.mjs";
+import { checkRateLimit } from "../rate-limit/limiter.mjs";
+import { DEFAULT_FORM_ID, getFormSchema } from "../../../shared/forms.js";
+import { ERROR_CODES } from "../../../shared/errors.js";
+import { validateFields } from "../../../shared/validation.js";
+import { parseAcceptLanguage, resolveLocale } from "../../../shared/i18n.js";
+import { ATTACHMENT_LIMITS } from "../../../shared/attachments.js";
+import { HttpError } from "../http/errors.mjs";
+import { isMultipart, parseMultipart } from "../http/multipart.mjs";
+import { isFormPost, isUrlEncoded, parseUrlEncoded, toResultRedirect } from "../http/form-post.mjs";
+import { buildPreflightResponse, resolveCors, withCorsHeaders } from "../http/cors.mjs";
+import { createTimer } from "../http/timing.mjs";
+import { readRequest, toWebResponse } from "../http/web.mjs";
+import { getRequestId, REQUEST_ID_HEADER } from "../http/request-id.mjs";
+import { anonymizeIp, resolveClientIp } from "../http/client-ip.mjs";
+import { createLogger } from "../logging/logger.mjs";
+import { validateAttachments } from "../attachments/validate.mjs";
+import { saveSubmission, updateDeliveryStatus, updateSubmission } from "../submissions/repository.mjs";
+import { buildMessageId, withReference } from "../submissions/reference.mjs";
+import {
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  getIdempotencyKey,
+  hashSubmission,
+  releaseIdempotencyKey,
+} from "../submissions/idempotency.mjs";
+import { enqueueMail, holdMail } from "../outbox/queue.mjs";
+import { deliverJobs } from "../outbox/delivery.mjs";
+import { loadRoutingRules, resolveRoute } from "../routing/rules.mjs";
+import { dispatchWebhooks } from "../webhooks/dispatcher.mjs";
+import { buildSubmissionEvent } from "../webhooks/payloads.mjs";
+import { mergeCaptchaVerdict, scoreSubmission, SPAM_OUTCOMES } from "../spam/scorer.mjs";
+import { getCaptchaEnvVars, verifyCaptcha } from "../captcha/registry.mjs";
+import { evaluateCaptcha, evaluateMissingCaptcha } from "../captcha/policy.mjs";
+import {
+  buildNotificationEmail,
+  buildNotificationText,
+} from "../templates/notification.mjs";
+import {
+  buildConfirmationEmail,
+  buildConfirmationText,
+  getConfirmationSubject,
+} from "../templates/confirmation.mjs";
+import {
+  buildVerificationEmail,
+  buildVerificationText,
+  getVerificationSubject,
+} from "../templates/verification.mjs";
+import {
+  assertVerificationStores,
+  buildVerificationUrl,
+  createVerificationToken,
+  getVerificationSecret,
+  getVerificationTtlHours,
+  getVerificationTtlMs,
+  isDoubleOptInEnabled,
+} from "../verification/token.mjs";
+
+// === CONSTANTS ===
+const CORE_FIELDS = ["name", "email", "subject", "message"];
+const MAX_PAYLOAD_BYTES = 32 * 1024;
+const MAX_MULTIPART_BYTES = ATTACHMENT_LIMITS.maxTotalBytes + MAX_PAYLOAD_BYTES;
+const UNRESOLVED_CLIENT_KEY = "unresolved";
+
+const CORS_OPTIONS = {
+  methods: "POST, OPTIONS",
+  allowHeaders: "Content-Type, Idempotency-Key, X-Request-Id",
+  exposeHeaders: "X-Request-Id, Retry-After, Server-Timing",
+};
+
+// === RESPONSE BUILDERS ===
+/**
+ * Builds HTTP response (CORS headers are added per request by the handler).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json", ...extraHeaders },
+  body: JSON.stringify(data),
+});
+
+/**
+ * Builds error response (internal details are logged, never returned).
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Error code from shared/errors.js
+ * @param {string} error - Error message
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Error response object
+ */
+const buildErrorResponse = (statusCode, code, error, extraHeaders = {}) =>
+  buildResponse(statusCode, { error, code }, extraHeaders);
+
+/**
+ * Builds error response from an HttpError.
+ * @param {HttpError} error - HTTP error
+ * @returns {Object} Error response object
+ */
+const buildHttpErrorResponse = (error) =>
+  buildResponse(error.statusCode, { error: error.message, code: error.code, ...error.data });
+
+/**
+ * Builds success response.
+ * @param {Object} data - Success response data
+ * @returns {Object} Success response object
+ */
+const buildSuccessResponse = (data) => buildResponse(200, data);
+
+/**
+ * Builds response for an accepted submission: 200 once the notification is sent, 202 while it waits in the outbox
+ * or for the sender's verification.
+ * @param {{id: string, reference: string}} submission - Stored submission record
+ * @param {{notification: Object, confirmation: Object}} delivery - Delivery outcome per email
+ * @returns {Object} Success response object
+ */
+const buildDeliveryResponse = ({ id: submissionId, reference }, { notification, confirmation }) => {
+  const delivery = { notification: notification.status, confirmation: confirmation.status };
+  const ids = { submissionId, reference };
+  if (notification.status === "awaiting_verification") {
+    const message = "Submission received, please confirm your email address";
+    return buildResponse(202, { message, success: true, verificationRequired: true, ...ids, delivery });
+  }
+  if (notification.status !== "sent") {
+    return buildResponse(202, { message: "Submission received, email delivery is queued", success: true, ...ids, delivery });
+  }
+  return buildSuccessResponse({
+    message: "Email sent successfully",
+    success: true,
+    messageId: notification.messageId,
+    ...ids,
+    delivery,
+  });
+};
+
+// === CAPTCHA ===
+/**
+ * Reads CAPTCHA token from request body (recaptchaToken is accepted from older clients).
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} Token
+ */
+const getCaptchaToken = (body) => body.captchaToken || body.recaptchaToken || null;
+
+// === EMAIL ===
+// Email templates imported from ./templates/
+
+/**
+ * Returns subject line, derived from form title when the form has no subject field.
+ * @param {Object} formData - Form data object
+ * @returns {string} Subject line
+ */
+const getSubjectLine = (formData) =>
+  formData.subject || `${formData.formTitle} from ${formData.name}`;
+
+/**
+ * Returns notification template arguments.
+ * @param {Object} formData - Form data object
+ * @returns {Array} Arguments for notification builders
+ */
+const getNotificationArgs = (formData) => [
+  formData.name,
+  formData.email,
+  getSubjectLine(formData),
+  formData.message,
+  formData.details,
+];
+
+/**
+ * Returns threading headers; the sender's email answers the notification, so both form one conversation.
+ * @param {string} submissionId - Submission id
+ * @param {string} kind - Email kind (notification|confirmation)
+ * @returns {{messageId: string, inReplyTo?: string, references?: string}} Threading headers
+ */
+const getThreadHeaders = (submissionId, kind) => {
+  const root = buildMessageId(submissionId, "notification");
+  if (kind === "notification") return { messageId: root };
+  return { messageId: buildMessageId(submissionId, kind), inReplyTo: root, references: root };
+};
+
+/**
+ * Creates mail options object (HTML + plain-text alternative, uploaded files attached).
+ * Recipients and subject prefix come from the first matching ROUTING_RULES entry, TO_EMAIL otherwise.
+ * @param {Object} formData - Form data object
+ * @param {Object} submission - Stored submission record (reference and Message-ID)
+ * @returns {Object} Mail options for transport
+ */
+const getMailOptions = (formData, submission) => {
+  const { to, cc, bcc, subjectPrefix } = resolveRoute(formData);
+  const subject = withReference(`${formData.formTitle} Form: ${getSubjectLine(formData)}`, submission.reference);
+  return {
+    from: process.env.FROM_EMAIL,
+    to,
+    ...(cc.length > 0 && { cc }),
+    ...(bcc.length > 0 && { bcc }),
+    subject: subjectPrefix ? `${subjectPrefix} ${subject}` : subject,
+    ...getThreadHeaders(submission.id, "notification"),
+    html: buildNotificationEmail(...getNotificationArgs(formData)),
+    text: buildNotificationText(...getNotificationArgs(formData)),
+    replyTo: formData.email,
+    attachments: formData.attachments,
+  };
+};
+
+/**
+ * Creates verification mail options for sender in the sender's locale (double opt-in).
+ * @param {Object} formData - Form data object
+ * @param {Object} submission - Stored submission record (reference and Message-ID)
+ * @param {string} verifyUrl - Signed, expiring verification link
+ * @returns {Object} Mail options for verification email
+ */
+const getVerificationMailOptions = (formData, submission, verifyUrl) => {
+  const args = [formData.name, verifyUrl, getVerificationTtlHours(), formData.locale];
+  return {
+    from: process.env.FROM_EMAIL,
+    to: formData.email,
+    subject: withReference(getVerificationSubject(formData.locale), submission.reference),
+    ...getThreadHeaders(submission.id, "confirmation"),
+    html: buildVerificationEmail(...args),
+    text: buildVerificationText(...args),
+  };
+};
+
+/**
+ * Creates confirmation mail options for sender in the sender's locale (HTML + plain-text alternative).
+ * With a verification link (double opt-in) the sender gets the verification email instead.
+ * @param {Object} formData - Form data object
+ * @param {Object} submission - Stored submission record (reference and Message-ID)
+ * @param {string|null} [verifyUrl] - Signed verification link
+ * @returns {Object} Mail options for confirmation email
+ */
+const getConfirmationMailOptions = (formData, submission, verifyUrl = null) => {
+  if (verifyUrl) return getVerificationMailOptions(formData, submission, verifyUrl);
+  return {
+    from: process.env.FROM_EMAIL,
+    to: formData.email,
+    subject: withReference(getConfirmationSubject(formData.locale), submission.reference),
+    ...getThreadHeaders(submission.id, "confirmation"),
+    html: buildConfirmationEmail(formData.name, formData.locale),
+    text: buildConfirmationText(formData.name, formData.locale),
+  };
+};
+
+// === VALIDATION ===
+/**
+ * Rejects request bodies larger than maxBytes.
+ * @param {number} bytes - Request body size in bytes
+ * @param {number} maxBytes - Allowed size in bytes
+ * @throws {HttpError} 413 if payload is too large
+ */
+const assertPayloadSize = (bytes, maxBytes) => {
+  if (bytes > maxBytes) {
+    throw new HttpError(413, "Payload too large", { maxBytes });
+  }
+};
+
+/**
+ * Parses JSON request body.
+ * @param {Buffer} raw - Raw request body
+ * @returns {Object} Parsed JSON object
+ * @throws {HttpError} 413 if too large, 400 if not a JSON object
+ */
+const parseRequestBody = (raw) => {
+  assertPayloadSize(raw.length, MAX_PAYLOAD_BYTES);
+  let body;
+  try {
+    body = JSON.parse(raw.toString("utf8"));
+  } catch (error) {
+    throw new HttpError(400, "Invalid JSON");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Invalid JSON");
+  }
+  return body;
+};
+
+/**
+ * Parses multipart/form-data request.
+ * @param {Buffer} raw - Raw request body
+ * @param {string} contentType - Content-Type header value
+ * @returns {{body: Object<string, string>, files: Array<Object>}} Text fields and uploaded files
+ * @throws {HttpError} 413 if too large, 400 if malformed
+ */
+const parseMultipartRequest = (raw, contentType) => {
+  assertPayloadSize(raw.length, MAX_MULTIPART_BYTES);
+  const { fields, files } = parseMultipart(raw, contentType);
+  return { body: fields, files };
+};
+
+/**
+ * Parses urlencoded request (plain HTML form post without JavaScript).
+ * @param {Buffer} raw - Raw request body
+ * @returns {{body: Object<string, string>, files: Array<Object>}} Text fields (no files)
+ * @throws {HttpError} 413 if too large
+ */
+const parseUrlEncodedRequest = (raw) => {
+  assertPayloadSize(raw.length, MAX_PAYLOAD_BYTES);
+  return { body: parseUrlEncoded(raw.toString("utf8")), files: [] };
+};
+
+/**
+ * Parses request as JSON, multipart/form-data or urlencoded depending on Content-Type.
+ * @param {Object} req - Normalized request
+ * @returns {{body: Object, files: Array<Object>}} Parsed fields and uploaded files
+ */
+const parseRequest = (req) => {
+  const contentType = req.headers["content-type"] || "";
+  if (isMultipart(contentType)) return parseMultipartRequest(req.body, contentType);
+  if (isUrlEncoded(contentType)) return parseUrlEncodedRequest(req.body);
+  return { body: parseRequestBody(req.body), files: [] };
+};
+
+/**
+ * Resolves form schema for request.
+ * @param {string|undefined} formId - Requested form id
+ * @returns {Object} Form schema
+ * @throws {HttpError} 400 if form id is unknown
+ */
+const resolveFormSchema = (formId) => {
+  const schema = getFormSchema(formId || DEFAULT_FORM_ID);
+  if (!schema) throw new HttpError(400, "Unknown form", { formId }, ERROR_CODES.UNKNOWN_FORM);
+  return schema;
+};
+
+/**
+ * Collects labeled values of form-specific fields (beyond name/email/subject/message).
+ * @param {Object} schema - Form schema
+ * @param {Object} values - Validated field values
+ * @returns {Array<{label: string, value: string}>} Additional field details
+ */
+const buildFieldDetails = (schema, values) =>
+  schema.fields
+    .filter((field) => !CORE_FIELDS.includes(field.name) && values[field.name])
+    .map((field) => ({ label: field.label, value: values[field.name] }));
+
+/**
+ * Lists attachment file names for the notification.
+ * @param {Array<{filename: string}>} attachments - Accepted attachments
+ * @returns {Array<{label: string, value: string}>} Attachment detail (empty without files)
+ */
+const buildAttachmentDetails = (attachments) =>
+  attachments.length > 0
+    ? [{ label: "Attachments", value: attachments.map((file) => file.filename).join(", ") }]
+    : [];
+
+/**
+ * Validates form data and uploaded files against the schema of the requested form.
+ * @param {Object} data - Form data to validate (incl. optional formId)
+ * @param {Array<Object>} [files] - Uploaded files from multipart body
+ * @returns {{formId: string, formTitle: string, name: string, email: string, subject: string, message: string, fields: Object, details: Object[], attachments: Object[]}} Validated form data
+ * @throws {HttpError} 400 if form is unknown, 422 with per-field error codes if fields or files are invalid
+ */
+const validateFormData = (data, files = []) => {
+  const schema = resolveFormSchema(data.formId);
+  const { values, errors } = validateFields(schema, data);
+  const { attachments, errors: fileErrors } = validateAttachments(schema, files);
+  if (Object.keys(errors).length + Object.keys(fileErrors).length > 0) {
+    throw new HttpError(422, "Validation failed", { fields: { ...errors, ...fileErrors } });
+  }
+  const details = [...buildFieldDetails(schema, values), ...buildAttachmentDetails(attachments)];
+  return { formId: schema.id, formTitle: schema.title, ...values, fields: values, details, attachments };
+};
+
+// === HANDLERS ===
+/**
+ * Resolves client IP (peer address from the platform adapter or trusted proxy chain) and logs its anonymized network.
+ * @param {Object} req - Normalized request
+ * @param {Object} log - Request logger
+ * @returns {string|null} Normalized client IP address, null if it cannot be trusted
+ * @throws {Error} If TRUSTED_PROXIES is invalid
+ */
+const getClientIP = (req, log) => {
+  const { ip, source } = resolveClientIp(req.headers, req.peerIp);
+  if (!ip) log.warn("client.unresolved", { hasPeer: Boolean(req.peerIp) });
+  else log.info("client.resolved", { source, clientNetwork: anonymizeIp(ip) });
+  return ip;
+};
+
+/**
+ * Returns IP key for rate limiting; all unresolved clients share one bucket, so IP policies still throttle them.
+ * @param {string|null} ip - Resolved client IP
+ * @returns {string} IP or the shared unresolved key
+ */
+const getRateLimitIp = (ip) => ip ?? UNRESOLVED_CLIENT_KEY;
+
+/**
+ * Resolves confirmation locale from body (client choice) or Accept-Language header.
+ * @param {Object} body - Parsed request body
+ * @param {Object} headers - Request headers
+ * @returns {string} Supported locale code
+ */
+const getRequestLocale = (body, headers) =>
+  resolveLocale([body.locale, ...parseAcceptLanguage(headers["accept-language"])]);
+
+/**
+ * Collects request metadata stored with the submission.
+ * @param {Object} req - Normalized request
+ * @param {string|null} ip - Resolved client IP
+ * @param {string} locale - Resolved locale
+ * @returns {{ip: string|null, userAgent: string|null, referer: string|null, locale: string}} Request metadata
+ */
+const getRequestMetadata = (req, ip, locale) => ({
+  ip,
+  userAgent: req.headers["user-agent"] || null,
+  referer: req.headers.referer || null,
+  locale,
+});
+
+/**
+ * Validates HTTP method and handles OPTIONS/non-POST requests.
+ * @param {string} method - HTTP method
+ * @returns {Object|null} Preflight or error response, null if valid
+ */
+const validateHttpMethod = (method) => {
+  if (method === "OPTIONS") return buildPreflightResponse();
+  if (method !== "POST") {
+    return buildErrorResponse(405, ERROR_CODES.METHOD_NOT_ALLOWED, "Method not allowed", { Allow: CORS_OPTIONS.methods });
+  }
+  return null;
+};
+
+/**
+ * Records delivery status on the stored submission.
+ * @param {string} id - Submission id
+ * @param {string} status - Delivery status (quarantined|failed)
+ * @param {Object} details - Error details
+ * @returns {Promise<Object|null>} Updated submission
+ */
+const recordDelivery = (id, status, details) =>
+  updateSubmission(id, {
+    delivery: { status, ...details, at: new Date().toISOString() },
+  });
+
+/**
+ * Queues notification and confirmation and attempts both right away.
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @param {Object} log - Request logger
+ * @returns {Promise<{notification: Object, confirmation: Object}>} Delivery outcome per email
+ */
+const sendSubmissionMails = async (submission, formData, log) => {
+  const notification = await enqueueMail(submission.id, "notification", getMailOptions(formData, submission));
+  const confirmation = await enqueueMail(submission.id, "confirmation", getConfirmationMailOptions(formData, submission));
+  const [notificationOutcome, confirmationOutcome] = await deliverJobs([notification, confirmation], log);
+  return { notification: notificationOutcome, confirmation: confirmationOutcome };
+};
+
+/**
+ * Holds notification until the sender verifies the address and sends the verification link (double opt-in).
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @param {Object} log - Request logger
+ * @returns {Promise<{notification: Object, confirmation: Object}>} Delivery outcome per email
+ */
+const requestVerification = async (submission, formData, log) => {
+  const held = await holdMail(submission.id, "notification", getMailOptions(formData, submission), getVerificationTtlMs());
+  const notification = { status: "awaiting_verification", jobId: held.id };
+  await updateDeliveryStatus(submission.id, "notification", notification);
+  const verifyUrl = buildVerificationUrl(createVerificationToken(submission.id, getVerificationSecret()));
+  const job = await enqueueMail(submission.id, "confirmation", getConfirmationMailOptions(formData, submission, verifyUrl));
+  const [confirmation] = await deliverJobs([job], log);
+  return { notification, confirmation };
+};
+
+/**
+ * Checks delivery configuration (provider variables, routing rules, verification secret and shared stores with
+ * DOUBLE_OPT_IN).
+ * @throws {Error} If configuration is incomplete or invalid
+ */
+const assertDeliveryConfig = () => {
+  checkEnvVariables();
+  loadRoutingRules();
+  if (!isDoubleOptInEnabled()) return;
+  getVerificationSecret();
+  assertVerificationStores();
+};
+
+/**
+ * Delivers emails of an accepted submission through the outbox (with DOUBLE_OPT_IN only the verification link).
+ * A failed send stays in the outbox for the outbox-worker and never fails the request.
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @param {Object} log - Request logger
+ * @returns {Promise<{notification: Object, confirmation: Object}>} Delivery outcome per email
+ * @throws {Error} If configuration is incomplete (after marking the submission failed)
+ */
+const deliverSubmission = async (submission, formData, log) => {
+  try {
+    assertDeliveryConfig();
+  } catch (error) {
+    await recordDelivery(submission.id, "failed", { error: error.message });
+    throw error;
+  }
+  const { notification, confirmation } = isDoubleOptInEnabled()
+    ? await requestVerification(submission, formData, log)
+    : await sendSubmissionMails(submission, formData, log);
+  log.info("email.delivered", { submissionId: submission.id, notification: notification.status, confirmation: confirmation.status });
+  return { notification, confirmation };
+};
+
+/**
+ * Summarizes webhook result for the log.
+ * @param {Object} result - Delivery result of one target
+ * @returns {Object} Log fields
+ */
+const toWebhookLogEntry = ({ name, ok, status, attempts, error, nextAttemptAt }) =>
+  ({ target: name, ok, status, attempts, error, queued: Boolean(nextAttemptAt) });
+
+/**
+ * Delivers submission to configured webhooks (one capped attempt each, retries queued in the outbox) and records
+ * the per-target results. Webhook problems are logged but never fail the request.
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @param {Object} log - Request logger
+ * @returns {Promise<Object[]>} Delivery result per target
+ */
+const notifyWebhooks = async (submission, formData, log) => {
+  try {
+    const results = await dispatchWebhooks(buildSubmissionEvent(submission, formData));
+    if (results.length === 0) return results;
+    const level = results.every((result) => result.ok) ? "info" : "warn";
+    log[level]("webhooks.dispatched", { submissionId: submission.id, targets: results.map(toWebhookLogEntry) });
+    await updateSubmission(submission.id, { webhooks: results });
+    return results;
+  } catch (error) {
+    log.error("webhooks.error", { submissionId: submission.id, error });
+    return [];
+  }
+};
+
+/**
+ * Sends emails and webhooks for an accepted submission concurrently.
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<{notification: Object, confirmation: Object}>} Delivery outcome per email
+ * @throws {Error} If email configuration is incomplete (webhook failures are only recorded)
+ */
+const deliverAcceptedSubmission = async (submission, formData, { timer, log }) => {
+  const [delivery] = await Promise.allSettled([
+    timer.measure("email", () => deliverSubmission(submission, formData, log)),
+    timer.measure("webhooks", () => notifyWebhooks(submission, formData, log)),
+  ]);
+  if (delivery.status === "rejected") throw delivery.reason;
+  return delivery.value;
+};
+
+/**
+ * Holds a quarantined submission for review (no emails, no webhooks).
+ * The JSON body looks delivered so bots learn nothing; `held` sends browser form posts to the held page instead.
+ * @param {Object} submission - Stored submission record
+ * @param {Object} log - Request logger
+ * @returns {Promise<Object>} Success response object marked as held
+ */
+const quarantineSubmission = async (submission, log) => {
+  await recordDelivery(submission.id, "quarantined", {});
+  log.info("submission.quarantined", { submissionId: submission.id });
+  const delivery = { notification: { status: "sent" }, confirmation: { status: "sent" } };
+  return { ...buildDeliveryResponse(submission, delivery), held: true };
+};
+
+/**
+ * Lists reason names of a verdict.
+ * @param {{reasons: Object[]}} verdict - CAPTCHA or spam verdict
+ * @returns {string[]} Reason names
+ */
+const getReasonNames = ({ reasons }) => reasons.map(({ reason }) => reason);
+
+/**
+ * Fails closed when the CAPTCHA provider has no secret, instead of accepting every submission unchecked.
+ * @param {Object} result - Verification result
+ * @param {Object} log - Request logger
+ * @throws {HttpError} 503 if the provider is not configured
+ */
+const assertCaptchaConfigured = (result, log) => {
+  if (!result.notConfigured) return;
+  log.warn("captcha.not_configured", { provider: result.provider, missing: getCaptchaEnvVars() });
+  throw new HttpError(503, "CAPTCHA verification not configured");
+};
+
+/**
+ * Verifies CAPTCHA token and applies the CAPTCHA policy of the form.
+ * Browser form posts without a token (no JavaScript, so no widget) are held for review instead of rejected.
+ * @param {Object} body - Parsed request body
+ * @param {Object} formData - Validated form data
+ * @param {Object} metadata - Request metadata
+ * @param {{formPost: boolean, timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} CAPTCHA verdict
+ */
+const checkCaptcha = async (body, formData, metadata, { formPost, timer, log }) => {
+  const token = getCaptchaToken(body);
+  const result = await timer.measure("captcha", () => verifyCaptcha(token, { ip: metadata.ip }));
+  assertCaptchaConfigured(result, log);
+  const captcha = formPost && !token ? evaluateMissingCaptcha(result) : evaluateCaptcha(result, formData.formId);
+  log.info("captcha.verified", {
+    provider: result.provider,
+    skipped: Boolean(result.skipped),
+    score: captcha.score,
+    outcome: captcha.outcome,
+    reasons: getReasonNames(captcha),
+  });
+  return captcha;
+};
+
+/**
+ * Scores submission and merges the CAPTCHA verdict.
+ * @param {Object} body - Parsed request body
+ * @param {Object} formData - Validated form data
+ * @param {Object} captcha - CAPTCHA verdict
+ * @param {{formPost: boolean, timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} Spam verdict
+ */
+const checkSpam = async (body, formData, captcha, { formPost, timer, log }) => {
+  const score = await timer.measure("spam", () => scoreSubmission({ body, fields: formData.fields, formPost }));
+  const spam = mergeCaptchaVerdict(score, captcha);
+  log.info("spam.scored", { score: spam.score, outcome: spam.outcome, reasons: getReasonNames(spam) });
+  return spam;
+};
+
+/**
+ * Persists submission with metadata and spam verdict.
+ * @param {Object} formData - Validated form data
+ * @param {Object} metadata - Request metadata
+ * @param {Object} spam - Spam verdict
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} Stored submission record
+ */
+const storeSubmission = async (formData, metadata, spam, { timer, log }) => {
+  const submission = await timer.measure("store", () => saveSubmission(formData, { ...metadata, spam }));
+  log.info("submission.saved", {
+    submissionId: submission.id,
+    reference: submission.reference,
+    formId: submission.formId,
+    outcome: spam.outcome,
+  });
+  return submission;
+};
+
+/**
+ * Processes validated POST request (CAPTCHA, spam scoring, storage, email, webhooks).
+ * Quarantined submissions get the regular success body so bots learn nothing.
+ * @param {Object} body - Parsed request body
+ * @param {Object} formData - Validated form data
+ * @param {Object} metadata - Request metadata stored with the submission
+ * @param {{formPost: boolean, timer: Object, log: Object}} context - Request context (deliveryStarted is set once
+ *   emails and webhooks may go out)
+ * @returns {Promise<Object>} Success response (202 if the notification is queued for retry)
+ */
+const processEmailRequest = async (body, formData, metadata, context) => {
+  const captcha = await checkCaptcha(body, formData, metadata, context);
+  if (captcha.outcome === SPAM_OUTCOMES.REJECT) return handleCaptchaRejection(captcha, context.log);
+  const spam = await checkSpam(body, formData, captcha, context);
+  if (spam.outcome === SPAM_OUTCOMES.REJECT) return handleSpamRejection(spam, context.log);
+  const submission = await storeSubmission(formData, metadata, spam, context);
+  if (spam.outcome === SPAM_OUTCOMES.QUARANTINE) return await quarantineSubmission(submission, context.log);
+  context.deliveryStarted = true;
+  return buildDeliveryResponse(submission, await deliverAcceptedSubmission(submission, formData, context));
+};
+
+/**
+ * Handles a submission seen for the first time (rate limiting, then processing).
+ * @param {Object} req - Normalized request
+ * @param {Object} body - Parsed request body
+ * @param {Object} formData - Validated form data
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} HTTP response object
+ */
+const handleNewSubmission = async (req, body, formData, context) => {
+  const ip = getClientIP(req, context.log);
+  const rateLimitResult = await context.timer.measure("rateLimit", () => checkRateLimit({
+    ip: getRateLimitIp(ip),
+    email: formData.email,
+    formId: formData.formId,
+  }));
+  if (!rateLimitResult.allowed) return handleRateLimitExceeded(rateLimitResult, context.log);
+  return await processEmailRequest(body, formData, getRequestMetadata(req, ip, formData.locale), context);
+};
+
+/**
+ * Keeps successful responses for replay and releases the key otherwise so the client can retry.
+ * @param {string} key - Idempotency store key
+ * @param {string} hash - Content hash
+ * @param {Object} response - Response of the first request
+ * @returns {Promise<void>}
+ */
+const settleIdempotencyKey = async (key, hash, response) => {
+  if (response.statusCode < 300) return await completeIdempotencyKey(key, hash, response);
+  await releaseIdempotencyKey(key);
+};
+
+/**
+ * Settles key after the first request threw: released while nothing went out, so the client can retry; once
+ * emails or webhooks may have gone out, kept with the error response, since a retry would send them again.
+ * @param {string} key - Idempotency store key
+ * @param {string} hash - Content hash
+ * @param {{deliveryStarted?: boolean}} context - Request context
+ * @returns {Promise<void>}
+ */
+const settleFailedIdempotencyKey = async (key, hash, { deliveryStarted }) => {
+  if (!deliveryStarted) return await releaseIdempotencyKey(key);
+  await completeIdempotencyKey(key, hash, buildErrorResponse(500, ERROR_CODES.INTERNAL_ERROR, "Internal server error"));
+};
+
+/**
+ * Runs handler once per idempotency key (client header, else content hash); repeats get the original result.
+ * @param {Object} headers - Request headers
+ * @param {Object} formData - Validated form data
+ * @param {{log: Object, deliveryStarted?: boolean}} context - Request context
+ * @param {Function} handle - Handles the first request
+ * @returns {Promise<Object>} HTTP response object
+ */
+const runIdempotently = async (headers, formData, context, handle) => {
+  const hash = hashSubmission(formData);
+  const key = getIdempotencyKey(headers, hash);
+  const claim = await claimIdempotencyKey(key, hash);
+  if (claim.state !== "new") return handleIdempotentRepeat(claim, context.log);
+  try {
+    const response = await handle();
+    await settleIdempotencyKey(key, hash, response);
+    return response;
+  } catch (error) {
+    await settleFailedIdempotencyKey(key, hash, context);
+    throw error;
+  }
+};
+
+/**
+ * Handles complete POST request (validation, idempotency, rate limiting, processing).
+ * Repeats are answered before rate limiting, so a retried success never turns into a 429.
+ * @param {Object} req - Normalized request
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} HTTP response object
+ */
+const handlePostRequest = async (req, context) => {
+  const { body, files } = await context.timer.measure("parse", () => parseRequest(req));
+  const formData = validateFormData(body, files);
+  formData.locale = getRequestLocale(body, req.headers);
+  return await runIdempotently(req.headers, formData, context, () =>
+    handleNewSubmission(req, body, formData, context),
+  );
+};
+
+/**
+ * Handles rate limit exceeded scenario.
+ * @param {Object} result - Result of the policy that tripped
+ * @param {string} result.policy - Policy name
+ * @param {number} result.limit - Policy limit
+ * @param {Date} result.resetTime - When rate limit resets
+ * @param {number} result.retryAfter - Seconds until a retry may succeed
+ * @param {Object} log - Request logger
+ * @returns {Object} Rate limit error response
+ */
+const handleRateLimitExceeded = ({ policy, limit, resetTime, retryAfter }, log) => {
+  log.warn("rate_limit.exceeded", { policy, limit, retryAfter });
+  return buildResponse(
+    429,
+    {
+      error: "Too many requests. Please try again later.",
+      code: ERROR_CODES.RATE_LIMITED,
+      policy,
+      resetTime: resetTime.toISOString(),
+      retryAfter,
+    },
+    {
+      "Retry-After": retryAfter.toString(),
+      "X-RateLimit-Policy": policy,
+      "X-RateLimit-Limit": limit.toString(),
+      "X-RateLimit-Remaining": "0",
+      "X-RateLimit-Reset": resetTime.toISOString(),
+    },
+  );
+};
+
+/**
+ * Handles submission rejected by the CAPTCHA policy.
+ * @param {{reasons: Object[]}} captcha - CAPTCHA verdict
+ * @param {Object} log - Request logger
+ * @returns {Object} Error response
+ */
+const handleCaptchaRejection = ({ reasons }, log) => {
+  const [{ reason, detail }] = reasons;
+  log.warn("captcha.rejected", { reason, detail });
+  if (reason === "captcha_low_score") {
+    return buildErrorResponse(403, ERROR_CODES.CAPTCHA_LOW_SCORE, "Suspicious activity detected");
+  }
+  return buildErrorResponse(403, ERROR_CODES.CAPTCHA_FAILED, "CAPTCHA validation failed");
+};
+
+/**
+ * Handles submission rejected by the spam checks (reasons are logged, not returned).
+ * @param {{score: number, reasons: Object[]}} spam - Spam verdict
+ * @param {Object} log - Request logger
+ * @returns {Object} Error response
+ */
+const handleSpamRejection = (spam, log) => {
+  log.warn("spam.rejected", { score: spam.score, reasons: getReasonNames(spam) });
+  return buildErrorResponse(403, ERROR_CODES.SPAM_REJECTED, "Submission rejected");
+};
+
+/**
+ * Runs POST pipeline and maps thrown errors to responses; unexpected errors are logged, never returned.
+ * @param {Object} req - Normalized request
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} HTTP response object
+ */
+const handlePostSafely = async (req, context) => {
+  try {
+    return await handlePostRequest(req, context);
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      context.log.error("request.error", { error });
+      return buildErrorResponse(500, ERROR_CODES.INTERNAL_ERROR, "Internal server error");
+    }
+    const invalidFields = Object.keys(error.data.fields ?? {});
+    context.log.warn("request.invalid", { status: error.statusCode, code: error.code, invalidFields });
+    return buildHttpErrorResponse(error);
+  }
+};
+
+/**
+ * Handles request from an allowed origin (method check, then POST pipeline).
+ * @param {Object} req - Normalized request
+ * @param {{timer: Object, log: Object}} context - Request context
+ * @returns {Promise<Object>} HTTP response object (without CORS headers)
+ */
+const handleRequest = async (req, context) => {
+  const methodError = validateHttpMethod(req.method);
+  if (methodError) return methodError;
+  return await handlePostSafely(req, context);
+};
+
+/**
+ * Answers repeated request: replays the stored response, or reports a conflict.
+ * @param {{state: string, response?: Object}} claim - Claim result
+ * @param {Object} log - Request logger
+ * @returns {Object} HTTP response object
+ */
+const handleIdempotentRepeat = ({ state, response }, log) => {
+  log.info("idempotency.repeat", { state });
+  if (state === "replay") {
+    const headers = { "Content-Type": "application/json", "Idempotent-Replayed": "true" };
+    return { statusCode: response.statusCode, headers, body: response.body, held: response.held };
+  }
+  if (state === "mismatch") {
+    return buildErrorResponse(422, ERROR_CODES.IDEMPOTENCY_MISMATCH, "Idempotency key was already used for different content");
+  }
+  return buildErrorResponse(409, ERROR_CODES.IDEMPOTENCY_IN_PROGRESS, "This submission is still being processed", {
+    "Retry-After": "2",
+  });
+};
+
+/**
+ * Creates per-request context: correlation ID, browser form post flag, phase timer and a logger bound to the ID.
+ * @param {Object} req - Normalized request
+ * @returns {{requestId: string, formPost: boolean, timer: Object, log: Object}} Request context
+ */
+const createRequestContext = (req) => {
+  const requestId = getRequestId(req.headers);
+  const log = createLogger({ function: "send-email", requestId });
+  return { requestId, formPost: isFormPost(req), timer: createTimer(), log };
+};
+
+/**
+ * Answers plain HTML form posts with a 303 redirect to the success, held or error page, others with JSON.
+ * @param {Object} response - JSON response object
+ * @param {{requestId: string, formPost: boolean, log: Object}} context - Request context
+ * @returns {Object} Response object
+ */
+const toClientResponse = (response, { requestId, formPost, log }) => {
+  if (!formPost) return response;
+  log.info("request.redirected", { status: response.statusCode });
+  return toResultRedirect(response, requestId);
+};
+
+/**
+ * Logs completion and adds request ID and Server-Timing headers.
+ * @param {Object} response - Response object
+ * @param {{requestId: string, timer: Object, log: Object}} context - Request context
+ * @returns {Object} Response with headers
+ */
+const finishRequest = (response, { requestId, timer, log }) => {
+  const { totalMs, phases } = timer.toJSON();
+  // Keyed by "phase": "name" and "email" are redacted log keys
+  const timings = phases.map(({ name, durationMs }) => ({ phase: name, durationMs }));
+  log.info("request.completed", { status: response.statusCode, totalMs, phases: timings });
+  return {
+    ...response,
+    headers: { ...response.headers, [REQUEST_ID_HEADER]: requestId, "Server-Timing": timer.toHeader() },
+  };
+};
+
+/**
+ * Runs the pipeline for a normalized request (origin check, then method check and POST pipeline).
+ * @param {Object} req - Normalized request
+ * @returns {Promise<Object>} HTTP response object
+ */
+const respond = async (req) => {
+  const context = createRequestContext(req);
+  context.log.info("request.received", { method: req.method, contentType: req.headers["content-type"] });
+  const cors = resolveCors(req.headers, CORS_OPTIONS);
+  if (!cors.allowed) {
+    context.log.warn("origin.rejected", { origin: req.headers.origin });
+    const response = buildErrorResponse(403, ERROR_CODES.ORIGIN_NOT_ALLOWED, "Origin not allowed");
+    return finishRequest(withCorsHeaders(toClientResponse(response, context), cors.headers), context);
+  }
+  const response = toClientResponse(await handleRequest(req, context), context);
+  return finishRequest(withCorsHeaders(response, cors.headers), context);
+};
+
+// === MAIN HANDLER ===
+/**
+ * Handles a contact form request; platform adapters pass the Web Request and return the Web Response.
+ * @param {Request} request - Web Request
+ * @param {{clientIp?: string}} [platform] - Peer address the platform adapter vouches for
+ * @returns {Promise<Response>} Web Response
+ */
+export const handleSendEmail = async (request, platform = {}) =>
+  toWebResponse(await respond(await readRequest(request, platform)));
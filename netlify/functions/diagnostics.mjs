@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Netlify serverless function reporting backend diagnostics
+ * @description Authenticated (DIAGNOSTICS_TOKEN) JSON status of env vars, email transport, CAPTCHA, config, stores and outbox
+ * @module diagnostics
+ */
+
+import { connectStores } from "./stores/registry.mjs";
+import { HttpError } from "./http/errors.mjs";
+import { getRequestId } from "./http/request-id.mjs";
+import { createLogger } from "./logging/logger.mjs";
+import { ERROR_CODES } from "../../shared/errors.js";
+import { assertBearerToken } from "./http/auth.mjs";
+import { createTimer } from "./http/timing.mjs";
+import { runDiagnostics } from "./diagnostics/checks.mjs";
+
+const ERROR_HEADERS = {
+  401: { "WWW-Authenticate": "Bearer" },
+  405: { Allow: "GET" },
+};
+
+// === RESPONSE BUILDERS ===
+/**
+ * Builds JSON response (never cached).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    ...extraHeaders,
+  },
+  body: JSON.stringify(data),
+});
+
+/**
+ * Builds error response from HttpError (with WWW-Authenticate/Allow where required).
+ * @param {HttpError} error - HTTP error
+ * @returns {Object} Response object
+ */
+const buildHttpErrorResponse = (error) =>
+  buildResponse(error.statusCode, { error: error.message, code: error.code, ...error.data }, ERROR_HEADERS[error.statusCode]);
+
+/**
+ * Runs diagnostics: 200 when ok or degraded, 503 when a check failed (for uptime monitors).
+ * @returns {Promise<Object>} Report response
+ */
+const handleDiagnostics = async () => {
+  const timer = createTimer();
+  const report = await runDiagnostics(timer);
+  const statusCode = report.status === "error" ? 503 : 200;
+  return buildResponse(statusCode, { ...report, durationMs: timer.toJSON().totalMs }, { "Server-Timing": timer.toHeader() });
+};
+
+// === MAIN HANDLER ===
+/**
+ * Main Netlify function handler for diagnostics (reports stores on memory instead of refusing them).
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response object
+ */
+export const handler = async (event) => {
+  connectStores(event, { requireShared: false });
+  try {
+    assertBearerToken(event.headers || {}, "DIAGNOSTICS_TOKEN", "Diagnostics");
+    if (event.httpMethod !== "GET") throw new HttpError(405, "Method not allowed");
+    return await handleDiagnostics();
+  } catch (error) {
+    if (error instanceof HttpError) return buildHttpErrorResponse(error);
+    createLogger({ function: "diagnostics", requestId: getRequestId(event.headers) }).error("request.error", { error });
+    return buildResponse(500, { error: "Internal server error", code: ERROR_CODES.INTERNAL_ERROR });
+  }
+};
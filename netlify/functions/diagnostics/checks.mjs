@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Backend diagnostics
+ * @description Checks environment, email transport, CAPTCHA, configuration, stores and outbox; each check reports ok, warn or error
+ * @module diagnostics/checks
+ */
+
+import { FORM_SCHEMAS } from "../../../shared/forms.js";
+import { findMissingEnvVars, getEmailProvider, getEmailTransporter } from "../transports/registry.mjs";
+import { createCaptchaVerifier, getCaptchaEnvVars, getCaptchaProvider } from "../captcha/registry.mjs";
+import { loadCaptchaPolicy } from "../captcha/policy.mjs";
+import { loadPolicies } from "../rate-limit/policies.mjs";
+import { loadSpamConfig } from "../spam/config.mjs";
+import { loadWebhookTargets } from "../webhooks/targets.mjs";
+import { loadRoutingRules } from "../routing/rules.mjs";
+import { loadProxyTrust } from "../http/client-ip.mjs";
+import { createStore, getStoreBackend, STORE_NAMESPACES } from "../stores/registry.mjs";
+import { hasBlobsContext } from "../stores/netlify-blobs.mjs";
+import { countJobs, OUTBOX_NAMESPACE } from "../outbox/queue.mjs";
+import {
+  findUnsharedVerificationStores,
+  isDoubleOptInEnabled,
+  VERIFICATION_ENV_VARS,
+} from "../verification/token.mjs";
+
+const CHECK_TIMEOUT_MS = 5000;
+const STATUS_ORDER = ["ok", "warn", "error"];
+
+/**
+ * Returns most severe status of results.
+ * @param {Array<{status: string}>} results - Check results
+ * @returns {string} ok | warn | error
+ */
+const getWorstStatus = (results) =>
+  STATUS_ORDER[Math.max(0, ...results.map(({ status }) => STATUS_ORDER.indexOf(status)))];
+
+/**
+ * Rejects if promise does not settle in time (SMTP connects can hang for minutes).
+ * @param {Promise} promise - Pending work
+ * @param {string} label - Name for the timeout error
+ * @returns {Promise<*>} Result of promise
+ */
+const withTimeout = (promise, label) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`${label} timed out after ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS).unref();
+    }),
+  ]);
+
+/**
+ * Checks sender, recipient and email provider variables (and the link secret and shared stores with DOUBLE_OPT_IN).
+ * @returns {Object} Check result
+ */
+const checkEnvironment = () => {
+  const doubleOptIn = isDoubleOptInEnabled();
+  const verificationVars = doubleOptIn ? VERIFICATION_ENV_VARS : [];
+  const missing = [...findMissingEnvVars(), ...verificationVars.filter((key) => !process.env[key])];
+  const unsharedStores = doubleOptIn ? findUnsharedVerificationStores() : [];
+  const status = missing.length > 0 || unsharedStores.length > 0 ? "error" : "ok";
+  return { status, provider: getEmailProvider(), doubleOptIn, missing, unsharedStores };
+};
+
+/**
+ * Verifies email transport (SMTP handshake, or required settings for API providers).
+ * @returns {Promise<Object>} Check result
+ */
+const checkTransport = async () => {
+  const transport = getEmailTransporter();
+  await withTimeout(transport.verify(), "Transport verification");
+  return { status: "ok", provider: transport.name };
+};
+
+/**
+ * Returns CAPTCHA check status: missing secrets reject every submission (error), CAPTCHA_PROVIDER=none leaves only
+ * the spam checks (warn).
+ * @param {string} provider - Provider name
+ * @param {string[]} missing - Missing env vars
+ * @returns {{status: string, detail?: string}} Status and explanation
+ */
+const getCaptchaStatus = (provider, missing) => {
+  if (missing.length > 0) return { status: "error", detail: "Submissions are refused until the secret is set" };
+  return provider === "none" ? { status: "warn", detail: "CAPTCHA verification is disabled" } : { status: "ok" };
+};
+
+/**
+ * Checks CAPTCHA provider, secrets and the policy of every form.
+ * @returns {Object} Check result
+ */
+const checkCaptcha = () => {
+  createCaptchaVerifier();
+  const provider = getCaptchaProvider();
+  const missing = getCaptchaEnvVars().filter((key) => !process.env[key]);
+  Object.keys(FORM_SCHEMAS).forEach((formId) => loadCaptchaPolicy(formId));
+  return { ...getCaptchaStatus(provider, missing), provider, missing };
+};
+
+/**
+ * Parses settings (RATE_LIMIT_POLICIES, SPAM_CONFIG, WEBHOOK_TARGETS, ROUTING_RULES, TRUSTED_PROXIES).
+ * @returns {Object} Check result
+ */
+const checkConfig = () => {
+  loadPolicies();
+  loadSpamConfig();
+  const { count, ranges } = loadProxyTrust();
+  return {
+    status: "ok",
+    webhookTargets: loadWebhookTargets().length,
+    routingRules: loadRoutingRules().length,
+    clientIp: { trustedProxyHops: count, trustedProxyRanges: ranges.length },
+  };
+};
+
+/**
+ * Returns status of a reachable store: memory is not shared between instances (warn), and the other
+ * functions refuse it on Netlify (error).
+ * @param {string} backend - Backend name
+ * @returns {string} ok | warn | error
+ */
+const getBackendStatus = (backend) => {
+  if (backend !== "memory") return "ok";
+  return hasBlobsContext() ? "error" : "warn";
+};
+
+/**
+ * Pings store of one namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Promise<Object>} Namespace result
+ */
+const pingStore = async (namespace) => {
+  const backend = getStoreBackend(namespace);
+  try {
+    if (!(await withTimeout(createStore(namespace).ping(), `Store "${namespace}"`))) throw new Error("Ping failed");
+    return { namespace, backend, status: getBackendStatus(backend) };
+  } catch (error) {
+    return { namespace, backend, status: "error", error: error.message };
+  }
+};
+
+/**
+ * Checks connectivity of all store namespaces.
+ * @returns {Promise<Object>} Check result
+ */
+const checkStores = async () => {
+  const namespaces = await Promise.all(STORE_NAMESPACES.map(pingStore));
+  return { status: getWorstStatus(namespaces), namespaces };
+};
+
+/**
+ * Counts outbox jobs; dead letters mean emails were given up, and on memory nothing is ever retried (warn).
+ * @returns {Promise<Object>} Check result
+ */
+const checkOutbox = async () => {
+  const counts = await withTimeout(countJobs(), "Outbox");
+  if (getStoreBackend(OUTBOX_NAMESPACE) === "memory") {
+    return { status: "warn", ...counts, error: "outbox-worker cannot see jobs in the memory store" };
+  }
+  return { status: counts.dead > 0 ? "warn" : "ok", ...counts };
+};
+
+const CHECKS = {
+  environment: checkEnvironment,
+  transport: checkTransport,
+  captcha: checkCaptcha,
+  config: checkConfig,
+  stores: checkStores,
+  outbox: checkOutbox,
+};
+
+/**
+ * Runs check, turning thrown errors into an error result.
+ * @param {Function} check - Check function
+ * @returns {Promise<Object>} Check result
+ */
+const settleCheck = async (check) => {
+  try {
+    return await check();
+  } catch (error) {
+    return { status: "error", error: error.message };
+  }
+};
+
+/**
+ * Runs all checks concurrently.
+ * @param {Object} timer - Request timer (one phase per check)
+ * @returns {Promise<{status: string, checkedAt: string, checks: Object}>} Report; status is ok, degraded (warnings) or error
+ */
+export const runDiagnostics = async (timer) => {
+  const results = await Promise.all(
+    Object.entries(CHECKS).map(async ([name, check]) => [name, await timer.measure(name, () => settleCheck(check))]),
+  );
+  const checks = Object.fromEntries(results);
+  const worst = getWorstStatus(Object.values(checks));
+  return { status: worst === "warn" ? "degraded" : worst, checkedAt: new Date().toISOString(), checks };
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Netlify serverless function issuing signed render timestamps
+ * @description The SPA fetches a token when it renders a form; send-email measures time-to-submit with it
+ * @module form-token
+ */
+
+import { createRenderToken, getRenderTokenSecret } from "./spam/render-token.mjs";
+import { buildPreflightResponse, resolveCors, withCorsHeaders } from "./http/cors.mjs";
+import { ERROR_CODES } from "../../shared/errors.js";
+
+const CORS_OPTIONS = { methods: "GET, OPTIONS", allowHeaders: "Content-Type" };
+
+/**
+ * Builds JSON response (never cached, every token carries its own timestamp).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    ...extraHeaders,
+  },
+  body: JSON.stringify(data),
+});
+
+/**
+ * Issues token: GET returns {token} (null if SPAM_TOKEN_SECRET is unset).
+ * @param {string} method - HTTP method
+ * @returns {Object} HTTP response object (without CORS headers)
+ */
+const issueToken = (method) => {
+  if (method === "OPTIONS") return buildPreflightResponse();
+  if (method !== "GET") {
+    return buildResponse(405, { error: "Method not allowed", code: ERROR_CODES.METHOD_NOT_ALLOWED }, { Allow: CORS_OPTIONS.methods });
+  }
+  const secret = getRenderTokenSecret();
+  return buildResponse(200, { token: secret ? createRenderToken(secret) : null });
+};
+
+/**
+ * Main Netlify function handler (same origin allowlist as send-email).
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response object
+ */
+export const handler = async (event) => {
+  const cors = resolveCors(event.headers || {}, CORS_OPTIONS);
+  if (!cors.allowed) {
+    const response = buildResponse(403, { error: "Origin not allowed", code: ERROR_CODES.ORIGIN_NOT_ALLOWED });
+    return withCorsHeaders(response, cors.headers);
+  }
+  return withCorsHeaders(issueToken(event.httpMethod), cors.headers);
+};
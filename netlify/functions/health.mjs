@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Netlify function checking email transport health
+ * @description Verifies the shared email transport (SMTP handshake or provider settings) outside the submission path
+ * @module health
+ */
+
+import { checkEnvVariables, getEmailProvider, getEmailTransporter } from "./transports/registry.mjs";
+import { createTimer } from "./http/timing.mjs";
+import { getRequestId } from "./http/request-id.mjs";
+import { createLogger } from "./logging/logger.mjs";
+import { ERROR_CODES } from "../../shared/errors.js";
+
+/**
+ * Builds JSON response (never cached).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} [extraHeaders] - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...extraHeaders },
+  body: JSON.stringify(data),
+});
+
+/**
+ * Verifies configuration and transport (the pooled SMTP connection stays open for the next send).
+ * @returns {Promise<void>}
+ * @throws {Error} If configuration is incomplete or the transport cannot connect
+ */
+const verifyTransport = async () => {
+  checkEnvVariables();
+  await getEmailTransporter().verify();
+};
+
+/**
+ * Main handler: 200 if the transport is usable, 503 otherwise (details are only logged).
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response object
+ */
+export const handler = async (event) => {
+  if (event.httpMethod !== "GET") return buildResponse(405, { error: "Method not allowed", code: ERROR_CODES.METHOD_NOT_ALLOWED }, { Allow: "GET" });
+  const timer = createTimer();
+  const provider = getEmailProvider();
+  try {
+    await timer.measure("verify", verifyTransport);
+    return buildResponse(200, { status: "ok", provider, ...timer.toJSON() }, { "Server-Timing": timer.toHeader() });
+  } catch (error) {
+    createLogger({ function: "health", requestId: getRequestId(event.headers) }).error("health.failed", { provider, error });
+    return buildResponse(503, { status: "error", provider, ...timer.toJSON() }, { "Server-Timing": timer.toHeader() });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Bearer token authentication
+ * @description Compares the Authorization header against a token from the environment in constant time
+ * @module http/auth
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { HttpError } from "./errors.mjs";
+
+/**
+ * Hashes value so tokens of different length compare in constant time.
+ * @param {string} value - Token
+ * @returns {Buffer} SHA-256 digest
+ */
+const digest = (value) => createHash("sha256").update(value).digest();
+
+/**
+ * Extracts bearer token from Authorization header.
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {string|null} Token or null
+ */
+const getBearerToken = (headers) =>
+  /^Bearer\s+(\S+)$/i.exec(headers.authorization || "")?.[1] ?? null;
+
+/**
+ * Ensures request carries the token configured in envVar.
+ * @param {Object} headers - Request headers
+ * @param {string} envVar - Environment variable holding the expected token
+ * @param {string} service - Service name for the "not configured" error
+ * @throws {HttpError} 503 if no token is configured, 401 if token is missing or wrong
+ */
+export const assertBearerToken = (headers, envVar, service) => {
+  const expected = process.env[envVar];
+  if (!expected) throw new HttpError(503, `${service} not configured`);
+  const token = getBearerToken(headers);
+  if (!token || !timingSafeEqual(digest(token), digest(expected))) {
+    throw new HttpError(401, "Unauthorized");
+  }
+};
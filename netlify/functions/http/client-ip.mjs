@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Client IP resolution behind proxies
+ * @description Starts from the peer address the platform adapter vouches for and walks Forwarded / X-Forwarded-For
+ * chains only across configured proxies (TRUSTED_PROXIES); addresses are normalized so one client always yields the same key
+ * @module http/client-ip
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const HEXTET_PATTERN = /^[0-9a-f]{1,4}$/i;
+const MAPPED_IPV4_PREFIX = "0:0:0:0:0:ffff:";
+
+// === PARSING ===
+/**
+ * Parses IPv4 address into its numeric value.
+ * @param {string} ip - Dotted IPv4 address
+ * @returns {bigint|null} Value, null if malformed
+ */
+const parseIpv4 = (ip) => {
+  const match = IPV4_PATTERN.exec(ip);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some((octet) => octet > 255)) return null;
+  return octets.reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+};
+
+/**
+ * Rewrites an embedded IPv4 tail ("::ffff:1.2.3.4") as two hextets.
+ * @param {string} ip - IPv6 address
+ * @returns {string|null} Address with hex-only groups, null if the tail is malformed
+ */
+const inlineIpv4Tail = (ip) => {
+  if (!ip.includes(".")) return ip;
+  const index = ip.lastIndexOf(":");
+  const value = parseIpv4(ip.slice(index + 1));
+  if (value === null) return null;
+  return `${ip.slice(0, index + 1)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+};
+
+/**
+ * Expands IPv6 address into eight 16-bit groups.
+ * @param {string} ip - IPv6 address
+ * @returns {number[]|null} Groups, null if malformed
+ */
+const parseIpv6 = (ip) => {
+  const halves = inlineIpv4Tail(ip)?.split("::") ?? [];
+  if (halves.length < 1 || halves.length > 2) return null;
+  const [head, tail = []] = halves.map((half) => (half ? half.split(":") : []));
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  return groups.every((group) => HEXTET_PATTERN.test(group)) ? groups.map((group) => parseInt(group, 16)) : null;
+};
+
+/**
+ * Formats IPv4 value as dotted address.
+ * @param {bigint} value - Numeric IPv4 value
+ * @returns {string} Dotted address
+ */
+const formatIpv4 = (value) => [24n, 16n, 8n, 0n].map((shift) => String((value >> shift) & 0xffn)).join(".");
+
+/**
+ * Finds the longest run of at least two zero groups (RFC 5952 compression).
+ * @param {number[]} groups - IPv6 groups
+ * @returns {{start: number, length: number}} Run (length 0 if none)
+ */
+const findZeroRun = (groups) => {
+  let best = { start: -1, length: 0 };
+  for (let start = 0; start < groups.length; start += 1) {
+    let length = 0;
+    while (groups[start + length] === 0) length += 1;
+    if (length > best.length) best = { start, length };
+  }
+  return best.length >= 2 ? best : { start: -1, length: 0 };
+};
+
+/**
+ * Formats IPv6 groups in canonical RFC 5952 form (lower case, no leading zeros, longest zero run as "::").
+ * @param {number[]} groups - IPv6 groups
+ * @returns {string} Canonical address
+ */
+const formatIpv6 = (groups) => {
+  const hex = groups.map((group) => group.toString(16));
+  const { start, length } = findZeroRun(groups);
+  if (length === 0) return hex.join(":");
+  return `${hex.slice(0, start).join(":")}::${hex.slice(start + length).join(":")}`;
+};
+
+/**
+ * Removes quotes, brackets, ports and IPv6 zone ids ("[2001:db8::1]:443", "1.2.3.4:80", "fe80::1%eth0").
+ * @param {string} value - Raw address from a header
+ * @returns {string} Bare address
+ */
+const stripDecorations = (value) => {
+  const text = value.trim().replace(/^"|"$/g, "");
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(text);
+  const address = bracketed ? bracketed[1] : text.replace(/^([\d.]+):\d+$/, "$1");
+  return address.split("%")[0];
+};
+
+/**
+ * Normalizes IP address: IPv4 dotted, IPv6 canonical, IPv4-mapped IPv6 as IPv4.
+ * @param {string} [value] - Raw address
+ * @returns {string|null} Normalized address, null if not an IP (e.g. "unknown" or an obfuscated identifier)
+ */
+export const normalizeIp = (value) => {
+  const address = stripDecorations(String(value ?? ""));
+  if (!address.includes(":")) {
+    const ipv4 = parseIpv4(address);
+    return ipv4 === null ? null : formatIpv4(ipv4);
+  }
+  const groups = parseIpv6(address);
+  if (!groups) return null;
+  const canonical = groups.map((group) => group.toString(16)).join(":");
+  return canonical.startsWith(MAPPED_IPV4_PREFIX)
+    ? formatIpv4((BigInt(groups[6]) << 16n) + BigInt(groups[7]))
+    : formatIpv6(groups);
+};
+
+/**
+ * Reduces normalized IPv6 address to its /64 network (the block one subscriber usually gets).
+ * @param {string} ip - Normalized IPv6 address
+ * @returns {string} Network address, e.g. "2001:db8:1:2::"
+ */
+export const toIpv6Network = (ip) => formatIpv6([...parseIpv6(ip).slice(0, 4), 0, 0, 0, 0]);
+
+/**
+ * Anonymizes normalized address for logs (IPv4 /24, IPv6 /64).
+ * @param {string|null} ip - Normalized address
+ * @returns {string|null} Network address, e.g. "203.0.113.0" or "2001:db8:1:2::"
+ */
+export const anonymizeIp = (ip) => {
+  if (!ip) return null;
+  return ip.includes(":") ? toIpv6Network(ip) : ip.replace(/\.\d+$/, ".0");
+};
+
+// === TRUSTED PROXIES ===
+/**
+ * Converts normalized address to version and numeric value.
+ * @param {string} ip - Normalized address
+ * @returns {{bits: number, value: bigint}} Address width and value
+ */
+const toAddressValue = (ip) => {
+  if (!ip.includes(":")) return { bits: 32, value: parseIpv4(ip) };
+  return { bits: 128, value: parseIpv6(ip).reduce((value, group) => (value << 16n) + BigInt(group), 0n) };
+};
+
+/**
+ * Parses CIDR range ("10.0.0.0/8", "2001:db8::/32"); a bare address is a single-host range.
+ * @param {string} entry - TRUSTED_PROXIES entry
+ * @returns {{bits: number, value: bigint, prefix: number}} Range
+ * @throws {Error} If entry is no valid address or prefix
+ */
+const parseCidr = (entry) => {
+  const [address, prefixText] = entry.split("/");
+  const ip = normalizeIp(address);
+  const range = ip ? toAddressValue(ip) : null;
+  const prefix = prefixText === undefined ? range?.bits : Number(prefixText);
+  if (!range || !Number.isInteger(prefix) || prefix < 0 || prefix > range.bits) {
+    throw new Error(`Invalid TRUSTED_PROXIES entry "${entry}"`);
+  }
+  return { ...range, prefix };
+};
+
+/**
+ * Checks whether address lies within range.
+ * @param {string} ip - Normalized address
+ * @param {{bits: number, value: bigint, prefix: number}} range - CIDR range
+ * @returns {boolean} True if inside
+ */
+const isInRange = (ip, { bits, value, prefix }) => {
+  const address = toAddressValue(ip);
+  const shift = BigInt(bits - prefix);
+  return address.bits === bits && address.value >> shift === value >> shift;
+};
+
+/**
+ * Loads proxy trust from TRUSTED_PROXIES: a hop count ("1") or a comma-separated CIDR list; unset trusts no proxy.
+ * @returns {{count: number, ranges: Object[]}} Proxy trust
+ * @throws {Error} If an entry is invalid
+ */
+export const loadProxyTrust = () => {
+  const raw = (process.env.TRUSTED_PROXIES || "").trim();
+  if (/^\d+$/.test(raw)) return { count: Number(raw), ranges: [] };
+  return { count: 0, ranges: raw.split(",").map((entry) => entry.trim()).filter(Boolean).map(parseCidr) };
+};
+
+// === FORWARDING CHAINS ===
+/**
+ * Reads "for" parameters of a Forwarded header (RFC 7239), first hop first.
+ * @param {string} header - Forwarded header value
+ * @returns {Array<string|null>} Normalized addresses (null for obfuscated or unknown hops)
+ */
+const parseForwarded = (header) =>
+  header.split(",").map((element) => {
+    const pair = element.split(";").map((part) => part.trim()).find((part) => /^for=/i.test(part));
+    return pair ? normalizeIp(pair.slice(4)) : null;
+  });
+
+/**
+ * Builds hop chain from Forwarded, else X-Forwarded-For.
+ * @param {Object} headers - Lower-case request headers
+ * @returns {{source: string, chain: Array<string|null>}|null} Chain, null if neither header is present
+ */
+const getForwardingChain = (headers) => {
+  if (headers.forwarded) return { source: "forwarded", chain: parseForwarded(headers.forwarded) };
+  if (!headers["x-forwarded-for"]) return null;
+  return { source: "x-forwarded-for", chain: headers["x-forwarded-for"].split(",").map(normalizeIp) };
+};
+
+/**
+ * Appends the peer to the hops unless the proxy already listed it last.
+ * @param {Array<string|null>} hops - Forwarded hops, first hop first
+ * @param {string} peer - Normalized peer address
+ * @returns {Array<string|null>} Chain ending with the peer
+ */
+const toChain = (hops, peer) => (hops.at(-1) === peer ? hops : [...hops, peer]);
+
+/**
+ * Picks client from a chain ending with the peer: the hop `count` proxies before the peer, or the rightmost hop
+ * outside trusted ranges (the peer itself unless it is a trusted proxy).
+ * @param {Array<string|null>} chain - Hops, first hop first, peer last
+ * @param {{count: number, ranges: Object[]}} trust - Proxy trust
+ * @returns {string|null} Client address
+ */
+const pickClient = (chain, { count, ranges }) => {
+  if (count > 0) return chain[Math.max(chain.length - 1 - count, 0)];
+  const isTrusted = (ip) => ip !== null && ranges.some((range) => isInRange(ip, range));
+  const untrusted = [...chain].reverse().find((ip) => !isTrusted(ip));
+  return untrusted === undefined ? chain[0] : untrusted;
+};
+
+/**
+ * Resolves client IP from the peer address the platform adapter reports (Netlify's connection IP, Cloudflare's
+ * cf-connecting-ip, the Node socket); forwarding headers count only with TRUSTED_PROXIES, request headers alone never.
+ * @param {Object} [headers] - Lower-case request headers
+ * @param {string|null} [peerIp] - Address of the connecting peer, as vouched for by the platform
+ * @returns {{ip: string|null, source: string|null}} Normalized address and where it came from ("peer" or the header)
+ * @throws {Error} If TRUSTED_PROXIES is invalid
+ */
+export const resolveClientIp = (headers = {}, peerIp = null) => {
+  const peer = normalizeIp(peerIp);
+  if (!peer) return { ip: null, source: null };
+  const trust = loadProxyTrust();
+  const forwarding = trust.count > 0 || trust.ranges.length > 0 ? getForwardingChain(headers) : null;
+  if (!forwarding) return { ip: peer, source: "peer" };
+  const ip = pickClient(toChain(forwarding.chain, peer), trust);
+  if (ip === null) return { ip: null, source: null };
+  return { ip, source: ip === peer ? "peer" : forwarding.source };
+};
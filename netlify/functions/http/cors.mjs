@@ -0,0 +1,95 @@
+/**
+ * @fileoverview CORS origin allowlist
+ * @description Resolves per-request CORS headers from CORS_ALLOWED_ORIGINS (exact origins and "*." subdomain wildcards)
+ * @module http/cors
+ */
+
+const PREFLIGHT_MAX_AGE_SECONDS = 24 * 60 * 60;
+const SUBDOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Normalizes origin (lower case, no trailing slash).
+ * @param {string} origin - Origin or allowlist entry
+ * @returns {string} Normalized origin
+ */
+const normalizeOrigin = (origin) => origin.trim().toLowerCase().replace(/\/+$/, "");
+
+/**
+ * Returns allowed origins: CORS_ALLOWED_ORIGINS (comma-separated), else the site URLs Netlify provides.
+ * An empty list (local development without either) allows any origin.
+ * @returns {string[]} Allowlist entries
+ */
+export const getAllowedOrigins = () => {
+  const configured = process.env.CORS_ALLOWED_ORIGINS;
+  const entries = configured ? configured.split(",") : [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL];
+  return entries.filter(Boolean).map(normalizeOrigin).filter(Boolean);
+};
+
+/**
+ * Matches origin against one allowlist entry ("*", exact origin or "https://*.example.com").
+ * @param {string} origin - Normalized request origin
+ * @param {string} entry - Normalized allowlist entry
+ * @returns {boolean} True if origin matches
+ */
+const matchesEntry = (origin, entry) => {
+  if (entry === "*" || entry === origin) return true;
+  const wildcard = entry.indexOf("://*.");
+  if (wildcard === -1) return false;
+  const scheme = entry.slice(0, wildcard + 3);
+  const domain = entry.slice(wildcard + 4);
+  if (!origin.startsWith(scheme) || !origin.endsWith(domain)) return false;
+  return SUBDOMAIN_PATTERN.test(origin.slice(scheme.length, -domain.length));
+};
+
+/**
+ * Checks origin against the allowlist.
+ * @param {string} origin - Request origin
+ * @param {string[]} [allowed] - Allowlist entries
+ * @returns {boolean} True if allowed
+ */
+export const isOriginAllowed = (origin, allowed = getAllowedOrigins()) =>
+  allowed.length === 0 || allowed.some((entry) => matchesEntry(normalizeOrigin(origin), entry));
+
+/**
+ * Resolves CORS for a request. Requests without Origin (same-origin GET, curl, servers) are not CORS requests
+ * and pass; browsers on other sites get 403 before any further processing.
+ * @param {Object} headers - Lower-case request headers
+ * @param {{methods: string, allowHeaders: string, exposeHeaders?: string}} options - Allowed methods, request headers and response headers readable by the page
+ * @returns {{allowed: boolean, headers: Object}} Decision and headers to add to every response
+ */
+export const resolveCors = (headers, { methods, allowHeaders, exposeHeaders }) => {
+  const origin = headers.origin;
+  if (!origin) return { allowed: true, headers: { Vary: "Origin" } };
+  if (!isOriginAllowed(origin)) return { allowed: false, headers: { Vary: "Origin" } };
+  return {
+    allowed: true,
+    headers: {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": methods,
+      "Access-Control-Allow-Headers": allowHeaders,
+      ...(exposeHeaders && { "Access-Control-Expose-Headers": exposeHeaders }),
+      Vary: "Origin",
+    },
+  };
+};
+
+/**
+ * Builds 204 preflight response (CORS headers are added by resolveCors).
+ * @returns {Object} Response object
+ */
+export const buildPreflightResponse = () => ({
+  statusCode: 204,
+  headers: { "Access-Control-Max-Age": String(PREFLIGHT_MAX_AGE_SECONDS) },
+  body: "",
+});
+
+/**
+ * Adds CORS headers to a response.
+ * @param {Object} response - Response object
+ * @param {Object} corsHeaders - Headers from resolveCors
+ * @returns {Object} Response with CORS headers
+ */
+export const withCorsHeaders = (response, corsHeaders) => ({
+  ...response,
+  headers: { ...corsHeaders, ...response.headers },
+});
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview HTTP error type for the form pipeline
+ * @description Errors that carry a status code, an error code and extra response fields for the client
+ * @module http/errors
+ */
+
+import { ERROR_CODES, STATUS_ERROR_CODES } from "../../../shared/errors.js";
+
+/**
+ * Returns error code for a status without an explicit code.
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} Error code
+ */
+export const getDefaultErrorCode = (statusCode) => STATUS_ERROR_CODES[statusCode] ?? ERROR_CODES.INTERNAL_ERROR;
+
+/**
+ * Error that maps directly onto an HTTP error response.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message returned to the client
+   * @param {Object} [data] - Additional response fields (e.g. per-field errors)
+   * @param {string} [code] - Error code from shared/errors.js (defaults by status code)
+   */
+  constructor(statusCode, message, data = {}, code = getDefaultErrorCode(statusCode)) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.data = data;
+    this.code = code;
+  }
+}
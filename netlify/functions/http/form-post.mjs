@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Plain HTML form posts (progressive enhancement)
+ * @description Parses urlencoded bodies and turns JSON results into 303 redirects to the SPA's result pages
+ * @module http/form-post
+ */
+
+/**
+ * Result pages per outcome: variable that overrides the page and the SPA route that renders it from the query.
+ * @type {Object<string, {variable: string, path: string}>}
+ */
+const RESULT_PAGES = {
+  success: { variable: "FORM_SUCCESS_URL", path: "/form/success" },
+  held: { variable: "FORM_HELD_URL", path: "/form/held" },
+  error: { variable: "FORM_ERROR_URL", path: "/form/error" },
+};
+
+/**
+ * Checks whether content type is application/x-www-form-urlencoded.
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {boolean} True for urlencoded bodies
+ */
+export const isUrlEncoded = (contentType = "") =>
+  contentType.toLowerCase().startsWith("application/x-www-form-urlencoded");
+
+/**
+ * Parses urlencoded body into text fields (the last value of a repeated name wins).
+ * @param {string} body - Raw request body
+ * @returns {Object<string, string>} Fields
+ */
+export const parseUrlEncoded = (body) => Object.fromEntries(new URLSearchParams(body || ""));
+
+/**
+ * Checks whether a browser posted the form without JavaScript: urlencoded, or multipart navigation expecting HTML.
+ * @param {{method: string, headers: Object}} req - Normalized request
+ * @returns {boolean} True if the response should redirect to a result page
+ */
+export const isFormPost = ({ method, headers = {} }) =>
+  method === "POST" && (isUrlEncoded(headers["content-type"]) || (headers.accept || "").includes("text/html"));
+
+/**
+ * Maps response to result page outcome; quarantined submissions (held) are not reported as sent.
+ * @param {{statusCode: number, held?: boolean}} response - JSON response object
+ * @returns {string} Outcome (success|held|error)
+ */
+const getOutcome = ({ statusCode, held }) => {
+  if (statusCode >= 300) return "error";
+  return held ? "held" : "success";
+};
+
+/**
+ * Resolves result page URL (FORM_SUCCESS_URL / FORM_HELD_URL / FORM_ERROR_URL); paths are prefixed with SITE_URL
+ * or Netlify's URL.
+ * @param {string} outcome - Outcome (success|held|error)
+ * @returns {string} Page URL
+ */
+const getResultPageUrl = (outcome) => {
+  const { variable, path } = RESULT_PAGES[outcome];
+  const page = process.env[variable] || path;
+  if (/^https?:\/\//i.test(page)) return page;
+  return `${(process.env.SITE_URL || process.env.URL || "").replace(/\/+$/, "")}${page}`;
+};
+
+/**
+ * Picks query parameters for the result page from the JSON response body.
+ * @param {string} outcome - Outcome (success|held|error)
+ * @param {Object} result - Parsed response body
+ * @param {string} requestId - Request ID
+ * @returns {Object<string, string>} Query parameters (unset values omitted)
+ */
+const getResultParams = (outcome, result, requestId) => {
+  const params = outcome !== "error"
+    ? { reference: result.reference, verify: result.verificationRequired ? "1" : undefined }
+    : { code: result.code, retryAfter: result.retryAfter, requestId };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+};
+
+/**
+ * Parses JSON response body.
+ * @param {Object} response - JSON response object
+ * @returns {Object} Parsed body (empty if not JSON)
+ */
+const readResult = (response) => {
+  try {
+    return JSON.parse(response.body || "{}");
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Builds Location of the result page for a response.
+ * @param {Object} response - JSON response object
+ * @param {string} requestId - Request ID
+ * @returns {string} Result page URL with reference (success, held) or error code (failure)
+ */
+const buildResultLocation = (response, requestId) => {
+  const outcome = getOutcome(response);
+  const url = getResultPageUrl(outcome);
+  const query = new URLSearchParams(getResultParams(outcome, readResult(response), requestId)).toString();
+  return query ? `${url}${url.includes("?") ? "&" : "?"}${query}` : url;
+};
+
+/**
+ * Converts JSON response into a 303 redirect to the result page (headers such as Retry-After are kept).
+ * @param {Object} response - JSON response object
+ * @param {string} requestId - Request ID
+ * @returns {Object} Redirect response object
+ */
+export const toResultRedirect = (response, requestId) => ({
+  statusCode: 303,
+  headers: { ...response.headers, Location: buildResultLocation(response, requestId), "Cache-Control": "no-store" },
+  body: "",
+});
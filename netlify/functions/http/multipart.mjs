@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Minimal multipart/form-data parser
+ * @description Splits a buffered request body into text fields and file parts
+ * @module http/multipart
+ */
+
+import { HttpError } from "./errors.mjs";
+
+const CRLF = "\r\n";
+const HEADER_SEPARATOR = Buffer.from(`${CRLF}${CRLF}`);
+
+/**
+ * Checks whether content type is multipart/form-data.
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {boolean} True for multipart/form-data
+ */
+export const isMultipart = (contentType = "") =>
+  contentType.toLowerCase().startsWith("multipart/form-data");
+
+/**
+ * Extracts boundary from Content-Type header.
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} Boundary
+ * @throws {HttpError} 400 if boundary is missing
+ */
+const getBoundary = (contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) throw new HttpError(400, "Invalid multipart body");
+  return (match[1] || match[2]).trim();
+};
+
+/**
+ * Checks whether delimiter at index is the closing one ("--boundary--").
+ * @param {Buffer} buffer - Request body
+ * @param {number} index - Index right after the delimiter
+ * @returns {boolean} True for closing delimiter
+ */
+const isClosingDelimiter = (buffer, index) =>
+  buffer.toString("latin1", index, index + 2) === "--";
+
+/**
+ * Splits body into raw parts between boundary delimiters.
+ * @param {Buffer} buffer - Request body
+ * @param {string} boundary - Multipart boundary
+ * @returns {Buffer[]} Raw parts (headers + content)
+ */
+const splitParts = (buffer, boundary) => {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1 && !isClosingDelimiter(buffer, start + delimiter.length)) {
+    const end = buffer.indexOf(delimiter, start + delimiter.length);
+    if (end === -1) throw new HttpError(400, "Invalid multipart body");
+    parts.push(buffer.subarray(start + delimiter.length + CRLF.length, end - CRLF.length));
+    start = end;
+  }
+  return parts;
+};
+
+/**
+ * Parses part header lines into a lower-cased map.
+ * @param {string} head - Raw header block
+ * @returns {Object<string, string>} Headers
+ */
+const parsePartHeaders = (head) =>
+  Object.fromEntries(
+    head.split(CRLF).filter(Boolean).map((line) => {
+      const index = line.indexOf(":");
+      return [line.slice(0, index).trim().toLowerCase(), line.slice(index + 1).trim()];
+    }),
+  );
+
+/**
+ * Reads quoted parameter from Content-Disposition header.
+ * @param {string} disposition - Content-Disposition value
+ * @param {string} param - Parameter name (name or filename)
+ * @returns {string|undefined} Parameter value
+ */
+const getDispositionParam = (disposition, param) =>
+  new RegExp(`(?:^|;)\\s*${param}="([^"]*)"`, "i").exec(disposition)?.[1];
+
+/**
+ * Parses single part.
+ * @param {Buffer} part - Raw part
+ * @returns {{name: string, filename: string|undefined, contentType: string, content: Buffer}} Parsed part
+ * @throws {HttpError} 400 if part has no header block or no field name
+ */
+const parsePart = (part) => {
+  const headerEnd = part.indexOf(HEADER_SEPARATOR);
+  if (headerEnd === -1) throw new HttpError(400, "Invalid multipart body");
+  const headers = parsePartHeaders(part.toString("utf8", 0, headerEnd));
+  const disposition = headers["content-disposition"] || "";
+  const name = getDispositionParam(disposition, "name");
+  if (!name) throw new HttpError(400, "Invalid multipart body");
+  const filename = getDispositionParam(disposition, "filename");
+  const content = part.subarray(headerEnd + HEADER_SEPARATOR.length);
+  return { name, filename, contentType: headers["content-type"] || "", content };
+};
+
+/**
+ * Parses multipart/form-data body. Empty file inputs are skipped; repeated text fields keep the first value.
+ * @param {Buffer} buffer - Request body
+ * @param {string} contentType - Content-Type header value (with boundary)
+ * @returns {{fields: Object<string, string>, files: Array<{fieldName: string, filename: string, contentType: string, content: Buffer}>}} Text fields and files
+ * @throws {HttpError} 400 if body is malformed
+ */
+export const parseMultipart = (buffer, contentType) => {
+  const fields = {};
+  const files = [];
+  splitParts(buffer, getBoundary(contentType)).map(parsePart).forEach((part) => {
+    if (part.filename === undefined) {
+      fields[part.name] ??= part.content.toString("utf8");
+    } else if (part.filename || part.content.length > 0) {
+      files.push({ fieldName: part.name, filename: part.filename, contentType: part.contentType, content: part.content });
+    }
+  });
+  return { fields, files };
+};
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Request correlation IDs
+ * @description Takes a well-formed X-Request-Id from the caller or Netlify, otherwise generates one
+ * @module http/request-id
+ */
+
+import { randomUUID } from "node:crypto";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+const ID_PATTERN = /^[\w.-]{8,128}$/;
+
+/**
+ * Resolves request ID: X-Request-Id from the caller, Netlify's X-Nf-Request-Id, or a new UUID.
+ * @param {Object} headers - Lower-case request headers
+ * @returns {string} Request ID
+ */
+export const getRequestId = (headers = {}) =>
+  [headers["x-request-id"], headers["x-nf-request-id"]].find((id) => ID_PATTERN.test(id || "")) ?? randomUUID();
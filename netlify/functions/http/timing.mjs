@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Request phase timing
+ * @description Measures named phases of a request and reports them as Server-Timing header and log entry
+ * @module http/timing
+ */
+
+import { performance } from "node:perf_hooks";
+
+/**
+ * Rounds duration to tenths of a millisecond.
+ * @param {number} ms - Duration
+ * @returns {number} Rounded duration
+ */
+const round = (ms) => Math.round(ms * 10) / 10;
+
+/**
+ * Creates timer for one request. Phases may overlap (e.g. email and webhooks run concurrently).
+ * @returns {{measure: Function, toJSON: Function, toHeader: Function}} Timer
+ */
+export const createTimer = () => {
+  const start = performance.now();
+  const phases = [];
+  return {
+    /**
+     * Runs fn and records its duration, also when it throws.
+     * @param {string} name - Phase name (token characters only)
+     * @param {Function} fn - Sync or async work
+     * @returns {Promise<*>} Result of fn
+     */
+    measure: async (name, fn) => {
+      const phaseStart = performance.now();
+      try {
+        return await fn();
+      } finally {
+        phases.push({ name, durationMs: round(performance.now() - phaseStart) });
+      }
+    },
+    toJSON: () => ({ totalMs: round(performance.now() - start), phases: [...phases] }),
+    toHeader: () =>
+      [...phases, { name: "total", durationMs: round(performance.now() - start) }]
+        .map(({ name, durationMs }) => `${name};dur=${durationMs}`)
+        .join(", "),
+  };
+};
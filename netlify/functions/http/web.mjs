@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Web Request/Response bridge for the platform-neutral pipelines
+ * @description Buffers a Web Request into a normalized request and turns plain response objects into Web Responses
+ * @module http/web
+ */
+
+const BODYLESS_METHODS = ["GET", "HEAD"];
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Reads Web Request into a normalized request (lower-case header map, buffered body, peer address from the adapter).
+ * @param {Request} request - Web Request
+ * @param {{clientIp?: string}} [platform] - Connection details the platform adapter vouches for
+ * @returns {Promise<{method: string, url: string, headers: Object<string, string>, peerIp: string|null, body: Buffer}>} Normalized request
+ */
+export const readRequest = async (request, { clientIp } = {}) => ({
+  method: request.method.toUpperCase(),
+  url: request.url,
+  headers: Object.fromEntries(request.headers),
+  peerIp: clientIp ?? null,
+  body: BODYLESS_METHODS.includes(request.method.toUpperCase())
+    ? Buffer.alloc(0)
+    : Buffer.from(await request.arrayBuffer()),
+});
+
+/**
+ * Converts plain response object into a Web Response.
+ * @param {{statusCode: number, headers?: Object<string, string>, body?: string}} response - Plain response object
+ * @returns {Response} Web Response
+ */
+export const toWebResponse = ({ statusCode, headers = {}, body }) =>
+  new Response(NULL_BODY_STATUSES.includes(statusCode) || !body ? null : body, { status: statusCode, headers });
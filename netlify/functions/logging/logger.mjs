@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Structured JSON logger
+ * @description Writes one redacted JSON line per event with level, time and request context (LOG_LEVEL filters)
+ * @module logging/logger
+ */
+
+import { redact } from "./redact.mjs";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONSOLE_METHODS = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+/**
+ * Returns minimum level from LOG_LEVEL (defaults to info).
+ * @returns {number} Level threshold
+ */
+const getThreshold = () => LEVELS[(process.env.LOG_LEVEL || "").trim().toLowerCase()] ?? LEVELS.info;
+
+/**
+ * Writes log entry if its level passes the threshold.
+ * @param {string} level - debug | info | warn | error
+ * @param {Object} context - Fields on every entry (function, requestId)
+ * @param {string} event - Stage name, e.g. "captcha.verified"
+ * @param {Object} [fields] - Event fields (redacted before writing)
+ */
+const write = (level, context, event, fields = {}) => {
+  if (LEVELS[level] < getThreshold()) return;
+  const entry = { time: new Date().toISOString(), level, event, ...context, ...redact(fields) };
+  console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+};
+
+/**
+ * Creates logger bound to a context.
+ * @param {Object} [context] - Fields on every entry, e.g. {function: "send-email", requestId}
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} Logger
+ */
+export const createLogger = (context = {}) => ({
+  debug: (event, fields) => write("debug", context, event, fields),
+  info: (event, fields) => write("info", context, event, fields),
+  warn: (event, fields) => write("warn", context, event, fields),
+  error: (event, fields) => write("error", context, event, fields),
+  child: (extra) => createLogger({ ...context, ...extra }),
+});
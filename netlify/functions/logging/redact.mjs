@@ -0,0 +1,69 @@
+/**
+ * @fileoverview PII redaction for log entries
+ * @description Replaces personal data (contact fields, addresses, tokens) before anything is written to the function log
+ * @module logging/redact
+ */
+
+export const REDACTED = "[redacted]";
+
+// Compared lower-case; values under these keys are never logged
+const PII_KEYS = new Set([
+  "name",
+  "email",
+  "phone",
+  "subject",
+  "message",
+  "fields",
+  "details",
+  "ip",
+  "useragent",
+  "referer",
+  "replyto",
+  "to",
+  "html",
+  "text",
+  "authorization",
+  "token",
+  "captchatoken",
+  "recaptchatoken",
+  "password",
+  "secret",
+]);
+const EMAIL_PATTERN = /[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+/g;
+const MAX_DEPTH = 6;
+
+/**
+ * Masks email addresses in free text (e.g. provider error messages).
+ * @param {string} text - Text
+ * @returns {string} Text with addresses replaced
+ */
+export const redactText = (text) => text.replace(EMAIL_PATTERN, "[email]");
+
+/**
+ * Converts error to a loggable object.
+ * @param {Error} error - Error
+ * @returns {{name: string, message: string, code?: string, stack?: string}} Error summary
+ */
+const toErrorEntry = (error) => ({
+  name: error.name,
+  message: redactText(error.message),
+  ...(error.code && { code: error.code }),
+  ...(error.stack && { stack: redactText(error.stack) }),
+});
+
+/**
+ * Redacts value recursively: PII keys are replaced, emails in strings masked.
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current depth
+ * @returns {*} Redacted copy
+ */
+export const redact = (value, depth = 0) => {
+  if (typeof value === "string") return redactText(value);
+  if (value instanceof Error) return toErrorEntry(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, PII_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1)]),
+  );
+};
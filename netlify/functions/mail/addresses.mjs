@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Email address helpers
+ * @description Address list normalization and parsing shared by the email transports and recipient routing
+ * @module mail/addresses
+ */
+
+/**
+ * Normalizes an address field into a list of addresses.
+ * @param {string|string[]|undefined} value - Single address, comma-separated list or array
+ * @returns {string[]} List of trimmed addresses
+ */
+export const toAddressList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((address) => address.trim()).filter(Boolean);
+};
+
+/**
+ * Splits an address into email and display name, for providers that take them separately.
+ * @param {string} address - Address, e.g. "Forms <forms@example.com>" or "forms@example.com"
+ * @returns {{email: string, name?: string}} Email and name (if any)
+ */
+export const parseAddress = (address) => {
+  const match = String(address).trim().match(/^(.*?)\s*<([^<>]+)>$/);
+  if (!match) return { email: String(address).trim() };
+  const name = match[1].replace(/^"(.*)"$/, "$1").trim();
+  return { email: match[2].trim(), ...(name && { name }) };
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Scheduled Netlify function retrying outbox email delivery
+ * @description Sends due outbox jobs with exponential backoff and dead-letters them after OUTBOX_MAX_ATTEMPTS (schedule in netlify.toml)
+ * @module outbox-worker
+ */
+
+import { connectStores, isSharedStore } from "./stores/registry.mjs";
+import { processDueJobs } from "./outbox/delivery.mjs";
+import { OUTBOX_NAMESPACE } from "./outbox/queue.mjs";
+import { SUBMISSIONS_NAMESPACE } from "./submissions/repository.mjs";
+
+// Written by send-email in another instance: the jobs, and the submissions that get their delivery status
+const WORKER_NAMESPACES = [OUTBOX_NAMESPACE, SUBMISSIONS_NAMESPACE];
+import { getRequestId } from "./http/request-id.mjs";
+import { createLogger } from "./logging/logger.mjs";
+
+/**
+ * Sends due jobs and reports the run.
+ * @param {Object} log - Run logger
+ * @returns {Promise<Object>} Response with run summary
+ */
+const runOutbox = async (log) => {
+  try {
+    const summary = await processDueJobs(log);
+    if (summary.due > 0) log.info("outbox.run", summary);
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    log.error("outbox.run_failed", { error });
+    return { statusCode: 500, body: JSON.stringify({ error: "Outbox run failed" }) };
+  }
+};
+
+/**
+ * Scheduled function handler. Refuses to run on the memory backend, where it would never see the jobs
+ * that send-email queued in another instance, nor record their delivery status on the submissions.
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} Response with run summary
+ */
+export const handler = async (event) => {
+  const log = createLogger({ function: "outbox-worker", requestId: getRequestId(event.headers) });
+  connectStores(event);
+  const unshared = WORKER_NAMESPACES.filter((namespace) => !isSharedStore(namespace));
+  if (unshared.length === 0) return await runOutbox(log);
+  log.error("outbox.unshared_store", { backend: "memory", namespaces: unshared });
+  const error = `Outbox worker needs a shared store for: ${unshared.join(", ")}`;
+  return { statusCode: 503, body: JSON.stringify({ error }) };
+};
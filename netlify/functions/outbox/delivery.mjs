@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Outbox delivery
+ * @description Sends outbox jobs (mails through the configured transport, webhook retries to their target) and records
+ * the outcome on the submission
+ * @module outbox/delivery
+ */
+
+import { createLogger } from "../logging/logger.mjs";
+import { checkEnvVariables, getEmailTransporter } from "../transports/registry.mjs";
+import { updateDeliveryStatus, updateWebhookStatus } from "../submissions/repository.mjs";
+import { loadWebhookTargets } from "../webhooks/targets.mjs";
+import { sendWebhook } from "../webhooks/dispatcher.mjs";
+import { completeJob, failJob, leaseJob, listDueJobs, toMailOptions, WEBHOOK_JOB_KIND } from "./queue.mjs";
+
+const defaultLog = createLogger({ module: "outbox" });
+
+/**
+ * Sends job mail.
+ * @param {Object} job - Outbox job
+ * @returns {Promise<{messageId: string}>} Send result
+ * @throws {Error} If configuration is incomplete or the transport fails
+ */
+const sendJob = async (job) => {
+  checkEnvVariables();
+  return await getEmailTransporter().sendMail(toMailOptions(job.mail));
+};
+
+/**
+ * Records job outcome on its submission.
+ * @param {Object} job - Outbox job
+ * @param {Object} outcome - Delivery outcome
+ * @returns {Promise<Object>} Delivery outcome
+ */
+const recordOutcome = async (job, outcome) => {
+  await updateDeliveryStatus(job.submissionId, job.kind, outcome);
+  return outcome;
+};
+
+/**
+ * Schedules retry (or dead-letters the job) after a failed send.
+ * @param {Object} job - Outbox job
+ * @param {Error} error - Send error
+ * @param {Object} log - Logger
+ * @returns {Promise<Object>} Delivery outcome (retrying|failed)
+ */
+const handleSendFailure = async (job, error, log) => {
+  const { id: jobId, kind, submissionId } = job;
+  log.warn("outbox.send_failed", { jobId, kind, submissionId, attempt: job.attempts + 1, error });
+  const failed = await failJob(job, error);
+  if (failed.status === "dead") {
+    return await recordOutcome(job, { status: "failed", attempts: failed.attempts, error: error.message });
+  }
+  const nextAttemptAt = new Date(failed.nextAttemptAt).toISOString();
+  return await recordOutcome(job, { status: "retrying", attempts: failed.attempts, error: error.message, nextAttemptAt });
+};
+
+/**
+ * Attempts leased mail job once; failures are kept in the outbox instead of being thrown.
+ * @param {Object} job - Leased outbox job
+ * @param {Object} log - Logger
+ * @returns {Promise<{status: string, attempts: number, messageId?: string, error?: string}>} Delivery outcome
+ */
+const deliverMailJob = async (job, log) => {
+  let info;
+  try {
+    info = await sendJob(job);
+  } catch (error) {
+    return await handleSendFailure(job, error, log);
+  }
+  await completeJob(job);
+  return await recordOutcome(job, { status: "sent", attempts: job.attempts + 1, messageId: info.messageId });
+};
+
+/**
+ * Sends webhook job to its target as currently configured in WEBHOOK_TARGETS.
+ * @param {Object} job - Webhook job
+ * @returns {Promise<{target: Object|undefined, result: Object}>} Target and attempt result (not retryable if the target is gone)
+ */
+const sendWebhookJob = async (job) => {
+  const target = loadWebhookTargets().find(({ name }) => name === job.target);
+  if (!target) return { target, result: { ok: false, retryable: false, error: `Unknown webhook target "${job.target}"` } };
+  return { target, result: await sendWebhook(target, job.event) };
+};
+
+/**
+ * Schedules retry (or dead-letters the job once the target's retries are used up) after a failed webhook attempt.
+ * @param {Object} job - Webhook job
+ * @param {{target: Object|undefined, result: Object}} attempt - Target and attempt result
+ * @param {Object} log - Logger
+ * @returns {Promise<Object>} Webhook result (ok false, nextAttemptAt while retrying)
+ */
+const handleWebhookFailure = async (job, { target, result }, log) => {
+  const { id: jobId, submissionId } = job;
+  log.warn("outbox.webhook_failed", { jobId, target: job.target, submissionId, attempt: job.attempts + 1, error: result.error });
+  const maxAttempts = result.retryable ? target.retries + 1 : 0;
+  const failed = await failJob(job, new Error(result.error), maxAttempts);
+  const retry = failed.status === "dead" ? {} : { nextAttemptAt: new Date(failed.nextAttemptAt).toISOString() };
+  const outcome = { name: job.target, ok: false, status: result.status, attempts: failed.attempts, error: result.error, ...retry };
+  await updateWebhookStatus(submissionId, outcome);
+  return outcome;
+};
+
+/**
+ * Attempts leased webhook job once and records the result on the submission.
+ * @param {Object} job - Leased webhook job
+ * @param {Object} log - Logger
+ * @returns {Promise<{status: string, attempts: number, error?: string}>} Delivery outcome (sent|retrying|failed)
+ */
+const deliverWebhookJob = async (job, log) => {
+  const attempt = await sendWebhookJob(job);
+  if (!attempt.result.ok) {
+    const outcome = await handleWebhookFailure(job, attempt, log);
+    return { status: outcome.nextAttemptAt ? "retrying" : "failed", attempts: outcome.attempts, error: outcome.error };
+  }
+  await completeJob(job);
+  const attempts = job.attempts + 1;
+  await updateWebhookStatus(job.submissionId, { name: job.target, ok: true, status: attempt.result.status, attempts });
+  return { status: "sent", attempts };
+};
+
+/**
+ * Attempts leased job once; failures are kept in the outbox instead of being thrown.
+ * @param {Object} job - Leased outbox job (mail or webhook)
+ * @param {Object} [log] - Logger (request logger when called from send-email)
+ * @returns {Promise<{status: string, attempts: number, messageId?: string, error?: string}>} Delivery outcome
+ */
+export const deliverJob = (job, log = defaultLog) =>
+  job.kind === WEBHOOK_JOB_KIND ? deliverWebhookJob(job, log) : deliverMailJob(job, log);
+
+/**
+ * Attempts jobs concurrently (each outcome is recorded on its own).
+ * @param {Object[]} jobs - Leased outbox jobs
+ * @param {Object} [log] - Logger
+ * @returns {Promise<Object[]>} Delivery outcome per job
+ */
+export const deliverJobs = (jobs, log = defaultLog) => Promise.all(jobs.map((job) => deliverJob(job, log)));
+
+/**
+ * Attempts every due job, leasing each right before its send so concurrent runs skip it.
+ * @param {Object} [log] - Logger
+ * @returns {Promise<{due: number, sent: number, retrying: number, failed: number}>} Run summary
+ */
+export const processDueJobs = async (log = defaultLog) => {
+  const due = await listDueJobs();
+  const outcomes = [];
+  for (const { id } of due) {
+    const job = await leaseJob(id);
+    if (job) outcomes.push(await deliverJob(job, log));
+  }
+  const count = (status) => outcomes.filter((outcome) => outcome.status === status).length;
+  return { due: due.length, sent: count("sent"), retrying: count("retrying"), failed: count("failed") };
+};
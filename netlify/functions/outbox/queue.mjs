@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Email outbox queue
+ * @description Persists outgoing mails and webhook retries as jobs in the "outbox" store namespace with retry schedule
+ * and dead letters
+ * @module outbox/queue
+ */
+
+import { randomUUID } from "node:crypto";
+import { createStore } from "../stores/registry.mjs";
+import { getRetentionMs } from "../submissions/repository.mjs";
+import { toBase64Attachments } from "../transports/http.mjs";
+
+export const OUTBOX_NAMESPACE = "outbox";
+export const WEBHOOK_JOB_KIND = "webhook";
+
+const JOB_PREFIX = "job:";
+const DEAD_PREFIX = "dead:";
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A job is leased to one sender at a time; an expired lease belongs to a run that died mid-send
+const LEASE_MS = 60 * 1000;
+
+/**
+ * Reads positive number from environment.
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Configured value
+ */
+const readPositiveNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Returns number of send attempts before a job is dead-lettered (OUTBOX_MAX_ATTEMPTS).
+ * @returns {number} Maximum attempts
+ */
+export const getMaxAttempts = () => Math.floor(readPositiveNumber("OUTBOX_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS));
+
+/**
+ * Returns exponential backoff after a failed attempt (OUTBOX_RETRY_BASE_SECONDS · 2^(attempts-1), max 6 hours).
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelayMs = (attempts) => {
+  const baseMs = readPositiveNumber("OUTBOX_RETRY_BASE_SECONDS", DEFAULT_RETRY_BASE_SECONDS) * 1000;
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Converts mail options to JSON-safe form (attachment content base64-encoded).
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object} Storable mail
+ */
+const toStoredMail = ({ attachments, ...mail }) => ({
+  ...mail,
+  ...(attachments?.length > 0 && { attachments: toBase64Attachments(attachments) }),
+});
+
+/**
+ * Restores mail options from a job (attachment content back to Buffers).
+ * @param {Object} mail - Stored mail
+ * @returns {Object} Mail options for transport
+ */
+export const toMailOptions = ({ attachments, ...mail }) => ({
+  ...mail,
+  ...(attachments && {
+    attachments: attachments.map((file) => ({ ...file, content: Buffer.from(file.content, "base64") })),
+  }),
+});
+
+/**
+ * Builds new job.
+ * @param {string} submissionId - Submission id
+ * @param {string} kind - Message kind (notification|confirmation)
+ * @param {Object} mailOptions - Mail options
+ * @param {number} now - Current time in ms
+ * @returns {Object} Job
+ */
+const buildJob = (submissionId, kind, mailOptions, now) => ({
+  id: randomUUID(),
+  submissionId,
+  kind,
+  mail: toStoredMail(mailOptions),
+  attempts: 0,
+  createdAt: new Date(now).toISOString(),
+});
+
+/**
+ * Enqueues mail; the job starts leased to the caller, which attempts it right away.
+ * @param {string} submissionId - Submission id
+ * @param {string} kind - Message kind (notification|confirmation)
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<Object>} Job
+ */
+export const enqueueMail = async (submissionId, kind, mailOptions) => {
+  const now = Date.now();
+  const job = { ...buildJob(submissionId, kind, mailOptions, now), nextAttemptAt: now, leasedUntil: now + LEASE_MS };
+  await createStore(OUTBOX_NAMESPACE).set(`${JOB_PREFIX}${job.id}`, job);
+  return job;
+};
+
+/**
+ * Stores mail on hold until releaseJob (e.g. until the sender verifies the address); it expires after ttlMs.
+ * @param {string} submissionId - Submission id
+ * @param {string} kind - Message kind (notification|confirmation)
+ * @param {Object} mailOptions - Mail options
+ * @param {number} ttlMs - How long the job waits for its release
+ * @returns {Promise<Object>} Held job
+ */
+export const holdMail = async (submissionId, kind, mailOptions, ttlMs) => {
+  const job = { ...buildJob(submissionId, kind, mailOptions, Date.now()), status: "held", nextAttemptAt: null };
+  await createStore(OUTBOX_NAMESPACE).set(`${JOB_PREFIX}${job.id}`, job, ttlMs);
+  return job;
+};
+
+/**
+ * Queues webhook retry after a failed inline attempt; the outbox-worker sends it after the first backoff.
+ * Only the target name is stored, so URL and secret are read from WEBHOOK_TARGETS at send time.
+ * @param {string} submissionId - Submission id
+ * @param {string} target - Webhook target name
+ * @param {Object} event - Submission event
+ * @param {string} error - Error of the inline attempt
+ * @returns {Promise<Object>} Job
+ */
+export const enqueueWebhook = async (submissionId, target, event, error) => {
+  const now = Date.now();
+  const job = { id: randomUUID(), submissionId, kind: WEBHOOK_JOB_KIND, target, event, createdAt: new Date(now).toISOString() };
+  const retrying = { ...job, attempts: 1, lastError: error, status: "retrying", nextAttemptAt: now + getRetryDelayMs(1) };
+  await createStore(OUTBOX_NAMESPACE).set(`${JOB_PREFIX}${job.id}`, retrying);
+  return retrying;
+};
+
+/**
+ * Checks whether job may be attempted now.
+ * @param {Object|null} job - Job
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if due and not leased
+ */
+const isDue = (job, now) =>
+  Boolean(job) && job.status !== "held" && job.nextAttemptAt <= now && !(job.leasedUntil > now);
+
+/**
+ * Lists jobs that are due for an attempt, oldest first.
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Object[]>} Due jobs
+ */
+export const listDueJobs = async (now = Date.now()) => {
+  const store = createStore(OUTBOX_NAMESPACE);
+  const jobs = await Promise.all((await store.list(JOB_PREFIX)).map((key) => store.get(key)));
+  return jobs.filter((job) => isDue(job, now)).sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+};
+
+/**
+ * Atomically leases due job so concurrent runs never send it twice.
+ * @param {string} id - Job id
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Object|null>} Leased job, null if it is gone or taken
+ */
+export const leaseJob = async (id, now = Date.now()) => {
+  let leased = false;
+  const job = await createStore(OUTBOX_NAMESPACE).update(`${JOB_PREFIX}${id}`, (current) => {
+    leased = isDue(current, now);
+    return leased ? { ...current, leasedUntil: now + LEASE_MS } : current;
+  });
+  return leased ? job : null;
+};
+
+/**
+ * Atomically releases held job and leases it to the caller, which attempts it right away.
+ * @param {string} id - Job id
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Object|null>} Leased job, null if it expired or was already released
+ */
+export const releaseJob = async (id, now = Date.now()) => {
+  let released = false;
+  const job = await createStore(OUTBOX_NAMESPACE).update(`${JOB_PREFIX}${id}`, (current) => {
+    released = current?.status === "held";
+    if (!released) return current;
+    const { status, ...job } = current;
+    return { ...job, nextAttemptAt: now, leasedUntil: now + LEASE_MS };
+  });
+  return released ? job : null;
+};
+
+/**
+ * Removes delivered job from the outbox.
+ * @param {Object} job - Job
+ * @returns {Promise<void>}
+ */
+export const completeJob = (job) => createStore(OUTBOX_NAMESPACE).delete(`${JOB_PREFIX}${job.id}`);
+
+/**
+ * Records failed attempt: schedules the next one, or moves the job to the dead letters after the last.
+ * Dead letters hold the full mail, so they expire with the submission (SUBMISSION_RETENTION_DAYS).
+ * @param {Object} job - Job
+ * @param {Error} error - Send error
+ * @param {number} [maxAttempts] - Attempts before dead-lettering (OUTBOX_MAX_ATTEMPTS for mails)
+ * @returns {Promise<Object>} Updated job (status retrying|dead)
+ */
+export const failJob = async (job, error, maxAttempts = getMaxAttempts()) => {
+  const store = createStore(OUTBOX_NAMESPACE);
+  const attempts = job.attempts + 1;
+  const failed = { ...job, attempts, lastError: error.message, leasedUntil: null };
+  if (attempts >= maxAttempts) {
+    const dead = { ...failed, status: "dead", deadAt: new Date().toISOString() };
+    await store.set(`${DEAD_PREFIX}${job.id}`, dead, getRetentionMs());
+    await store.delete(`${JOB_PREFIX}${job.id}`);
+    return dead;
+  }
+  const retrying = { ...failed, status: "retrying", nextAttemptAt: Date.now() + getRetryDelayMs(attempts) };
+  await store.set(`${JOB_PREFIX}${job.id}`, retrying);
+  return retrying;
+};
+
+/**
+ * Counts queued and dead-lettered jobs.
+ * @returns {Promise<{queued: number, dead: number}>} Job counts
+ */
+export const countJobs = async () => {
+  const store = createStore(OUTBOX_NAMESPACE);
+  const [queued, dead] = await Promise.all([store.list(JOB_PREFIX), store.list(DEAD_PREFIX)]);
+  return { queued: queued.length, dead: dead.length };
+};
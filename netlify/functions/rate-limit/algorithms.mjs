@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Rate limit algorithms
+ * @description Sliding window counter and token bucket, both built on atomic store operations; each can refund
+ * a request it counted, so only allowed requests use up a limit
+ * @module rate-limit/algorithms
+ */
+
+/**
+ * Builds uniform policy result.
+ * @param {Object} policy - Rate limit policy
+ * @param {Object} status - Algorithm status
+ * @param {boolean} status.allowed - Whether request is allowed
+ * @param {number} status.limit - Policy limit (or bucket capacity)
+ * @param {number} status.remaining - Remaining requests
+ * @param {number} status.resetAt - Reset timestamp
+ * @param {number} status.retryAfterMs - Wait time before retry
+ * @returns {{policy: string, allowed: boolean, limit: number, remaining: number, resetTime: Date, retryAfter: number}} Policy result
+ */
+const toResult = (policy, status) => ({
+  policy: policy.name,
+  allowed: status.allowed,
+  limit: status.limit,
+  remaining: Math.max(0, Math.floor(status.remaining)),
+  resetTime: new Date(status.resetAt),
+  retryAfter: Math.ceil(status.retryAfterMs / 1000),
+});
+
+// === SLIDING WINDOW ===
+/**
+ * Returns start timestamp of the fixed window containing a time.
+ * @param {number} now - Current timestamp
+ * @param {number} windowMs - Window length
+ * @returns {number} Window start timestamp
+ */
+const getWindowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+/**
+ * Reads request count of the previous fixed window.
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {number} windowStart - Current window start timestamp
+ * @param {number} windowMs - Window length
+ * @returns {Promise<number>} Previous window request count
+ */
+const readPreviousCount = async (store, key, windowStart, windowMs) =>
+  (await store.get(`${key}:${windowStart - windowMs}`)) || 0;
+
+/**
+ * Atomically counts request in the current window.
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {number} windowStart - Window start timestamp
+ * @param {number} windowMs - Window length
+ * @returns {Promise<number>} Requests in current window, including this one
+ */
+const updateRateLimitStore = (store, key, windowStart, windowMs) =>
+  store.increment(`${key}:${windowStart}`, 2 * windowMs);
+
+/**
+ * Takes back a request counted in the current window.
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {{windowMs: number}} policy - Policy
+ * @param {number} now - Timestamp the request was counted at
+ * @returns {Promise<number>} Requests left in the window
+ */
+export const refundSlidingWindow = (store, key, { windowMs }, now) =>
+  store.update(`${key}:${getWindowStart(now, windowMs)}`, (count) => Math.max(0, (count || 0) - 1), 2 * windowMs);
+
+/**
+ * Applies sliding window counter: previous window weighted by overlap plus current window.
+ * A denied request is refunded right away, so retrying while blocked does not extend the block.
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {{name: string, limit: number, windowMs: number}} policy - Policy
+ * @param {number} now - Current timestamp
+ * @returns {Promise<Object>} Policy result
+ */
+export const checkSlidingWindow = async (store, key, policy, now) => {
+  const { limit, windowMs } = policy;
+  const windowStart = getWindowStart(now, windowMs);
+  const previousCount = await readPreviousCount(store, key, windowStart, windowMs);
+  const currentCount = await updateRateLimitStore(store, key, windowStart, windowMs);
+  const estimated = previousCount * (1 - (now - windowStart) / windowMs) + currentCount;
+  const resetAt = windowStart + windowMs;
+  const allowed = estimated <= limit;
+  if (!allowed) await refundSlidingWindow(store, key, policy, now);
+  const retryAfterMs = allowed ? 0 : resetAt - now;
+  return toResult(policy, { allowed, limit, remaining: limit - estimated, resetAt, retryAfterMs });
+};
+
+// === TOKEN BUCKET ===
+/**
+ * Consumes one token after refilling bucket for elapsed time.
+ * @param {{tokens: number, updatedAt: number}|null} state - Current bucket state
+ * @param {{capacity: number, refillIntervalMs: number}} policy - Policy
+ * @param {number} now - Current timestamp
+ * @returns {{tokens: number, updatedAt: number, allowed: boolean}} Next bucket state
+ */
+const consumeToken = (state, policy, now) => {
+  const refilled = state
+    ? state.tokens + (now - state.updatedAt) / policy.refillIntervalMs
+    : policy.capacity;
+  const tokens = Math.min(policy.capacity, refilled);
+  const allowed = tokens >= 1;
+  return { tokens: allowed ? tokens - 1 : tokens, updatedAt: now, allowed };
+};
+
+/**
+ * Puts back the token a request took (denied requests take none).
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {{capacity: number, refillIntervalMs: number}} policy - Policy
+ * @returns {Promise<Object>} Bucket state
+ */
+export const refundTokenBucket = (store, key, { capacity, refillIntervalMs }) =>
+  store.update(
+    key,
+    (current) => current && { ...current, tokens: Math.min(capacity, current.tokens + 1) },
+    capacity * refillIntervalMs,
+  );
+
+/**
+ * Applies token bucket: bursts up to capacity, refills one token per interval.
+ * @param {Object} store - Rate limit store adapter
+ * @param {string} key - Policy key
+ * @param {{name: string, capacity: number, refillIntervalMs: number}} policy - Policy
+ * @param {number} now - Current timestamp
+ * @returns {Promise<Object>} Policy result
+ */
+export const checkTokenBucket = async (store, key, policy, now) => {
+  const { capacity, refillIntervalMs } = policy;
+  const ttlMs = capacity * refillIntervalMs;
+  const state = await store.update(
+    key,
+    (current) => consumeToken(current, policy, now),
+    ttlMs,
+  );
+  const { allowed, tokens } = state;
+  const retryAfterMs = allowed ? 0 : (1 - tokens) * refillIntervalMs;
+  const resetAt = now + (capacity - tokens) * refillIntervalMs;
+  const status = { allowed, limit: capacity, remaining: tokens, resetAt, retryAfterMs };
+  return toResult(policy, status);
+};
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Rate limit key extractors
+ * @description Derives the dimensions a policy is keyed by (IP, IPv6 /64, sender, form, site-wide)
+ * @module rate-limit/keys
+ */
+
+import { normalizeIp, toIpv6Network } from "../http/client-ip.mjs";
+
+/**
+ * Reduces an IPv6 address to its /64 network; IPv4 addresses and non-IP keys stay unchanged.
+ * @param {string|undefined} ip - Client IP address (or the shared key of unresolved clients)
+ * @returns {string|undefined} Network prefix key, e.g. "2001:db8:1:2::/64"
+ */
+export const toNetworkPrefix = (ip) => {
+  const address = normalizeIp(ip);
+  if (!address) return ip;
+  return address.includes(":") ? `${toIpv6Network(address)}/64` : address;
+};
+
+/**
+ * Normalizes sender email for use as key.
+ * @param {*} email - Sender email from request body
+ * @returns {string|undefined} Lower-cased email
+ */
+const toEmailKey = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() || undefined : undefined;
+
+const KEY_EXTRACTORS = {
+  ip: (context) => context.ip,
+  "ip-prefix": (context) => toNetworkPrefix(context.ip),
+  email: (context) => toEmailKey(context.email),
+  form: (context) => context.formId,
+  global: () => "site",
+};
+
+/**
+ * Supported key types.
+ * @type {string[]}
+ */
+export const KEY_TYPES = Object.keys(KEY_EXTRACTORS);
+
+/**
+ * Builds composite key for policy; null if a dimension is unavailable.
+ * @param {string[]} keys - Key types, e.g. ["ip", "form"]
+ * @param {{ip: string, email: string, formId: string}} context - Request context
+ * @returns {string|null} Composite key
+ */
+export const buildPolicyKey = (keys, context) => {
+  const parts = keys.map((type) => KEY_EXTRACTORS[type](context));
+  return parts.every(Boolean) ? parts.join("|") : null;
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Rate limiter
+ * @description Evaluates all configured policies against a request context; a request counts only if every policy allows it
+ * @module rate-limit/limiter
+ */
+
+import { createStore } from "../stores/registry.mjs";
+import { checkSlidingWindow, checkTokenBucket, refundSlidingWindow, refundTokenBucket } from "./algorithms.mjs";
+import { buildPolicyKey } from "./keys.mjs";
+import { loadPolicies } from "./policies.mjs";
+
+const ALGORITHMS = {
+  "sliding-window": { check: checkSlidingWindow, refund: refundSlidingWindow },
+  "token-bucket": { check: checkTokenBucket, refund: refundTokenBucket },
+};
+
+/**
+ * Builds store key of a policy; null if a key dimension is unavailable (policy skipped).
+ * @param {Object} policy - Rate limit policy
+ * @param {Object} context - Request context
+ * @returns {string|null} Store key
+ */
+const toPolicyKey = (policy, context) => {
+  const key = buildPolicyKey(policy.keys, context);
+  return key ? `${policy.name}:${key}` : null;
+};
+
+/**
+ * Takes back the request from policies that already counted it.
+ * @param {Object} store - Rate limit store adapter
+ * @param {{policy: Object, key: string}[]} hits - Policies that allowed the request
+ * @param {number} now - Timestamp the request was counted at
+ * @returns {Promise<void>}
+ */
+const refundHits = async (store, hits, now) => {
+  await Promise.all(hits.map(({ policy, key }) => ALGORITHMS[policy.algorithm].refund(store, key, policy, now)));
+};
+
+/**
+ * Checks policies in order and stops at the first one that trips; earlier policies then give the request back.
+ * @param {{ip: string, email: string, formId: string}} context - Request context
+ * @returns {Promise<{allowed: boolean, policy?: string, limit?: number, remaining?: number, resetTime?: Date, retryAfter?: number}>} Rate limit status
+ */
+export const checkRateLimit = async (context) => {
+  const store = createStore("rate-limit");
+  const now = Date.now();
+  const hits = [];
+  for (const policy of loadPolicies()) {
+    const key = toPolicyKey(policy, context);
+    if (!key) continue;
+    const result = await ALGORITHMS[policy.algorithm].check(store, key, policy, now);
+    if (!result.allowed) {
+      await refundHits(store, hits, now);
+      return result;
+    }
+    hits.push({ policy, key });
+  }
+  return { allowed: true };
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Rate limit policy configuration
+ * @description Declarative policies loaded from RATE_LIMIT_POLICIES (JSON) with a per-IP default
+ * @module rate-limit/policies
+ */
+
+import { KEY_TYPES } from "./keys.mjs";
+
+/**
+ * Default policy: 5 requests per hour per IP.
+ * @type {Object[]}
+ */
+export const DEFAULT_POLICIES = [
+  {
+    name: "ip-hourly",
+    keys: ["ip"],
+    algorithm: "sliding-window",
+    limit: 5,
+    windowMs: 60 * 60 * 1000,
+  },
+];
+
+const ALGORITHM_FIELDS = {
+  "sliding-window": ["limit", "windowMs"],
+  "token-bucket": ["capacity", "refillIntervalMs"],
+};
+
+/**
+ * Collects configuration problems of a policy.
+ * @param {Object} policy - Rate limit policy
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findPolicyProblems = (policy) => {
+  const fields = ALGORITHM_FIELDS[policy.algorithm];
+  if (!fields) return [`unknown algorithm "${policy.algorithm}"`];
+  const keys = Array.isArray(policy.keys) ? policy.keys : [];
+  const problems = keys.length ? [] : ["keys must be a non-empty array"];
+  keys.filter((key) => !KEY_TYPES.includes(key)).forEach((key) =>
+    problems.push(`unknown key "${key}"`),
+  );
+  fields.filter((field) => !(policy[field] > 0)).forEach((field) =>
+    problems.push(`${field} must be a positive number`),
+  );
+  return problems;
+};
+
+/**
+ * Throws if policy is invalid.
+ * @param {Object} policy - Rate limit policy
+ * @throws {Error} If policy has no name or invalid settings
+ */
+const assertPolicy = (policy) => {
+  const problems = policy.name ? findPolicyProblems(policy) : ["name missing"];
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid rate limit policy "${policy.name}": ${problems.join(", ")}`,
+    );
+  }
+};
+
+/**
+ * Parses RATE_LIMIT_POLICIES value.
+ * @param {string} raw - JSON array of policies
+ * @returns {Object[]} Policies
+ * @throws {Error} If value is not a JSON array
+ */
+const parsePolicies = (raw) => {
+  let policies;
+  try {
+    policies = JSON.parse(raw);
+  } catch (error) {
+    throw new Error("RATE_LIMIT_POLICIES is not valid JSON");
+  }
+  if (!Array.isArray(policies)) {
+    throw new Error("RATE_LIMIT_POLICIES must be a JSON array");
+  }
+  return policies;
+};
+
+/**
+ * Loads and validates configured policies.
+ * @returns {Object[]} Rate limit policies
+ */
+export const loadPolicies = () => {
+  const raw = process.env.RATE_LIMIT_POLICIES;
+  const policies = raw ? parsePolicies(raw) : DEFAULT_POLICIES;
+  policies.forEach(assertPolicy);
+  return policies;
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Recipient routing rules
+ * @description Rules loaded from ROUTING_RULES (JSON) pick To/CC/BCC and a subject prefix per submission; first match wins
+ * @module routing/rules
+ */
+
+import { toAddressList } from "../mail/addresses.mjs";
+
+const MATCH_KEYS = ["forms", "field", "keywords", "senderDomains"];
+const LIST_KEYS = ["forms", "keywords", "senderDomains"];
+
+/**
+ * Lower-cases and trims list entries.
+ * @param {string[]} values - Configured values
+ * @returns {string[]} Normalized values
+ */
+const normalizeList = (values) => values.map((value) => String(value).trim().toLowerCase());
+
+/**
+ * Collects configuration problems of a rule's match conditions.
+ * @param {Object} match - Match conditions
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findMatchProblems = (match) => {
+  const problems = Object.keys(match)
+    .filter((key) => !MATCH_KEYS.includes(key))
+    .map((key) => `unknown condition "${key}"`);
+  LIST_KEYS.filter((key) => match[key] !== undefined && !Array.isArray(match[key]))
+    .forEach((key) => problems.push(`${key} must be an array`));
+  if (match.field && (!match.field.name || !Array.isArray(match.field.values))) {
+    problems.push("field needs a name and a values array");
+  }
+  return problems;
+};
+
+/**
+ * Collects configuration problems of a rule.
+ * @param {Object} rule - Routing rule
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findRuleProblems = (rule) => {
+  if (!rule.match || typeof rule.match !== "object" || Array.isArray(rule.match)) return ["match must be a JSON object"];
+  const problems = findMatchProblems(rule.match);
+  if (rule.subjectPrefix !== undefined && typeof rule.subjectPrefix !== "string") {
+    problems.push("subjectPrefix must be a string");
+  }
+  if (!rule.to && !rule.cc && !rule.bcc && !rule.subjectPrefix) problems.push("rule changes nothing");
+  return problems;
+};
+
+/**
+ * Throws if rule is invalid.
+ * @param {Object} rule - Routing rule
+ * @throws {Error} If rule has no name or invalid settings
+ */
+const assertRule = (rule) => {
+  const problems = rule.name ? findRuleProblems(rule) : ["name missing"];
+  if (problems.length > 0) {
+    throw new Error(`Invalid routing rule "${rule.name}": ${problems.join(", ")}`);
+  }
+};
+
+/**
+ * Parses ROUTING_RULES value.
+ * @param {string} raw - JSON array of rules
+ * @returns {Object[]} Rules
+ * @throws {Error} If value is not a JSON array
+ */
+const parseRules = (raw) => {
+  let rules;
+  try {
+    rules = JSON.parse(raw);
+  } catch {
+    throw new Error("ROUTING_RULES is not valid JSON");
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error("ROUTING_RULES must be a JSON array");
+  }
+  return rules;
+};
+
+/**
+ * Loads and validates configured routing rules.
+ * @returns {Object[]} Routing rules in evaluation order (empty if none configured)
+ */
+export const loadRoutingRules = () => {
+  const raw = process.env.ROUTING_RULES;
+  const rules = raw ? parseRules(raw) : [];
+  rules.forEach(assertRule);
+  return rules;
+};
+
+/**
+ * Returns domain of an email address.
+ * @param {string} email - Email address
+ * @returns {string} Lower-case domain
+ */
+const getDomain = (email) => String(email).split("@").pop().toLowerCase();
+
+/**
+ * Checks sender domain against configured domains (subdomains match too).
+ * @param {string} email - Sender address
+ * @param {string[]} domains - Configured domains
+ * @returns {boolean} True if the domain matches
+ */
+const matchesDomain = (email, domains) => {
+  const domain = getDomain(email);
+  return normalizeList(domains).some((entry) => domain === entry || domain.endsWith(`.${entry}`));
+};
+
+/**
+ * Checks subject and message for any keyword (case-insensitive substring).
+ * @param {Object} formData - Validated form data
+ * @param {string[]} keywords - Configured keywords
+ * @returns {boolean} True if a keyword occurs
+ */
+const matchesKeyword = (formData, keywords) => {
+  const haystack = `${formData.subject || ""}\n${formData.message || ""}`.toLowerCase();
+  return normalizeList(keywords).some((keyword) => haystack.includes(keyword));
+};
+
+/**
+ * Checks value of a form field (e.g. a category select) against configured values.
+ * @param {Object} formData - Validated form data
+ * @param {{name: string, values: string[]}} field - Field condition
+ * @returns {boolean} True if the field has one of the values
+ */
+const matchesField = (formData, { name, values }) =>
+  normalizeList(values).includes(String(formData.fields?.[name] ?? "").trim().toLowerCase());
+
+/**
+ * Checks form id against configured form ids (case-insensitive, surrounding spaces ignored).
+ * @param {Object} formData - Validated form data
+ * @param {string[]} forms - Configured form ids
+ * @returns {boolean} True if the form is listed
+ */
+const matchesForm = (formData, forms) => normalizeList(forms).includes(String(formData.formId).toLowerCase());
+
+/**
+ * Checks whether every condition of a rule holds (conditions are ANDed, list entries ORed).
+ * @param {Object} match - Match conditions
+ * @param {Object} formData - Validated form data
+ * @returns {boolean} True if the rule applies
+ */
+const matchesRule = (match, formData) =>
+  (!match.forms || matchesForm(formData, match.forms)) &&
+  (!match.field || matchesField(formData, match.field)) &&
+  (!match.keywords || matchesKeyword(formData, match.keywords)) &&
+  (!match.senderDomains || matchesDomain(formData.email, match.senderDomains));
+
+/**
+ * Resolves recipients and subject prefix for a submission (TO_EMAIL if no rule matches).
+ * @param {Object} formData - Validated form data
+ * @param {Object[]} [rules] - Routing rules
+ * @returns {{rule: string|null, to: string[], cc: string[], bcc: string[], subjectPrefix: string}} Route
+ */
+export const resolveRoute = (formData, rules = loadRoutingRules()) => {
+  const rule = rules.find(({ match }) => matchesRule(match, formData));
+  return {
+    rule: rule?.name ?? null,
+    to: toAddressList(rule?.to || process.env.TO_EMAIL),
+    cc: toAddressList(rule?.cc),
+    bcc: toAddressList(rule?.bcc),
+    subjectPrefix: rule?.subjectPrefix ?? "",
+  };
+};
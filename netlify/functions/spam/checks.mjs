@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Spam checks
+ * @description Independent checks; each returns null (clean) or {reason, factor} scaled by its configured weight
+ * @module spam/checks
+ */
+
+import { createHash } from "node:crypto";
+import { createStore } from "../stores/registry.mjs";
+import { HONEYPOT_FIELD, RENDER_TOKEN_FIELD } from "../../../shared/spam.js";
+import { getRenderTokenSecret, readRenderToken } from "./render-token.mjs";
+
+const LINK_PATTERN = /https?:\/\/|www\.|\[url[=\]]|<a\s/gi;
+const FORM_POST_MISSING_TOKEN_FACTOR = 0.5;
+
+/**
+ * Joins all submitted text values.
+ * @param {Object} context - Check context
+ * @returns {string} Text
+ */
+const getText = (context) => Object.values(context.fields).join("\n");
+
+/**
+ * Fires if the hidden honeypot field was filled in.
+ * @param {Object} context - Check context
+ * @returns {Object|null} Finding
+ */
+const checkHoneypot = (context) =>
+  context.body[HONEYPOT_FIELD] ? { reason: "honeypot_filled" } : null;
+
+/**
+ * Fires if the render token is missing or forged (skipped if SPAM_TOKEN_SECRET is unset).
+ * A missing token counts half on browser form posts, which cannot fetch one without JavaScript.
+ * @param {Object} context - Check context
+ * @returns {Object|null} Finding
+ */
+const checkRenderToken = (context) => {
+  const secret = getRenderTokenSecret();
+  const token = context.body[RENDER_TOKEN_FIELD];
+  if (!secret || readRenderToken(secret, token) !== null) return null;
+  if (token) return { reason: "render_token_invalid" };
+  return { reason: "render_token_missing", factor: context.formPost ? FORM_POST_MISSING_TOKEN_FACTOR : 1 };
+};
+
+/**
+ * Fires if the form was submitted faster than a human can type, or the token is stale.
+ * @param {Object} context - Check context
+ * @param {Object} config - Spam config
+ * @returns {Object|null} Finding
+ */
+const checkTiming = (context, config) => {
+  const secret = getRenderTokenSecret();
+  const renderedAt = secret ? readRenderToken(secret, context.body[RENDER_TOKEN_FIELD]) : null;
+  if (renderedAt === null) return null;
+  const seconds = (context.now - renderedAt) / 1000;
+  if (seconds < config.minSubmitSeconds) return { reason: "submitted_too_fast", detail: `${seconds.toFixed(1)}s` };
+  if (seconds > config.maxTokenAgeSeconds) return { reason: "render_token_expired" };
+  return null;
+};
+
+/**
+ * Fires per link above maxLinks.
+ * @param {Object} context - Check context
+ * @param {Object} config - Spam config
+ * @returns {Object|null} Finding
+ */
+const checkLinks = (context, config) => {
+  const count = getText(context).match(LINK_PATTERN)?.length ?? 0;
+  if (count <= config.maxLinks) return null;
+  return { reason: "too_many_links", detail: String(count), factor: count - config.maxLinks };
+};
+
+/**
+ * Fires per matching blocklist pattern.
+ * @param {Object} context - Check context
+ * @param {Object} config - Spam config
+ * @returns {Object|null} Finding
+ */
+const checkBlocklist = (context, config) => {
+  const text = getText(context);
+  const matches = config.blocklist.filter((pattern) => pattern.test(text));
+  if (matches.length === 0) return null;
+  return { reason: "blocklisted_content", detail: matches.map(String).join(", "), factor: matches.length };
+};
+
+/**
+ * Hashes message with case, whitespace and punctuation removed so trivial variations match.
+ * @param {string} message - Message text
+ * @returns {string} Fingerprint
+ */
+const fingerprint = (message) =>
+  createHash("sha256")
+    .update(String(message).normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ""))
+    .digest("hex")
+    .slice(0, 32);
+
+/**
+ * Fires if the same message was submitted more than duplicateLimit times within the window.
+ * @param {Object} context - Check context
+ * @param {Object} config - Spam config
+ * @returns {Promise<Object|null>} Finding
+ */
+const checkDuplicate = async (context, config) => {
+  const key = `fingerprint:${fingerprint(context.fields.message)}`;
+  const count = await createStore("spam").increment(key, config.duplicateWindowSeconds * 1000);
+  return count > config.duplicateLimit ? { reason: "repeated_content", detail: String(count) } : null;
+};
+
+/**
+ * Checks by name (the name selects the weight in SPAM_CONFIG).
+ * @type {Object<string, Function>}
+ */
+export const SPAM_CHECKS = {
+  honeypot: checkHoneypot,
+  renderToken: checkRenderToken,
+  timing: checkTiming,
+  links: checkLinks,
+  blocklist: checkBlocklist,
+  duplicate: checkDuplicate,
+};
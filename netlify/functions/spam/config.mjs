@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Spam scoring configuration
+ * @description Thresholds, check weights and limits loaded from SPAM_CONFIG (JSON) with defaults
+ * @module spam/config
+ */
+
+/**
+ * Defaults: a score of 0.5 quarantines, 1.0 rejects.
+ * Each weight is the score a check adds when it fires.
+ * @type {Object}
+ */
+export const DEFAULT_SPAM_CONFIG = {
+  quarantineScore: 0.5,
+  rejectScore: 1,
+  weights: {
+    honeypot: 1,
+    renderToken: 0.5,
+    timing: 0.6,
+    links: 0.3,
+    blocklist: 0.6,
+    duplicate: 0.5,
+  },
+  minSubmitSeconds: 3,
+  maxTokenAgeSeconds: 24 * 60 * 60,
+  maxLinks: 2,
+  blocklist: [],
+  duplicateLimit: 2,
+  duplicateWindowSeconds: 60 * 60,
+};
+
+const NUMERIC_FIELDS = [
+  "quarantineScore",
+  "rejectScore",
+  "minSubmitSeconds",
+  "maxTokenAgeSeconds",
+  "maxLinks",
+  "duplicateLimit",
+  "duplicateWindowSeconds",
+];
+
+/**
+ * Compiles blocklist entry: "/pattern/flags" is a regular expression, anything else a case-insensitive phrase.
+ * @param {string} entry - Blocklist entry
+ * @returns {RegExp} Pattern
+ * @throws {SyntaxError} If a regular expression is invalid
+ */
+const toPattern = (entry) => {
+  const regex = /^\/(.+)\/([a-z]*)$/s.exec(entry);
+  if (regex) return new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+  return new RegExp(String(entry).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+};
+
+/**
+ * Lists blocklist entries that cannot be compiled.
+ * @param {string[]} blocklist - Blocklist entries
+ * @returns {string[]} Problems
+ */
+const findBlocklistProblems = (blocklist) => {
+  if (!Array.isArray(blocklist)) return ["blocklist must be an array"];
+  return blocklist.flatMap((entry) => {
+    try {
+      toPattern(entry);
+      return [];
+    } catch (error) {
+      return [`invalid blocklist pattern ${entry}`];
+    }
+  });
+};
+
+/**
+ * Collects configuration problems.
+ * @param {Object} config - Merged spam config
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findConfigProblems = (config) => {
+  const problems = NUMERIC_FIELDS.filter((field) => !(config[field] >= 0)).map(
+    (field) => `${field} must be a non-negative number`,
+  );
+  Object.entries(config.weights)
+    .filter(([, weight]) => !(weight >= 0))
+    .forEach(([check]) => problems.push(`weights.${check} must be a non-negative number`));
+  problems.push(...findBlocklistProblems(config.blocklist));
+  if (config.rejectScore < config.quarantineScore) problems.push("rejectScore must not be below quarantineScore");
+  return problems;
+};
+
+/**
+ * Parses SPAM_CONFIG value.
+ * @param {string} raw - JSON object
+ * @returns {Object} Partial config
+ * @throws {Error} If value is not a JSON object
+ */
+const parseConfig = (raw) => {
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error("SPAM_CONFIG is not valid JSON");
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("SPAM_CONFIG must be a JSON object");
+  }
+  return config;
+};
+
+/**
+ * Loads spam config (SPAM_CONFIG merged over defaults, blocklist compiled to patterns).
+ * @returns {Object} Spam config
+ * @throws {Error} If configuration is invalid
+ */
+export const loadSpamConfig = () => {
+  const custom = process.env.SPAM_CONFIG ? parseConfig(process.env.SPAM_CONFIG) : {};
+  const config = { ...DEFAULT_SPAM_CONFIG, ...custom, weights: { ...DEFAULT_SPAM_CONFIG.weights, ...custom.weights } };
+  const problems = findConfigProblems(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid SPAM_CONFIG: ${problems.join(", ")}`);
+  }
+  return { ...config, blocklist: config.blocklist.map(toPattern) };
+};
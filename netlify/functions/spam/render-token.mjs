@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Signed render timestamps
+ * @description "<timestamp>.<hmac>" tokens issued when a form is rendered, used to measure time-to-submit
+ * @module spam/render-token
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+export const RENDER_TOKEN_ENV_VARS = ["SPAM_TOKEN_SECRET"];
+
+/**
+ * Signs timestamp.
+ * @param {string} secret - Signing secret
+ * @param {string} timestamp - Timestamp (ms, base 10)
+ * @returns {string} Hex signature
+ */
+const sign = (secret, timestamp) => createHmac("sha256", secret).update(`render:${timestamp}`).digest("hex");
+
+/**
+ * Returns the signing secret (render tokens are disabled if unset).
+ * @returns {string|undefined} Secret
+ */
+export const getRenderTokenSecret = () => process.env.SPAM_TOKEN_SECRET;
+
+/**
+ * Creates render token for the current time.
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current time in ms
+ * @returns {string} Render token
+ */
+export const createRenderToken = (secret, now = Date.now()) => `${now}.${sign(secret, String(now))}`;
+
+/**
+ * Reads render time from token.
+ * @param {string} secret - Signing secret
+ * @param {*} token - Token from request body
+ * @returns {number|null} Render time in ms, or null if missing, malformed or forged
+ */
+export const readRenderToken = (secret, token) => {
+  const [timestamp, signature] = typeof token === "string" ? token.split(".") : [];
+  if (!/^\d+$/.test(timestamp || "") || !signature) return null;
+  const received = Buffer.from(signature);
+  const expected = Buffer.from(sign(secret, timestamp));
+  const valid = received.length === expected.length && timingSafeEqual(received, expected);
+  return valid ? Number(timestamp) : null;
+};
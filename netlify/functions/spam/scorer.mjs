@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Spam scorer
+ * @description Runs all checks and maps the combined score to accept, quarantine or reject
+ * @module spam/scorer
+ */
+
+import { loadSpamConfig } from "./config.mjs";
+import { SPAM_CHECKS } from "./checks.mjs";
+
+export const SPAM_OUTCOMES = { ACCEPT: "accept", QUARANTINE: "quarantine", REJECT: "reject" };
+
+const OUTCOME_SEVERITY = [SPAM_OUTCOMES.ACCEPT, SPAM_OUTCOMES.QUARANTINE, SPAM_OUTCOMES.REJECT];
+
+/**
+ * Runs one check and weights its finding.
+ * @param {string} name - Check name
+ * @param {Object} context - Check context
+ * @param {Object} config - Spam config
+ * @returns {Promise<Object|null>} Weighted reason or null
+ */
+const runCheck = async (name, context, config) => {
+  const weight = config.weights[name] ?? 0;
+  if (weight === 0) return null;
+  const finding = await SPAM_CHECKS[name](context, config);
+  if (!finding) return null;
+  const { factor = 1, ...reason } = finding;
+  return { check: name, ...reason, score: Math.round(weight * factor * 100) / 100 };
+};
+
+/**
+ * Maps score to outcome.
+ * @param {number} score - Combined score
+ * @param {Object} config - Spam config
+ * @returns {string} Outcome
+ */
+const getOutcome = (score, config) => {
+  if (score >= config.rejectScore) return SPAM_OUTCOMES.REJECT;
+  if (score >= config.quarantineScore) return SPAM_OUTCOMES.QUARANTINE;
+  return SPAM_OUTCOMES.ACCEPT;
+};
+
+/**
+ * Scores submission with all checks.
+ * @param {{body: Object, fields: Object, formPost?: boolean}} submission - Raw request body, validated field values
+ * and whether a browser posted the form without JavaScript
+ * @returns {Promise<{outcome: string, score: number, reasons: Object[]}>} Verdict
+ */
+export const scoreSubmission = async ({ body, fields, formPost = false }) => {
+  const config = loadSpamConfig();
+  const context = { body, fields, formPost, now: Date.now() };
+  const results = await Promise.all(Object.keys(SPAM_CHECKS).map((name) => runCheck(name, context, config)));
+  const reasons = results.filter(Boolean);
+  const score = Math.round(reasons.reduce((sum, reason) => sum + reason.score, 0) * 100) / 100;
+  return { outcome: getOutcome(score, config), score, reasons };
+};
+
+/**
+ * Combines spam verdict with CAPTCHA verdict (the stricter outcome wins, reasons are joined).
+ * @param {{outcome: string, score: number, reasons: Object[]}} spam - Spam verdict
+ * @param {{outcome: string, score: number|null, reasons: Object[]}} captcha - CAPTCHA verdict
+ * @returns {{outcome: string, score: number, reasons: Object[], captchaScore: number|null}} Combined verdict
+ */
+export const mergeCaptchaVerdict = (spam, captcha) => ({
+  ...spam,
+  outcome: OUTCOME_SEVERITY[Math.max(OUTCOME_SEVERITY.indexOf(spam.outcome), OUTCOME_SEVERITY.indexOf(captcha.outcome))],
+  reasons: [...captcha.reasons, ...spam.reasons],
+  captchaScore: captcha.score,
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Expiring entry helpers shared by store adapters
+ * @description Entries are stored as {value, expiresAt} so adapters without native TTL can expire them
+ * @module stores/entry
+ */
+
+/**
+ * Converts TTL into absolute expiry timestamp.
+ * @param {number|undefined} ttlMs - Time to live in milliseconds
+ * @returns {number|null} Expiry timestamp or null for no expiry
+ */
+export const toExpiresAt = (ttlMs) => (ttlMs ? Date.now() + ttlMs : null);
+
+/**
+ * Checks if entry has expired.
+ * @param {{expiresAt: number|null}|null|undefined} entry - Stored entry
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if entry is expired
+ */
+export const isExpired = (entry, now = Date.now()) =>
+  Boolean(entry && entry.expiresAt !== null && entry.expiresAt <= now);
+
+/**
+ * Creates new entry.
+ * @param {*} value - Stored value
+ * @param {number|undefined} ttlMs - Time to live in milliseconds
+ * @returns {{value: *, expiresAt: number|null}} Entry
+ */
+export const createEntry = (value, ttlMs) => ({
+  value,
+  expiresAt: toExpiresAt(ttlMs),
+});
+
+/**
+ * Increments entry counter, keeping the expiry of a live entry.
+ * @param {{value: number, expiresAt: number|null}|null} entry - Current entry
+ * @param {number|undefined} ttlMs - TTL applied when entry is created
+ * @returns {{value: number, expiresAt: number|null}} Incremented entry
+ */
+export const incrementEntry = (entry, ttlMs) => {
+  if (!entry || isExpired(entry)) return createEntry(1, ttlMs);
+  return { ...entry, value: Number(entry.value) + 1 };
+};
+
+/**
+ * Resolves TTL of an update, which may depend on the next value (e.g. to keep an expiry stored in it).
+ * @param {number|Function|undefined} ttlMs - TTL in milliseconds, or function of the next value returning it
+ * @param {*} value - Next value
+ * @returns {number|undefined} TTL in milliseconds
+ */
+export const resolveTtl = (ttlMs, value) => (typeof ttlMs === "function" ? ttlMs(value) : ttlMs);
+
+/**
+ * Applies updater to the live value of an entry.
+ * @param {{value: *, expiresAt: number|null}|null|undefined} entry - Current entry
+ * @param {Function} updater - Receives current value (or null), returns next value
+ * @param {number|Function|undefined} ttlMs - Time to live of the updated entry (see resolveTtl)
+ * @returns {{value: *, expiresAt: number|null}} Updated entry
+ */
+export const updateEntry = (entry, updater, ttlMs) => {
+  const current = entry && !isExpired(entry) ? entry.value : null;
+  const next = updater(current);
+  return createEntry(next, resolveTtl(ttlMs, next));
+};
+
+/**
+ * Removes expired entries from a plain object of entries.
+ * @param {Object<string, {value: *, expiresAt: number|null}>} entries - Entries by key
+ * @returns {Object<string, {value: *, expiresAt: number|null}>} Live entries
+ */
+export const pruneEntries = (entries) => {
+  const now = Date.now();
+  return Object.fromEntries(
+    Object.entries(entries).filter(([, entry]) => !isExpired(entry, now)),
+  );
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview File-based store adapter for local development
+ * @description Keeps one JSON file per namespace in STORE_DIR, guarded by a lock directory
+ * @module stores/file
+ */
+
+import { mkdir, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import {
+  createEntry,
+  incrementEntry,
+  isExpired,
+  pruneEntries,
+  updateEntry,
+} from "./entry.mjs";
+
+const LOCK_RETRY_DELAY = 20;
+const LOCK_MAX_ATTEMPTS = 250;
+const LOCK_STALE_AFTER = 10 * 1000;
+
+/**
+ * Returns JSON file path for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {string} File path
+ */
+const getFilePath = (namespace) =>
+  join(process.env.STORE_DIR || ".netlify/store", `${namespace}.json`);
+
+/**
+ * Reads entries from file.
+ * @param {string} file - File path
+ * @returns {Promise<Object>} Entries by key
+ */
+const readEntries = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+};
+
+/**
+ * Writes entries atomically via temp file and rename.
+ * @param {string} file - File path
+ * @param {Object} entries - Entries by key
+ * @returns {Promise<void>}
+ */
+const writeEntries = async (file, entries) => {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await writeFile(tempFile, JSON.stringify(entries));
+  await rename(tempFile, file);
+};
+
+/**
+ * Removes lock directory left behind by a crashed process.
+ * @param {string} lockDir - Lock directory
+ * @returns {Promise<void>}
+ */
+const removeStaleLock = async (lockDir) => {
+  const info = await stat(lockDir).catch(() => null);
+  if (info && Date.now() - info.mtimeMs > LOCK_STALE_AFTER) {
+    await rm(lockDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Acquires exclusive lock (mkdir is atomic).
+ * @param {string} lockDir - Lock directory
+ * @returns {Promise<void>}
+ * @throws {Error} If lock cannot be acquired
+ */
+const acquireLock = async (lockDir) => {
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+    try {
+      return await mkdir(lockDir);
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      await removeStaleLock(lockDir);
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+  throw new Error(`Could not lock ${lockDir}`);
+};
+
+/**
+ * Runs mutation on live entries while holding the file lock.
+ * @param {string} file - File path
+ * @param {Function} mutate - Receives entries, may modify them, returns result
+ * @returns {Promise<*>} Mutation result
+ */
+const withEntries = async (file, mutate) => {
+  await mkdir(dirname(file), { recursive: true });
+  await acquireLock(`${file}.lock`);
+  try {
+    const entries = pruneEntries(await readEntries(file));
+    const result = mutate(entries);
+    await writeEntries(file, entries);
+    return result;
+  } finally {
+    await rm(`${file}.lock`, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Reads live value without locking.
+ * @param {string} file - File path
+ * @param {string} key - Entry key
+ * @returns {Promise<*>} Value or null
+ */
+const readValue = async (file, key) => {
+  const entry = (await readEntries(file))[key];
+  return entry && !isExpired(entry) ? entry.value : null;
+};
+
+/**
+ * Atomically increments counter.
+ * @param {Object} entries - Entries by key
+ * @param {string} key - Counter key
+ * @param {number} ttlMs - TTL applied when counter is created
+ * @returns {number} New counter value
+ */
+const incrementCounter = (entries, key, ttlMs) => {
+  entries[key] = incrementEntry(entries[key], ttlMs);
+  return entries[key].value;
+};
+
+/**
+ * Atomically replaces value with updater result.
+ * @param {Object} entries - Entries by key
+ * @param {string} key - Entry key
+ * @param {Function} updater - Receives current value (or null), returns next value
+ * @param {number|Function} ttlMs - Time to live of the updated entry (see resolveTtl in entry.mjs)
+ * @returns {*} Updated value
+ */
+const updateValue = (entries, key, updater, ttlMs) => {
+  entries[key] = updateEntry(entries[key], updater, ttlMs);
+  return entries[key].value;
+};
+
+/**
+ * Lists keys of live entries starting with prefix.
+ * @param {string} file - Store file path
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>} Matching keys
+ */
+const listKeys = async (file, prefix) =>
+  Object.keys(pruneEntries(await readEntries(file))).filter((key) => key.startsWith(prefix));
+
+/**
+ * Creates file store for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Store adapter
+ */
+export const createFileStore = (namespace) => {
+  const file = getFilePath(namespace);
+  return {
+    name: "file",
+    get: (key) => readValue(file, key),
+    set: (key, value, ttlMs) =>
+      withEntries(file, (entries) => {
+        entries[key] = createEntry(value, ttlMs);
+      }),
+    increment: (key, ttlMs) =>
+      withEntries(file, (entries) => incrementCounter(entries, key, ttlMs)),
+    update: (key, updater, ttlMs) =>
+      withEntries(file, (entries) => updateValue(entries, key, updater, ttlMs)),
+    delete: (key) => withEntries(file, (entries) => delete entries[key]),
+    list: (prefix = "") => listKeys(file, prefix),
+    prune: () => withEntries(file, () => undefined),
+    ping: () => mkdir(dirname(file), { recursive: true }).then(() => true),
+  };
+};
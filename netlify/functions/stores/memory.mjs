@@ -0,0 +1,110 @@
+/**
+ * @fileoverview In-process memory store adapter
+ * @description Shared across warm invocations of one instance only; use for tests and single-instance setups
+ * @module stores/memory
+ */
+
+import {
+  createEntry,
+  incrementEntry,
+  isExpired,
+  updateEntry,
+} from "./entry.mjs";
+
+const namespaces = new Map();
+
+/**
+ * Returns entry map for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Map<string, Object>} Entries by key
+ */
+const getNamespace = (namespace) => {
+  if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+  return namespaces.get(namespace);
+};
+
+/**
+ * Reads live entry, deleting it if expired.
+ * @param {Map<string, Object>} entries - Entries by key
+ * @param {string} key - Entry key
+ * @returns {Object|undefined} Live entry
+ */
+const readEntry = (entries, key) => {
+  const entry = entries.get(key);
+  if (!isExpired(entry)) return entry;
+  entries.delete(key);
+  return undefined;
+};
+
+/**
+ * Removes all expired entries.
+ * @param {Map<string, Object>} entries - Entries by key
+ * @returns {number} Number of removed entries
+ */
+const pruneExpired = (entries) => {
+  const now = Date.now();
+  const expired = [...entries].filter(([, entry]) => isExpired(entry, now));
+  expired.forEach(([key]) => entries.delete(key));
+  return expired.length;
+};
+
+/**
+ * Atomically increments counter (single-threaded event loop).
+ * @param {Map<string, Object>} entries - Entries by key
+ * @param {string} key - Counter key
+ * @param {number} ttlMs - TTL applied when counter is created
+ * @returns {number} New counter value
+ */
+const incrementCounter = (entries, key, ttlMs) => {
+  const entry = incrementEntry(readEntry(entries, key), ttlMs);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Atomically replaces value with updater result.
+ * @param {Map<string, Object>} entries - Entries by key
+ * @param {string} key - Entry key
+ * @param {Function} updater - Receives current value (or null), returns next value
+ * @param {number|Function} ttlMs - Time to live of the updated entry (see resolveTtl in entry.mjs)
+ * @returns {*} Updated value
+ */
+const updateValue = (entries, key, updater, ttlMs) => {
+  const entry = updateEntry(readEntry(entries, key), updater, ttlMs);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Lists keys of live entries starting with prefix.
+ * @param {Map<string, Object>} entries - Entries by key
+ * @param {string} prefix - Key prefix
+ * @returns {string[]} Matching keys
+ */
+const listKeys = (entries, prefix) =>
+  [...entries.keys()].filter((key) => key.startsWith(prefix) && readEntry(entries, key));
+
+/**
+ * Creates memory store for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Store adapter
+ */
+export const createMemoryStore = (namespace) => {
+  const entries = getNamespace(namespace);
+  return {
+    name: "memory",
+    get: async (key) => readEntry(entries, key)?.value ?? null,
+    set: async (key, value, ttlMs) => {
+      entries.set(key, createEntry(value, ttlMs));
+    },
+    increment: async (key, ttlMs) => incrementCounter(entries, key, ttlMs),
+    update: async (key, updater, ttlMs) =>
+      updateValue(entries, key, updater, ttlMs),
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async (prefix = "") => listKeys(entries, prefix),
+    prune: async () => pruneExpired(entries),
+    ping: async () => true,
+  };
+};
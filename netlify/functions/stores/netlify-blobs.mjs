@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Netlify Blobs store adapter
+ * @description Strongly consistent site-wide store; increments and updates use conditional writes with retries
+ * @module stores/netlify-blobs
+ */
+
+import { connectLambda, getStore } from "@netlify/blobs";
+import {
+  createEntry,
+  incrementEntry,
+  isExpired,
+  updateEntry,
+} from "./entry.mjs";
+
+const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * Connects Blobs to the Lambda-compatible (v1) function context.
+ * @param {Object} event - Netlify event object
+ */
+export const connectBlobsContext = (event) => {
+  if (event?.blobs) connectLambda(event);
+};
+
+/**
+ * Checks whether Blobs is available (Netlify runtime, connected v1 context or `netlify dev`).
+ * @returns {boolean} True if a Blobs context is set
+ */
+export const hasBlobsContext = () => Boolean(process.env.NETLIFY_BLOBS_CONTEXT || globalThis.netlifyBlobsContext);
+
+/**
+ * Opens strongly consistent Blobs store for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Netlify Blobs store
+ */
+const openStore = (namespace) =>
+  getStore({ name: `formhandling-${namespace}`, consistency: "strong" });
+
+/**
+ * Reads entry together with its ETag, treating expired entries as missing.
+ * @param {Object} store - Netlify Blobs store
+ * @param {string} key - Entry key
+ * @returns {Promise<{entry: Object|null, etag: string|undefined, exists: boolean}>} Entry, ETag and whether a blob
+ *   (live or expired) is stored
+ */
+const readEntry = async (store, key) => {
+  const result = await store.getWithMetadata(key, { type: "json" });
+  if (!result) return { entry: null, etag: undefined, exists: false };
+  const entry = isExpired(result.data) ? null : result.data;
+  return { entry, etag: result.etag, exists: true };
+};
+
+/**
+ * Reads live value, deleting expired blobs.
+ * @param {Object} store - Netlify Blobs store
+ * @param {string} key - Entry key
+ * @returns {Promise<*>} Value or null
+ */
+const readValue = async (store, key) => {
+  const { entry, exists } = await readEntry(store, key);
+  if (!entry && exists) await store.delete(key);
+  return entry ? entry.value : null;
+};
+
+/**
+ * Returns write condition for a read blob. The local `netlify dev` server sends no ETag, so an existing blob
+ * without one is overwritten unconditionally (no compare-and-swap there).
+ * @param {{etag: string|undefined, exists: boolean}} read - Result of readEntry
+ * @returns {Object} setJSON options
+ */
+const getWriteCondition = ({ etag, exists }) => {
+  if (etag) return { onlyIfMatch: etag };
+  return exists ? {} : { onlyIfNew: true };
+};
+
+/**
+ * Atomically replaces entry using ETag compare-and-swap with retries.
+ * @param {Object} store - Netlify Blobs store
+ * @param {string} key - Entry key
+ * @param {Function} computeEntry - Receives current entry (or null), returns next entry
+ * @returns {Promise<*>} Written value
+ * @throws {Error} If contention persists
+ */
+const compareAndSwap = async (store, key, computeEntry) => {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const read = await readEntry(store, key);
+    const next = computeEntry(read.entry);
+    const { modified } = await store.setJSON(key, next, getWriteCondition(read));
+    if (modified) return next.value;
+  }
+  throw new Error(`Blob write contention on ${key}`);
+};
+
+/**
+ * Lists keys of live blobs; expired ones stay until prune, since listing does not return the entries.
+ * @param {Object} store - Netlify Blobs store
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>} Keys
+ */
+const listLiveKeys = async (store, prefix) => {
+  const { blobs } = await store.list({ prefix });
+  const entries = await Promise.all(blobs.map(({ key }) => readEntry(store, key)));
+  return blobs.filter((blob, index) => entries[index].entry).map(({ key }) => key);
+};
+
+/**
+ * Deletes all expired blobs in store.
+ * @param {Object} store - Netlify Blobs store
+ * @returns {Promise<number>} Number of removed blobs
+ */
+const pruneExpired = async (store) => {
+  const { blobs } = await store.list();
+  let removed = 0;
+  for (const { key } of blobs) {
+    const { entry, exists } = await readEntry(store, key);
+    if (!entry && exists) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Creates Netlify Blobs store for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Store adapter
+ */
+export const createBlobsStore = (namespace) => {
+  const store = openStore(namespace);
+  return {
+    name: "netlify-blobs",
+    get: (key) => readValue(store, key),
+    set: (key, value, ttlMs) => store.setJSON(key, createEntry(value, ttlMs)),
+    increment: (key, ttlMs) =>
+      compareAndSwap(store, key, (entry) => incrementEntry(entry, ttlMs)),
+    update: (key, updater, ttlMs) =>
+      compareAndSwap(store, key, (entry) => updateEntry(entry, updater, ttlMs)),
+    delete: (key) => store.delete(key),
+    list: (prefix = "") => listLiveKeys(store, prefix),
+    prune: () => pruneExpired(store),
+    ping: async () => Boolean(await store.list()),
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Redis store adapter over the Upstash-compatible REST API
+ * @description Works with Upstash Redis and self-hosted REST proxies (e.g. serverless-redis-http)
+ * @module stores/redis
+ */
+
+import { resolveTtl } from "./entry.mjs";
+
+/**
+ * Environment variables required by the Redis store.
+ * @type {string[]}
+ */
+export const REDIS_ENV_VARS = [
+  "UPSTASH_REDIS_REST_URL",
+  "UPSTASH_REDIS_REST_TOKEN",
+];
+
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Compare-and-set: writes ARGV[2] only if the raw value still equals ARGV[1]
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+if ARGV[3] == '0' then redis.call('SET', KEYS[1], ARGV[2])
+else redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) end
+return 1`;
+
+/**
+ * Extracts results from pipeline response, throwing on command errors.
+ * @param {Array<{result?: *, error?: string}>} results - Pipeline results
+ * @returns {Array<*>} Command results
+ * @throws {Error} If any command failed
+ */
+const unwrapResults = (results) => {
+  const failed = results.find((item) => item.error);
+  if (failed) throw new Error(`Redis error: ${failed.error}`);
+  return results.map((item) => item.result);
+};
+
+/**
+ * Executes Redis commands in one pipeline request.
+ * @param {Array<Array<string|number>>} commands - Redis commands
+ * @returns {Promise<Array<*>>} Command results
+ * @throws {Error} If request fails
+ */
+const runPipeline = async (commands) => {
+  const response = await fetch(`${process.env.UPSTASH_REDIS_REST_URL}/pipeline`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(commands),
+  });
+  if (!response.ok) throw new Error(`Redis REST responded ${response.status}`);
+  return unwrapResults(await response.json());
+};
+
+/**
+ * Runs single Redis command.
+ * @param {...(string|number)} command - Command and arguments
+ * @returns {Promise<*>} Command result
+ */
+const runCommand = async (...command) => (await runPipeline([command]))[0];
+
+/**
+ * Parses stored JSON value.
+ * @param {string|null} raw - Raw Redis value
+ * @returns {*} Parsed value or null
+ */
+const parseValue = (raw) => (raw === null ? null : JSON.parse(raw));
+
+/**
+ * Stores JSON value with optional TTL.
+ * @param {string} key - Full key
+ * @param {*} value - Value to store
+ * @param {number|undefined} ttlMs - Time to live in milliseconds
+ * @returns {Promise<void>}
+ */
+const setValue = async (key, value, ttlMs) => {
+  const ttlArgs = ttlMs ? ["PX", ttlMs] : [];
+  await runCommand("SET", key, JSON.stringify(value), ...ttlArgs);
+};
+
+/**
+ * Atomically increments counter; expiry is only set when the key is new (counters without TTL never expire).
+ * @param {string} key - Full key
+ * @param {number|undefined} ttlMs - TTL applied when counter is created
+ * @returns {Promise<number>} New counter value
+ */
+const incrementCounter = async (key, ttlMs) => {
+  const expiry = ttlMs ? [["PEXPIRE", key, ttlMs, "NX"]] : [];
+  const [value] = await runPipeline([["INCR", key], ...expiry]);
+  return value;
+};
+
+/**
+ * Atomically replaces value using an optimistic compare-and-set script.
+ * @param {string} key - Full key
+ * @param {Function} updater - Receives current value (or null), returns next value
+ * @param {number|Function|undefined} ttlMs - Time to live of the updated value (see resolveTtl in entry.mjs)
+ * @returns {Promise<*>} Updated value
+ * @throws {Error} If contention persists
+ */
+const updateValue = async (key, updater, ttlMs) => {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const raw = await runCommand("GET", key);
+    const next = updater(parseValue(raw));
+    const args = [raw ?? "", JSON.stringify(next), resolveTtl(ttlMs, next) || 0];
+    const swapped = await runCommand("EVAL", COMPARE_AND_SET_SCRIPT, 1, key, ...args);
+    if (swapped === 1) return next;
+  }
+  throw new Error(`Redis write contention on ${key}`);
+};
+
+/**
+ * Lists keys matching pattern via SCAN (iterates until the cursor wraps).
+ * @param {string} namespace - Store namespace
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>} Matching keys without namespace prefix
+ */
+const listKeys = async (namespace, prefix) => {
+  const base = toRedisKey(namespace, "");
+  const keys = [];
+  let cursor = "0";
+  do {
+    const [next, batch] = await runCommand("SCAN", cursor, "MATCH", `${base}${prefix}*`, "COUNT", 100);
+    keys.push(...batch.map((key) => key.slice(base.length)));
+    cursor = String(next);
+  } while (cursor !== "0");
+  return keys;
+};
+
+/**
+ * Builds namespaced Redis key.
+ * @param {string} namespace - Store namespace
+ * @param {string} key - Entry key
+ * @returns {string} Full Redis key
+ */
+const toRedisKey = (namespace, key) => `formhandling:${namespace}:${key}`;
+
+/**
+ * Creates Redis store for namespace (Redis expires keys natively).
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Store adapter
+ */
+export const createRedisStore = (namespace) => ({
+  name: "redis",
+  get: async (key) =>
+    parseValue(await runCommand("GET", toRedisKey(namespace, key))),
+  set: (key, value, ttlMs) =>
+    setValue(toRedisKey(namespace, key), value, ttlMs),
+  increment: (key, ttlMs) =>
+    incrementCounter(toRedisKey(namespace, key), ttlMs),
+  update: (key, updater, ttlMs) =>
+    updateValue(toRedisKey(namespace, key), updater, ttlMs),
+  delete: async (key) => {
+    await runCommand("DEL", toRedisKey(namespace, key));
+  },
+  list: (prefix = "") => listKeys(namespace, prefix),
+  prune: async () => 0,
+  ping: async () => (await runCommand("PING")) === "PONG",
+});
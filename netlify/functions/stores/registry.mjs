@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Store adapter registry
+ * @description Selects the storage backend per namespace via <NAMESPACE>_STORE or STORE_BACKEND
+ * @module stores/registry
+ */
+
+import { createMemoryStore } from "./memory.mjs";
+import { createFileStore } from "./file.mjs";
+import { createRedisStore, REDIS_ENV_VARS } from "./redis.mjs";
+import { createBlobsStore, connectBlobsContext, hasBlobsContext } from "./netlify-blobs.mjs";
+
+const BACKENDS = {
+  memory: { create: createMemoryStore, envVars: [] },
+  file: { create: createFileStore, envVars: [] },
+  redis: { create: createRedisStore, envVars: REDIS_ENV_VARS },
+  "netlify-blobs": { create: createBlobsStore, envVars: [] },
+};
+
+/**
+ * All store namespaces; each is read by other function instances than the one that wrote it.
+ * @type {string[]}
+ */
+export const STORE_NAMESPACES = ["rate-limit", "submissions", "idempotency", "spam", "outbox"];
+
+/**
+ * Returns backend used when none is configured: Netlify Blobs on Netlify, otherwise memory.
+ * @returns {string} Backend name
+ */
+const getDefaultBackend = () => (hasBlobsContext() ? "netlify-blobs" : "memory");
+
+/**
+ * Returns configured backend name for namespace (see getDefaultBackend if unset).
+ * @param {string} namespace - Store namespace, e.g. "rate-limit"
+ * @returns {string} Backend name
+ */
+export const getStoreBackend = (namespace) => {
+  const override = `${namespace.replace(/-/g, "_").toUpperCase()}_STORE`;
+  const backend = process.env[override] || process.env.STORE_BACKEND;
+  return (backend || getDefaultBackend()).trim().toLowerCase();
+};
+
+/**
+ * Checks whether namespace backend is shared between function instances (every backend except memory).
+ * @param {string} namespace - Store namespace
+ * @returns {boolean} True if other instances see the same entries
+ */
+export const isSharedStore = (namespace) => getStoreBackend(namespace) !== "memory";
+
+/**
+ * Looks up backend registry entry.
+ * @param {string} name - Backend name
+ * @returns {{create: Function, envVars: string[]}} Backend entry
+ * @throws {Error} If backend is unknown
+ */
+const getBackendEntry = (name) => {
+  const entry = BACKENDS[name];
+  if (!entry) throw new Error(`Unknown store backend: ${name}`);
+  return entry;
+};
+
+/**
+ * Returns environment variables required by namespace backend.
+ * @param {string} namespace - Store namespace
+ * @returns {string[]} Required env var names
+ */
+export const getStoreEnvVars = (namespace) =>
+  getBackendEntry(getStoreBackend(namespace)).envVars;
+
+/**
+ * Creates store adapter for namespace.
+ * @param {string} namespace - Store namespace
+ * @returns {Object} Store adapter with get/set/increment/update/delete/prune/ping
+ */
+export const createStore = (namespace) =>
+  getBackendEntry(getStoreBackend(namespace)).create(namespace);
+
+/**
+ * Fails when a namespace uses memory on Netlify, where every instance would keep its own rate limits,
+ * submissions and outbox.
+ * @throws {Error} Naming the namespaces on memory
+ */
+export const assertSharedStores = () => {
+  if (!hasBlobsContext()) return;
+  const unshared = STORE_NAMESPACES.filter((namespace) => !isSharedStore(namespace));
+  if (unshared.length > 0) {
+    throw new Error(`Memory store is not shared between Netlify function instances: ${unshared.join(", ")}`);
+  }
+};
+
+/**
+ * Prepares backends that need per-invocation context (Netlify Blobs) and refuses memory on Netlify.
+ * @param {Object} [event] - Netlify event object (v1 functions)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireShared=true] - False only for diagnostics, which reports memory as an error
+ * @throws {Error} If a namespace uses memory on Netlify
+ */
+export const connectStores = (event, { requireShared = true } = {}) => {
+  connectBlobsContext(event);
+  if (requireShared) assertSharedStores();
+};
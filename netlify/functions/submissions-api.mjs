@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Netlify serverless function for reading and deleting stored submissions
+ * @description Authenticated list/filter, fetch and delete endpoints on top of the submission repository
+ * @module submissions-api
+ */
+
+import { connectStores, isSharedStore } from "./stores/registry.mjs";
+import { HttpError } from "./http/errors.mjs";
+import { getRequestId } from "./http/request-id.mjs";
+import { createLogger } from "./logging/logger.mjs";
+import { ERROR_CODES } from "../../shared/errors.js";
+import { assertAuthorized } from "./submissions/auth.mjs";
+import { filterSubmissions, parseListQuery } from "./submissions/filters.mjs";
+import {
+  deleteSubmission,
+  getSubmission,
+  loadSubmissions,
+  SUBMISSIONS_NAMESPACE,
+} from "./submissions/repository.mjs";
+
+const FUNCTION_NAME = "submissions-api";
+const ERROR_HEADERS = {
+  401: { "WWW-Authenticate": "Bearer" },
+  405: { Allow: "GET, DELETE" },
+};
+
+// === RESPONSE BUILDERS ===
+/**
+ * Builds JSON response (never cached, submissions contain personal data).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object|null} data - Response data (null for empty body)
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    ...extraHeaders,
+  },
+  body: data === null ? "" : JSON.stringify(data),
+});
+
+/**
+ * Builds error response from HttpError (with WWW-Authenticate/Allow where required).
+ * @param {HttpError} error - HTTP error
+ * @returns {Object} Response object
+ */
+const buildHttpErrorResponse = (error) =>
+  buildResponse(
+    error.statusCode,
+    { error: error.message, code: error.code, ...error.data },
+    ERROR_HEADERS[error.statusCode],
+  );
+
+// === ROUTING ===
+/**
+ * Extracts submission id from path (/.netlify/functions/submissions-api/<id>) or ?id=.
+ * @param {Object} event - Netlify event object
+ * @returns {string|null} Submission id or null for collection requests
+ */
+const getSubmissionId = (event) => {
+  const segments = (event.path || "").split("/").filter(Boolean);
+  const index = segments.lastIndexOf(FUNCTION_NAME);
+  const fromPath = index === -1 ? undefined : segments[index + 1];
+  return fromPath || event.queryStringParameters?.id || null;
+};
+
+/**
+ * Lists submissions matching query parameters.
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} Page of submissions
+ */
+const handleList = async (event) => {
+  const filter = parseListQuery(event.queryStringParameters || {});
+  return buildResponse(200, filterSubmissions(await loadSubmissions(), filter));
+};
+
+/**
+ * Returns single submission.
+ * @param {string} id - Submission id
+ * @returns {Promise<Object>} Submission response
+ * @throws {HttpError} 404 if not found
+ */
+const handleGet = async (id) => {
+  const submission = await getSubmission(id);
+  if (!submission) throw new HttpError(404, "Submission not found");
+  return buildResponse(200, submission);
+};
+
+/**
+ * Deletes single submission.
+ * @param {string} id - Submission id
+ * @returns {Promise<Object>} 204 response
+ * @throws {HttpError} 404 if not found
+ */
+const handleDelete = async (id) => {
+  if (!(await deleteSubmission(id))) throw new HttpError(404, "Submission not found");
+  return buildResponse(204, null);
+};
+
+/**
+ * Dispatches request by method and id.
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response
+ * @throws {HttpError} 503 on the memory backend, which only holds this instance's submissions; 405 for unsupported
+ *   method/path combinations
+ */
+const routeRequest = async (event) => {
+  if (!isSharedStore(SUBMISSIONS_NAMESPACE)) throw new HttpError(503, "Submissions API needs a shared store (SUBMISSIONS_STORE)");
+  const id = getSubmissionId(event);
+  if (event.httpMethod === "GET") return id ? handleGet(id) : handleList(event);
+  if (event.httpMethod === "DELETE" && id) return handleDelete(id);
+  throw new HttpError(405, "Method not allowed");
+};
+
+// === MAIN HANDLER ===
+/**
+ * Main Netlify function handler for the submissions API.
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response object
+ */
+export const handler = async (event) => {
+  connectStores(event);
+  try {
+    assertAuthorized(event.headers || {});
+    return await routeRequest(event);
+  } catch (error) {
+    if (error instanceof HttpError) return buildHttpErrorResponse(error);
+    createLogger({ function: FUNCTION_NAME, requestId: getRequestId(event.headers) }).error("request.error", { error });
+    return buildResponse(500, { error: "Internal server error", code: ERROR_CODES.INTERNAL_ERROR });
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Bearer token authentication for the submissions API
+ * @description Compares the Authorization header against SUBMISSIONS_API_TOKEN in constant time
+ * @module submissions/auth
+ */
+
+import { assertBearerToken } from "../http/auth.mjs";
+
+export const SUBMISSIONS_API_ENV_VARS = ["SUBMISSIONS_API_TOKEN"];
+
+/**
+ * Ensures request carries the configured API token.
+ * @param {Object} headers - Request headers
+ * @throws {HttpError} 503 if no token is configured, 401 if token is missing or wrong
+ */
+export const assertAuthorized = (headers) =>
+  assertBearerToken(headers, "SUBMISSIONS_API_TOKEN", "Submissions API");
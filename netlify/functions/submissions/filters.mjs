@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Query filters for the submissions API
+ * @description Parses list query parameters, filters and paginates submissions
+ * @module submissions/filters
+ */
+
+import { HttpError } from "../http/errors.mjs";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parses optional ISO date parameter.
+ * @param {string|undefined} value - Query value
+ * @param {string} name - Parameter name (for error message)
+ * @returns {string|null} ISO timestamp or null
+ * @throws {HttpError} 400 if date is invalid
+ */
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `Invalid ${name}`);
+  return date.toISOString();
+};
+
+/**
+ * Parses non-negative integer parameter.
+ * @param {string|undefined} value - Query value
+ * @param {number} fallback - Default value
+ * @param {string} name - Parameter name (for error message)
+ * @returns {number} Parsed integer
+ * @throws {HttpError} 400 if value is not a non-negative integer
+ */
+const parseInteger = (value, fallback, name) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new HttpError(400, `Invalid ${name}`);
+  return number;
+};
+
+/**
+ * Parses list query (formId, email, status, since, until, q, limit, offset).
+ * @param {Object<string, string>} [query] - Query string parameters
+ * @returns {Object} Normalized filter
+ * @throws {HttpError} 400 for invalid dates or paging values
+ */
+export const parseListQuery = (query = {}) => ({
+  formId: query.formId || null,
+  email: query.email ? query.email.toLowerCase() : null,
+  status: query.status || null,
+  since: parseDate(query.since, "since"),
+  until: parseDate(query.until, "until"),
+  search: query.q ? query.q.toLowerCase() : null,
+  limit: Math.min(parseInteger(query.limit, DEFAULT_LIMIT, "limit") || DEFAULT_LIMIT, MAX_LIMIT),
+  offset: parseInteger(query.offset, 0, "offset"),
+});
+
+/**
+ * Checks whether any field value contains search text.
+ * @param {Object} record - Submission
+ * @param {string} search - Lower-case search text
+ * @returns {boolean} True if a field matches
+ */
+const matchesSearch = (record, search) =>
+  Object.values(record.fields || {}).some((value) => String(value).toLowerCase().includes(search));
+
+/**
+ * Checks submission against filter.
+ * @param {Object} record - Submission
+ * @param {Object} filter - Filter from parseListQuery
+ * @returns {boolean} True if submission matches
+ */
+const matchesFilter = (record, filter) =>
+  (!filter.formId || record.formId === filter.formId) &&
+  (!filter.email || record.email?.toLowerCase() === filter.email) &&
+  (!filter.status || record.delivery?.status === filter.status) &&
+  (!filter.since || record.createdAt >= filter.since) &&
+  (!filter.until || record.createdAt < filter.until) &&
+  (!filter.search || matchesSearch(record, filter.search));
+
+/**
+ * Filters and paginates submissions.
+ * @param {Object[]} records - Submissions, newest first
+ * @param {Object} filter - Filter from parseListQuery
+ * @returns {{items: Object[], total: number, limit: number, offset: number}} Page of submissions
+ */
+export const filterSubmissions = (records, filter) => {
+  const matching = records.filter((record) => matchesFilter(record, filter));
+  return {
+    items: matching.slice(filter.offset, filter.offset + filter.limit),
+    total: matching.length,
+    limit: filter.limit,
+    offset: filter.offset,
+  };
+};
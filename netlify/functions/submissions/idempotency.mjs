@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Idempotent submissions
+ * @description Remembers recent idempotency keys and content hashes so repeated requests replay the original response
+ * @module submissions/idempotency
+ */
+
+import { createHash } from "node:crypto";
+import { createStore } from "../stores/registry.mjs";
+
+export const IDEMPOTENCY_HEADER = "idempotency-key";
+
+const KEY_PATTERN = /^[\w-]{8,128}$/;
+const DEFAULT_WINDOW_MINUTES = 60;
+// A claim older than this belongs to a request that died mid-flight and may be taken over
+const STALE_CLAIM_MS = 60 * 1000;
+
+/**
+ * Returns how long keys and content hashes are remembered (IDEMPOTENCY_WINDOW_MINUTES).
+ * @returns {number} Window in milliseconds
+ */
+const getWindowMs = () => {
+  const minutes = Number(process.env.IDEMPOTENCY_WINDOW_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Hashes submitted content (form, field values, attachment names and sizes).
+ * @param {Object} formData - Validated form data
+ * @returns {string} Content hash
+ */
+export const hashSubmission = (formData) =>
+  createHash("sha256")
+    .update(JSON.stringify({
+      formId: formData.formId,
+      fields: formData.fields,
+      attachments: (formData.attachments || []).map(({ filename, content }) => [filename, content.length]),
+    }))
+    .digest("hex");
+
+/**
+ * Derives store key: the client's Idempotency-Key header, else the content hash.
+ * @param {Object} headers - Lower-case request headers
+ * @param {string} hash - Content hash
+ * @returns {string} Store key
+ */
+export const getIdempotencyKey = (headers, hash) => {
+  const key = headers[IDEMPOTENCY_HEADER];
+  return KEY_PATTERN.test(key || "") ? `key:${key}` : `content:${hash}`;
+};
+
+/**
+ * Decides what a request finds under its key.
+ * @param {Object|null} record - Stored record
+ * @param {string} hash - Content hash of this request
+ * @param {number} now - Current time in ms
+ * @returns {string} State: new | replay | in_progress | mismatch
+ */
+const getClaimState = (record, hash, now) => {
+  if (!record || (record.status === "processing" && now - record.claimedAt > STALE_CLAIM_MS)) return "new";
+  if (record.hash !== hash) return "mismatch";
+  return record.status === "done" ? "replay" : "in_progress";
+};
+
+/**
+ * Returns TTL that keeps the expiry a record got when its key was claimed, so repeats never extend the window.
+ * @param {{expiresAt?: number}} record - Record to write
+ * @returns {number} TTL in milliseconds (at least 1)
+ */
+const getRemainingTtlMs = (record) =>
+  record.expiresAt ? Math.max(1, record.expiresAt - Date.now()) : getWindowMs();
+
+/**
+ * Atomically claims key for this request.
+ * @param {string} key - Store key
+ * @param {string} hash - Content hash
+ * @returns {Promise<{state: string, response?: Object}>} Claim state and, on replay, the stored response
+ */
+export const claimIdempotencyKey = async (key, hash) => {
+  let state;
+  const now = Date.now();
+  const record = await createStore("idempotency").update(
+    key,
+    (current) => {
+      state = getClaimState(current, hash, now);
+      return state === "new" ? { hash, status: "processing", claimedAt: now, expiresAt: now + getWindowMs() } : current;
+    },
+    getRemainingTtlMs,
+  );
+  return { state, response: state === "replay" ? record.response : undefined };
+};
+
+/**
+ * Stores final response for replays until the window of the claim ends.
+ * @param {string} key - Store key
+ * @param {string} hash - Content hash
+ * @param {{statusCode: number, body: string, held?: boolean}} response - Response to replay (held: quarantined)
+ * @returns {Promise<void>}
+ */
+export const completeIdempotencyKey = async (key, hash, { statusCode, body, held = false }) => {
+  await createStore("idempotency").update(
+    key,
+    (current) => ({
+      hash,
+      status: "done",
+      response: { statusCode, body, held },
+      expiresAt: current?.expiresAt ?? Date.now() + getWindowMs(),
+    }),
+    getRemainingTtlMs,
+  );
+};
+
+/**
+ * Releases claim so the request can be retried (used when it did not succeed).
+ * @param {string} key - Store key
+ * @returns {Promise<void>}
+ */
+export const releaseIdempotencyKey = (key) => createStore("idempotency").delete(key);
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Human-readable submission references
+ * @description "CF-2026-0412" style references from a per-year counter, used in subjects, threading headers and responses
+ * @module submissions/reference
+ */
+
+import { randomBytes } from "node:crypto";
+import { createStore, isSharedStore } from "../stores/registry.mjs";
+import { SUBMISSIONS_NAMESPACE } from "./repository.mjs";
+
+const DEFAULT_PREFIX = "CF";
+const COUNTER_PREFIX = "reference:";
+const MIN_DIGITS = 4;
+const RANDOM_BYTES = 4;
+
+/**
+ * Returns reference prefix from REFERENCE_PREFIX (letters and digits, default CF).
+ * @returns {string} Prefix
+ */
+const getReferencePrefix = () => {
+  const prefix = (process.env.REFERENCE_PREFIX || "").trim().toUpperCase();
+  return /^[A-Z0-9]{1,10}$/.test(prefix) ? prefix : DEFAULT_PREFIX;
+};
+
+/**
+ * Returns reference number: the next value of the year's counter on a shared store (atomic, so unique), otherwise
+ * random hex, since every instance on the memory backend would count from 1 again.
+ * @param {number} year - Submission year
+ * @returns {Promise<string>} Reference number, e.g. "0412" or "9F3A07C2"
+ */
+const nextReferenceNumber = async (year) => {
+  if (!isSharedStore(SUBMISSIONS_NAMESPACE)) return randomBytes(RANDOM_BYTES).toString("hex").toUpperCase();
+  const count = await createStore(SUBMISSIONS_NAMESPACE).increment(`${COUNTER_PREFIX}${year}`);
+  return String(count).padStart(MIN_DIGITS, "0");
+};
+
+/**
+ * Creates next reference of the year.
+ * @param {Date} [date] - Submission time
+ * @returns {Promise<string>} Reference, e.g. "CF-2026-0412"
+ */
+export const createReference = async (date = new Date()) => {
+  const year = date.getUTCFullYear();
+  return `${getReferencePrefix()}-${year}-${await nextReferenceNumber(year)}`;
+};
+
+/**
+ * Appends reference to a subject line so replies keep it.
+ * @param {string} subject - Subject line
+ * @param {string} [reference] - Submission reference
+ * @returns {string} Subject with "[#CF-2026-0412]" suffix
+ */
+export const withReference = (subject, reference) => (reference ? `${subject} [#${reference}]` : subject);
+
+/**
+ * Builds Message-ID for one email of a submission (domain of FROM_EMAIL).
+ * @param {string} submissionId - Submission id
+ * @param {string} kind - Email kind (notification|confirmation)
+ * @returns {string} Message-ID including angle brackets
+ */
+export const buildMessageId = (submissionId, kind) => {
+  const domain = (process.env.FROM_EMAIL || "").split("@").pop().replace(/[>\s]/g, "") || "localhost";
+  return `<${kind}.${submissionId}@${domain}>`;
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Submission repository (system of record for accepted submissions)
+ * @description Persists submissions in the "submissions" store namespace with optional retention
+ * @module submissions/repository
+ */
+
+import { randomUUID } from "node:crypto";
+import { createStore } from "../stores/registry.mjs";
+import { createReference } from "./reference.mjs";
+
+export const SUBMISSIONS_NAMESPACE = "submissions";
+
+/**
+ * Emails sent per submission, each with its own delivery status.
+ * @type {string[]}
+ */
+export const DELIVERY_KINDS = ["notification", "confirmation"];
+
+const KEY_PREFIX = "submission:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns store key for a submission id.
+ * @param {string} id - Submission id
+ * @returns {string} Store key
+ */
+const toKey = (id) => `${KEY_PREFIX}${id}`;
+
+/**
+ * Returns retention TTL from SUBMISSION_RETENTION_DAYS (unset or 0 keeps submissions forever).
+ * @returns {number|undefined} TTL in milliseconds
+ */
+export const getRetentionMs = () => {
+  const days = Number(process.env.SUBMISSION_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days * DAY_MS : undefined;
+};
+
+/**
+ * Returns retention left for a stored submission, so updates keep the expiry it got when it was saved.
+ * @param {string} id - Submission id (starts with its creation time)
+ * @returns {number|undefined} TTL in milliseconds (at least 1), undefined if submissions are kept forever
+ */
+const getRemainingRetentionMs = (id) => {
+  const retentionMs = getRetentionMs();
+  if (!retentionMs) return undefined;
+  const createdAt = parseInt(id.split("-")[0], 36);
+  return Number.isFinite(createdAt) ? Math.max(1, createdAt + retentionMs - Date.now()) : retentionMs;
+};
+
+/**
+ * Creates submission id that sorts by creation time.
+ * @param {Date} createdAt - Creation time
+ * @returns {string} Submission id
+ */
+const createSubmissionId = (createdAt) =>
+  `${createdAt.getTime().toString(36)}-${randomUUID().slice(0, 8)}`;
+
+/**
+ * Summarizes attachment without its content.
+ * @param {{filename: string, contentType: string, content: Buffer}} attachment - Mail attachment
+ * @returns {{filename: string, contentType: string, size: number}} Attachment summary
+ */
+const toAttachmentSummary = ({ filename, contentType, content }) => ({
+  filename,
+  contentType,
+  size: content.length,
+});
+
+/**
+ * Builds stored record from validated form data (attachment content is not stored).
+ * @param {Object} formData - Validated form data
+ * @param {Object} meta - Request metadata and spam verdict
+ * @param {{createdAt: Date, reference: string}} identity - Creation time and human-readable reference
+ * @returns {Object} Submission record
+ */
+const buildRecord = (formData, { spam = null, ...metadata }, { createdAt, reference }) => ({
+  id: createSubmissionId(createdAt),
+  reference,
+  createdAt: createdAt.toISOString(),
+  formId: formData.formId,
+  email: formData.email,
+  fields: formData.fields,
+  attachments: (formData.attachments || []).map(toAttachmentSummary),
+  metadata,
+  spamScore: spam?.score ?? null,
+  spam,
+  delivery: {
+    status: "pending",
+    ...Object.fromEntries(DELIVERY_KINDS.map((kind) => [kind, { status: "pending" }])),
+  },
+});
+
+/**
+ * Persists an accepted submission.
+ * @param {Object} formData - Validated form data
+ * @param {Object} meta - Metadata (ip, userAgent, referer, locale) and spam verdict ({outcome, score, reasons, recaptchaScore})
+ * @returns {Promise<Object>} Stored submission record
+ */
+export const saveSubmission = async (formData, meta) => {
+  const createdAt = new Date();
+  const record = buildRecord(formData, meta, { createdAt, reference: await createReference(createdAt) });
+  await createStore(SUBMISSIONS_NAMESPACE).set(toKey(record.id), record, getRetentionMs());
+  return record;
+};
+
+/**
+ * Merges changes into a stored submission.
+ * @param {string} id - Submission id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated record or null if it no longer exists
+ */
+export const updateSubmission = (id, changes) =>
+  createStore(SUBMISSIONS_NAMESPACE).update(
+    toKey(id),
+    (record) => (record ? { ...record, ...changes } : null),
+    getRemainingRetentionMs(id),
+  );
+
+/**
+ * Derives overall delivery status from the per-email statuses.
+ * @param {Object} delivery - Delivery record
+ * @returns {string} sent (all sent) | failed (any dead-lettered) | retrying | awaiting_verification | pending
+ */
+const getOverallStatus = (delivery) => {
+  const statuses = DELIVERY_KINDS.map((kind) => delivery[kind]?.status ?? "pending");
+  if (statuses.every((status) => status === "sent")) return "sent";
+  if (statuses.includes("failed")) return "failed";
+  if (statuses.includes("retrying")) return "retrying";
+  return statuses.includes("awaiting_verification") ? "awaiting_verification" : "pending";
+};
+
+/**
+ * Records delivery status of one email and updates the overall status.
+ * @param {string} id - Submission id
+ * @param {string} kind - Email kind (notification|confirmation)
+ * @param {Object} details - Status (sent|retrying|failed|awaiting_verification), attempts, messageId or error
+ * @returns {Promise<Object|null>} Updated record or null if it no longer exists
+ */
+export const updateDeliveryStatus = (id, kind, details) =>
+  createStore(SUBMISSIONS_NAMESPACE).update(
+    toKey(id),
+    (record) => {
+      if (!record) return null;
+      const delivery = { ...record.delivery, [kind]: { ...details, at: new Date().toISOString() } };
+      return { ...record, delivery: { ...delivery, status: getOverallStatus(delivery) } };
+    },
+    getRemainingRetentionMs(id),
+  );
+
+/**
+ * Records delivery result of one webhook target, replacing its earlier result.
+ * @param {string} id - Submission id
+ * @param {{name: string}} result - Result (name, ok, status, attempts, error, nextAttemptAt)
+ * @returns {Promise<Object|null>} Updated record or null if it no longer exists
+ */
+export const updateWebhookStatus = (id, result) =>
+  createStore(SUBMISSIONS_NAMESPACE).update(
+    toKey(id),
+    (record) => {
+      if (!record) return null;
+      const others = (record.webhooks ?? []).filter((entry) => entry.name !== result.name);
+      return { ...record, webhooks: [...others, { ...result, at: new Date().toISOString() }] };
+    },
+    getRemainingRetentionMs(id),
+  );
+
+/**
+ * Loads submission by id.
+ * @param {string} id - Submission id
+ * @returns {Promise<Object|null>} Submission or null
+ */
+export const getSubmission = (id) => createStore(SUBMISSIONS_NAMESPACE).get(toKey(id));
+
+/**
+ * Deletes submission by id.
+ * @param {string} id - Submission id
+ * @returns {Promise<boolean>} True if a submission was deleted
+ */
+export const deleteSubmission = async (id) => {
+  const store = createStore(SUBMISSIONS_NAMESPACE);
+  if (!(await store.get(toKey(id)))) return false;
+  await store.delete(toKey(id));
+  return true;
+};
+
+/**
+ * Loads all stored submissions, newest first.
+ * @returns {Promise<Object[]>} Submissions
+ */
+export const loadSubmissions = async () => {
+  const store = createStore(SUBMISSIONS_NAMESPACE);
+  const keys = await store.list(KEY_PREFIX);
+  const records = await Promise.all(keys.map((key) => store.get(key)));
+  return records.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
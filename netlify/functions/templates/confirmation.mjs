@@ -1,76 +1,111 @@
 /**
  * @fileoverview Email template for contact form confirmation (sent to sender)
- * @description Builds HTML confirmation email for sender
+ * @description Builds localized HTML and plain-text confirmation email for sender; all user input is escaped
  * @module templates/confirmation
  */
 
-/**
- * Builds HTML confirmation email for sender.
- * @param {string} name - Sender name
- * @returns {string} HTML confirmation email content
- */
-export const buildConfirmationEmail = (name) => `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Message Received - Confirmation</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f7fafc; color: #1a202c;">
-  <div style="max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+import { html, text } from "./engine.mjs";
+import { renderLayout } from "./layout.mjs";
+import { button, infoCard, sectionHeading } from "./partials.mjs";
+import { DEFAULT_LOCALE, translate, translateList } from "../../../shared/i18n.js";
 
-    <!-- Header with Gradient -->
-    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 600;">Message Received!</h1>
-      <p style="margin: 10px 0 0; color: rgba(255, 255, 255, 0.9); font-size: 14px;">Thank you for reaching out</p>
-    </div>
+const PORTFOLIO_URL = "https://portfolio.dev2k.org";
 
-    <!-- Content -->
-    <div style="padding: 40px 30px;">
+/**
+ * Creates translator for confirmation strings.
+ * @param {string} locale - Locale code
+ * @returns {Function} (key, params) => translated string
+ */
+const confirmationText = (locale) => (key, params) =>
+  translate(locale, `email.confirmation.${key}`, params);
 
+/**
+ * Builds greeting block.
+ * @param {string} name - Sender name
+ * @param {Function} t - Confirmation translator
+ * @returns {SafeHtml} Greeting HTML
+ */
+const greeting = (name, t) => html`
       <!-- Confirmation Message -->
       <div style="text-align: center; margin-bottom: 30px;">
-        <h2 style="margin: 0 0 15px; font-size: 24px; color: #1a202c;">Hi ${name}!</h2>
+        <h2 style="margin: 0 0 15px; font-size: 24px; color: #1a202c;">${t("greeting", { name })}</h2>
         <p style="margin: 0; font-size: 16px; line-height: 1.6; color: #4a5568;">
-          I've received your message and will get back to you as soon as possible.
+          ${t("intro")}
         </p>
-      </div>
+      </div>`;
 
-      <!-- Info Card -->
-      <div style="background: #f7fafc; border-left: 4px solid #667eea; padding: 20px; margin-bottom: 30px; border-radius: 8px;">
-        <h3 style="margin: 0 0 10px; font-size: 16px; color: #667eea; text-transform: uppercase; letter-spacing: 0.5px;">What's Next?</h3>
+/**
+ * Builds "What's Next?" card.
+ * @param {string} locale - Locale code
+ * @param {Function} t - Confirmation translator
+ * @returns {SafeHtml} Card HTML
+ */
+const nextStepsCard = (locale, t) =>
+  infoCard(html`${sectionHeading(t("nextTitle"), "h3")}
         <ul style="margin: 10px 0; padding-left: 20px; font-size: 15px; line-height: 1.8; color: #2d3748;">
-          <li>I typically respond within 24-48 hours</li>
-          <li>Check your spam folder if you don't see my reply</li>
-          <li>Feel free to follow up if needed</li>
-        </ul>
-      </div>
+${translateList(locale, "email.confirmation.nextSteps").map((step) => html`          <li>${step}</li>\n`)}        </ul>`);
 
+/**
+ * Builds portfolio call to action.
+ * @param {Function} t - Confirmation translator
+ * @returns {SafeHtml} Call to action HTML
+ */
+const portfolioCta = (t) => html`
       <!-- Call to Action -->
       <div style="text-align: center; margin-top: 30px;">
         <p style="margin: 0 0 20px; font-size: 14px; color: #718096;">
-          In the meantime, feel free to explore more of my work
+          ${t("ctaIntro")}
         </p>
-        <a href="https://portfolio.dev2k.org " target="_blank" rel="noopener"
-           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 15px; box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);">
-          Visit Portfolio
-        </a>
-      </div>
+${button(PORTFOLIO_URL, t("cta"), true)}
+      </div>`;
 
-    </div>
+/**
+ * Returns localized confirmation subject.
+ * @param {string} [locale] - Locale code
+ * @returns {string} Subject line
+ */
+export const getConfirmationSubject = (locale = DEFAULT_LOCALE) =>
+  confirmationText(locale)("subject");
 
-    <!-- Footer -->
-    <div style="background: #1a202c; padding: 25px 30px; text-align: center;">
-      <p style="margin: 0; color: rgba(255, 255, 255, 0.7); font-size: 13px;">
-        This is an automated confirmation email
-      </p>
-      <p style="margin: 8px 0 0; color: rgba(255, 255, 255, 0.5); font-size: 12px;">
-        Powered by Netlify Functions
-      </p>
-    </div>
+/**
+ * Builds HTML confirmation email for sender.
+ * @param {string} name - Sender name
+ * @param {string} [locale] - Locale code
+ * @returns {string} HTML confirmation email content
+ */
+export const buildConfirmationEmail = (name, locale = DEFAULT_LOCALE) => {
+  const t = confirmationText(locale);
+  return renderLayout({
+    title: t("title"),
+    heading: t("heading"),
+    subheading: t("subheading"),
+    content: html`${greeting(name, t)}
+${nextStepsCard(locale, t)}
+${portfolioCta(t)}`,
+    footerNote: t("footer"),
+    lang: locale,
+  });
+};
 
-  </div>
-</body>
-</html>
-`;
+/**
+ * Builds plain-text alternative of the confirmation.
+ * @param {string} name - Sender name
+ * @param {string} [locale] - Locale code
+ * @returns {string} Plain-text confirmation email content
+ */
+export const buildConfirmationText = (name, locale = DEFAULT_LOCALE) => {
+  const t = confirmationText(locale);
+  return text([
+    t("greeting", { name }),
+    "",
+    t("intro"),
+    "",
+    t("nextTitle"),
+    ...translateList(locale, "email.confirmation.nextSteps").map((step) => `- ${step}`),
+    "",
+    `${t("ctaIntro")}: ${PORTFOLIO_URL}`,
+    "",
+    "--",
+    t("footer"),
+  ]);
+};
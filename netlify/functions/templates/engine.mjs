@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Minimal auto-escaping template engine for emails
+ * @description `html` tagged templates escape every interpolation unless it is marked safe via `raw()` or is itself an `html` result
+ * @module templates/engine
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Trusted HTML fragment that is inserted without escaping.
+ */
+class SafeHtml {
+  /**
+   * @param {string} value - Trusted HTML
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  /**
+   * Returns the HTML string.
+   * @returns {string} HTML
+   */
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escapes HTML special characters.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Marks string as trusted HTML (use only for markup you control).
+ * @param {string} value - Trusted HTML
+ * @returns {SafeHtml} Safe HTML fragment
+ */
+export const raw = (value) => new SafeHtml(String(value));
+
+/**
+ * Renders interpolated value: safe fragments verbatim, arrays joined, everything else escaped.
+ * @param {*} value - Interpolated value
+ * @returns {string} Rendered string
+ */
+const renderValue = (value) => {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+};
+
+/**
+ * Tagged template that escapes interpolations by default.
+ * @param {TemplateStringsArray} strings - Literal parts
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Rendered HTML fragment
+ */
+export const html = (strings, ...values) =>
+  raw(
+    strings.reduce(
+      (output, string, index) =>
+        output + string + (index < values.length ? renderValue(values[index]) : ""),
+      "",
+    ),
+  );
+
+/**
+ * Joins plain-text lines, dropping null/false entries.
+ * @param {Array<string|null|false>} lines - Text lines
+ * @returns {string} Plain-text body
+ */
+export const text = (lines) =>
+  lines.filter((line) => line !== null && line !== false).join("\n");
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Shared email layout
+ * @description Document shell with header, content area and footer for all emails
+ * @module templates/layout
+ */
+
+import { html } from "./engine.mjs";
+import { footer, header } from "./partials.mjs";
+
+/**
+ * Wraps content in the email layout.
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Document title
+ * @param {string} options.heading - Header heading
+ * @param {string} options.subheading - Header subheading
+ * @param {SafeHtml} options.content - Main content
+ * @param {string} options.footerNote - Footer note
+ * @param {string} [options.lang] - Document language
+ * @returns {string} Complete HTML document
+ */
+export const renderLayout = ({ title, heading, subheading, content, footerNote, lang = "en" }) =>
+  html`
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f7fafc; color: #1a202c;">
+  <div style="max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);">
+${header(heading, subheading)}
+
+    <!-- Content -->
+    <div style="padding: 40px 30px;">
+${content}
+    </div>
+${footer(footerNote)}
+
+  </div>
+</body>
+</html>
+`.toString();
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Shared HTML partials for email templates
+ * @description Cards, rows, buttons and section headings used by notification and confirmation emails
+ * @module templates/partials
+ */
+
+import { html } from "./engine.mjs";
+
+const GRADIENT = "linear-gradient(135deg, #667eea 0%, #764ba2 100%)";
+
+/**
+ * Builds uppercase section heading.
+ * @param {string} title - Heading text
+ * @param {string} tag - Heading tag (h2 or h3)
+ * @returns {SafeHtml} Heading HTML
+ */
+export const sectionHeading = (title, tag = "h2") => html`
+        <${tag} style="margin: 0 0 15px; font-size: 16px; color: #667eea; text-transform: uppercase; letter-spacing: 0.5px;">${title}</${tag}>`;
+
+/**
+ * Builds labeled info row.
+ * @param {string} label - Row label
+ * @param {string|SafeHtml} value - Row value (escaped unless SafeHtml)
+ * @returns {SafeHtml} Row HTML
+ */
+export const infoRow = (label, value) => html`
+        <p style="margin: 8px 0; font-size: 15px; line-height: 1.6;">
+          <strong style="color: #4a5568; display: inline-block; width: 80px;">${label}:</strong>
+          <span style="color: #1a202c;">${value}</span>
+        </p>`;
+
+/**
+ * Builds card with accent border.
+ * @param {SafeHtml} content - Card content
+ * @returns {SafeHtml} Card HTML
+ */
+export const infoCard = (content) => html`
+      <div style="background: #f7fafc; border-left: 4px solid #667eea; padding: 20px; margin-bottom: 30px; border-radius: 8px;">
+        ${content}
+      </div>`;
+
+/**
+ * Builds gradient call-to-action button.
+ * @param {string} href - Link target
+ * @param {string} label - Button label
+ * @param {boolean} external - Open in new tab
+ * @returns {SafeHtml} Button HTML
+ */
+export const button = (href, label, external = false) => html`
+        <a href="${href}"${external ? html` target="_blank" rel="noopener"` : ""}
+           style="display: inline-block; background: ${GRADIENT}; color: #ffffff; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 15px; box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);">
+          ${label}
+        </a>`;
+
+/**
+ * Builds gradient header.
+ * @param {string} heading - Main heading
+ * @param {string} subheading - Subheading
+ * @returns {SafeHtml} Header HTML
+ */
+export const header = (heading, subheading) => html`
+    <!-- Header with Gradient -->
+    <div style="background: ${GRADIENT}; padding: 40px 30px; text-align: center;">
+      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 600;">${heading}</h1>
+      <p style="margin: 10px 0 0; color: rgba(255, 255, 255, 0.9); font-size: 14px;">${subheading}</p>
+    </div>`;
+
+/**
+ * Builds dark footer.
+ * @param {string} note - Footer note
+ * @returns {SafeHtml} Footer HTML
+ */
+export const footer = (note) => html`
+    <!-- Footer -->
+    <div style="background: #1a202c; padding: 25px 30px; text-align: center;">
+      <p style="margin: 0; color: rgba(255, 255, 255, 0.7); font-size: 13px;">
+        ${note}
+      </p>
+      <p style="margin: 8px 0 0; color: rgba(255, 255, 255, 0.5); font-size: 12px;">
+        Powered by Netlify Functions
+      </p>
+    </div>`;
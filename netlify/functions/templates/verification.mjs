@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Email template for double opt-in (sent to sender instead of the confirmation)
+ * @description Builds localized HTML and plain-text email with the verification link; all user input is escaped
+ * @module templates/verification
+ */
+
+import { html, text } from "./engine.mjs";
+import { renderLayout } from "./layout.mjs";
+import { button } from "./partials.mjs";
+import { DEFAULT_LOCALE, translate } from "../../../shared/i18n.js";
+
+/**
+ * Creates translator for verification strings.
+ * @param {string} locale - Locale code
+ * @returns {Function} (key, params) => translated string
+ */
+const verificationText = (locale) => (key, params) =>
+  translate(locale, `email.verification.${key}`, params);
+
+/**
+ * Builds greeting, link button and expiry note.
+ * @param {string} name - Sender name
+ * @param {string} url - Verification URL
+ * @param {number} hours - Link lifetime in hours
+ * @param {Function} t - Verification translator
+ * @returns {SafeHtml} Content HTML
+ */
+const verificationContent = (name, url, hours, t) => html`
+      <!-- Verification Request -->
+      <div style="text-align: center;">
+        <h2 style="margin: 0 0 15px; font-size: 24px; color: #1a202c;">${t("greeting", { name })}</h2>
+        <p style="margin: 0 0 30px; font-size: 16px; line-height: 1.6; color: #4a5568;">
+          ${t("intro")}
+        </p>
+${button(url, t("cta"))}
+        <p style="margin: 30px 0 0; font-size: 14px; line-height: 1.6; color: #718096;">
+          ${t("expiry", { hours })}<br>
+          ${t("ignore")}
+        </p>
+      </div>`;
+
+/**
+ * Returns localized verification subject.
+ * @param {string} [locale] - Locale code
+ * @returns {string} Subject line
+ */
+export const getVerificationSubject = (locale = DEFAULT_LOCALE) =>
+  verificationText(locale)("subject");
+
+/**
+ * Builds HTML verification email for sender.
+ * @param {string} name - Sender name
+ * @param {string} url - Verification URL
+ * @param {number} hours - Link lifetime in hours
+ * @param {string} [locale] - Locale code
+ * @returns {string} HTML verification email content
+ */
+export const buildVerificationEmail = (name, url, hours, locale = DEFAULT_LOCALE) => {
+  const t = verificationText(locale);
+  return renderLayout({
+    title: t("title"),
+    heading: t("heading"),
+    subheading: t("subheading"),
+    content: verificationContent(name, url, hours, t),
+    footerNote: t("footer"),
+    lang: locale,
+  });
+};
+
+/**
+ * Builds plain-text alternative of the verification email.
+ * @param {string} name - Sender name
+ * @param {string} url - Verification URL
+ * @param {number} hours - Link lifetime in hours
+ * @param {string} [locale] - Locale code
+ * @returns {string} Plain-text verification email content
+ */
+export const buildVerificationText = (name, url, hours, locale = DEFAULT_LOCALE) => {
+  const t = verificationText(locale);
+  return text([
+    t("greeting", { name }),
+    "",
+    t("intro"),
+    "",
+    `${t("cta")}: ${url}`,
+    "",
+    t("expiry", { hours }),
+    t("ignore"),
+    "",
+    "--",
+    t("footer"),
+  ]);
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Capture email transport for local development
+ * @description Keeps sent mail in memory and optionally writes it to CAPTURE_DIR instead of delivering it
+ * @module transports/capture
+ */
+
+import { randomUUID } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { toBase64Attachments } from "./http.mjs";
+
+/**
+ * Environment variables required by the capture transport.
+ * @type {string[]}
+ */
+export const CAPTURE_ENV_VARS = [];
+
+const capturedMails = [];
+
+/**
+ * Returns all mails captured in this process.
+ * @returns {Object[]} Captured mails (oldest first)
+ */
+export const getCapturedMails = () => [...capturedMails];
+
+/**
+ * Removes all captured mails from memory.
+ */
+export const clearCapturedMails = () => {
+  capturedMails.length = 0;
+};
+
+/**
+ * Writes captured mail as JSON file (attachment content base64-encoded).
+ * @param {string} dir - Target directory
+ * @param {Object} mail - Captured mail
+ * @returns {Promise<void>}
+ */
+const writeCaptureFile = async (dir, mail) => {
+  await mkdir(dir, { recursive: true });
+  const fileName = `${mail.capturedAt.replace(/[:.]/g, "-")}-${mail.id}.json`;
+  const serializable = { ...mail, attachments: toBase64Attachments(mail.attachments) };
+  await writeFile(join(dir, fileName), JSON.stringify(serializable, null, 2));
+};
+
+/**
+ * Captures mail instead of sending it.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<{messageId: string}>} Send result
+ */
+const captureMail = async (mailOptions) => {
+  const id = randomUUID();
+  const messageId = mailOptions.messageId || `<${id}@capture.local>`;
+  const mail = { id, messageId, capturedAt: new Date().toISOString(), ...mailOptions };
+  capturedMails.push(mail);
+  if (process.env.CAPTURE_DIR) {
+    await writeCaptureFile(process.env.CAPTURE_DIR, mail);
+  }
+  return { messageId };
+};
+
+/**
+ * Creates capture transport.
+ * @returns {{name: string, verify: Function, sendMail: Function}} Email transport
+ */
+export const createCaptureTransport = () => ({
+  name: "capture",
+  verify: async () => true,
+  sendMail: captureMail,
+});
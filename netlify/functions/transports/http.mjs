@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Shared helpers for HTTP API email providers
+ * @description Request helpers and attachment normalization used by Postmark, SendGrid, Resend and Mailgun
+ * @module transports/http
+ */
+
+const SEND_TIMEOUT_MS = 10000;
+
+/**
+ * Normalizes nodemailer-style attachments with base64-encoded content.
+ * @param {Array<{filename: string, contentType: string, content: Buffer}>} [attachments] - Mail attachments
+ * @returns {Array<{filename: string, contentType: string, content: string}>} Attachments with base64 content
+ */
+export const toBase64Attachments = (attachments = []) =>
+  attachments.map(({ filename, contentType, content }) => ({
+    filename,
+    contentType,
+    content: Buffer.from(content).toString("base64"),
+  }));
+
+/**
+ * Collects threading headers (Message-ID, In-Reply-To, References) from nodemailer-style mail options.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object<string, string>} Headers that are set
+ */
+export const toThreadingHeaders = ({ messageId, inReplyTo, references }) =>
+  Object.fromEntries(
+    [["Message-ID", messageId], ["In-Reply-To", inReplyTo], ["References", references]].filter(([, value]) => value),
+  );
+
+/**
+ * Parses provider response and throws on HTTP errors.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<{data: Object, headers: Headers}>} Parsed response body and headers
+ * @throws {Error} If provider responded with a non-2xx status
+ */
+const parseProviderResponse = async (response) => {
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Provider responded ${response.status}: ${text}`);
+  }
+  return { data: text ? JSON.parse(text) : {}, headers: response.headers };
+};
+
+/**
+ * Posts a JSON payload to a provider API.
+ * @param {string} url - API endpoint
+ * @param {Object} headers - Authentication headers
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<{data: Object, headers: Headers}>} Parsed provider response
+ * @throws {Error} If the provider responds with a non-2xx status or times out
+ */
+export const postJson = async (url, headers, payload) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  return parseProviderResponse(response);
+};
+
+/**
+ * Posts a multipart form to a provider API.
+ * @param {string} url - API endpoint
+ * @param {Object} headers - Authentication headers
+ * @param {FormData} form - Multipart form body
+ * @returns {Promise<{data: Object, headers: Headers}>} Parsed provider response
+ * @throws {Error} If the provider responds with a non-2xx status or times out
+ */
+export const postForm = async (url, headers, form) => {
+  const response = await fetch(url, { method: "POST", headers, body: form, signal: AbortSignal.timeout(SEND_TIMEOUT_MS) });
+  return parseProviderResponse(response);
+};
+
+/**
+ * Ensures required provider settings are present.
+ * @param {string} provider - Provider name
+ * @param {Object} settings - Settings keyed by env var name
+ * @returns {Promise<boolean>} Resolves true if all settings are present
+ * @throws {Error} If a setting is missing
+ */
+export const verifySettings = async (provider, settings) => {
+  const missing = Object.keys(settings).filter((key) => !settings[key]);
+  if (missing.length > 0) {
+    throw new Error(`${provider} not configured: ${missing.join(", ")}`);
+  }
+  return true;
+};
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Mailgun HTTP API email transport
+ * @description Sends mail through the Mailgun messages endpoint (US or EU region)
+ * @module transports/mailgun
+ */
+
+import { postForm, toThreadingHeaders, verifySettings } from "./http.mjs";
+import { toAddressList } from "../mail/addresses.mjs";
+
+/**
+ * Environment variables required by the Mailgun transport.
+ * @type {string[]}
+ */
+export const MAILGUN_ENV_VARS = ["MAILGUN_API_KEY", "MAILGUN_DOMAIN"];
+
+/**
+ * Builds Mailgun messages endpoint for configured domain and region.
+ * @returns {string} Mailgun API URL
+ */
+const getMailgunUrl = () => {
+  const host =
+    process.env.MAILGUN_REGION === "eu"
+      ? "api.eu.mailgun.net"
+      : "api.mailgun.net";
+  return `https://${host}/v3/${process.env.MAILGUN_DOMAIN}/messages`;
+};
+
+/**
+ * Appends field to form if value is set.
+ * @param {FormData} form - Multipart form
+ * @param {string} key - Field name
+ * @param {string|undefined} value - Field value
+ */
+const appendIfSet = (form, key, value) => {
+  if (value) form.append(key, value);
+};
+
+/**
+ * Maps nodemailer-style mail options to a Mailgun form.
+ * @param {Object} mailOptions - Mail options
+ * @returns {FormData} Mailgun multipart form
+ */
+const toMailgunForm = (mailOptions) => {
+  const form = new FormData();
+  form.append("from", mailOptions.from);
+  ["to", "cc", "bcc"].forEach((field) => {
+    toAddressList(mailOptions[field]).forEach((address) => form.append(field, address));
+  });
+  form.append("subject", mailOptions.subject);
+  appendIfSet(form, "html", mailOptions.html);
+  appendIfSet(form, "text", mailOptions.text);
+  appendIfSet(form, "h:Reply-To", mailOptions.replyTo);
+  Object.entries(toThreadingHeaders(mailOptions)).forEach(([name, value]) => form.append(`h:${name}`, value));
+  (mailOptions.attachments || []).forEach((file) => {
+    form.append("attachment", new Blob([file.content], { type: file.contentType }), file.filename);
+  });
+  return form;
+};
+
+/**
+ * Builds Mailgun basic auth header.
+ * @returns {{Authorization: string}} Authorization header
+ */
+const getMailgunAuthHeader = () => {
+  const credentials = Buffer.from(`api:${process.env.MAILGUN_API_KEY}`);
+  return { Authorization: `Basic ${credentials.toString("base64")}` };
+};
+
+/**
+ * Sends mail via Mailgun.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<{messageId: string}>} Send result
+ */
+const sendMailgunMail = async (mailOptions) => {
+  const { data } = await postForm(
+    getMailgunUrl(),
+    getMailgunAuthHeader(),
+    toMailgunForm(mailOptions),
+  );
+  return { messageId: data.id };
+};
+
+/**
+ * Creates Mailgun transport.
+ * @returns {{name: string, verify: Function, sendMail: Function}} Email transport
+ */
+export const createMailgunTransport = () => ({
+  name: "mailgun",
+  verify: () =>
+    verifySettings("mailgun", {
+      MAILGUN_API_KEY: process.env.MAILGUN_API_KEY,
+      MAILGUN_DOMAIN: process.env.MAILGUN_DOMAIN,
+    }),
+  sendMail: sendMailgunMail,
+});
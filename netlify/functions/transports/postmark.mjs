@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Postmark HTTP API email transport
+ * @description Sends mail through the Postmark /email endpoint
+ * @module transports/postmark
+ */
+
+import { postJson, toBase64Attachments, toThreadingHeaders, verifySettings } from "./http.mjs";
+import { toAddressList } from "../mail/addresses.mjs";
+
+const POSTMARK_API_URL = "https://api.postmarkapp.com/email";
+
+/**
+ * Environment variables required by the Postmark transport.
+ * @type {string[]}
+ */
+export const POSTMARK_ENV_VARS = ["POSTMARK_SERVER_TOKEN"];
+
+/**
+ * Maps attachments to Postmark format.
+ * @param {Object} mailOptions - Nodemailer-style mail options
+ * @returns {Array<Object>} Postmark attachments
+ */
+const toPostmarkAttachments = (mailOptions) =>
+  toBase64Attachments(mailOptions.attachments).map((file) => ({
+    Name: file.filename,
+    Content: file.content,
+    ContentType: file.contentType,
+  }));
+
+/**
+ * Maps nodemailer-style mail options to a Postmark payload.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object} Postmark email payload
+ */
+const toPostmarkPayload = (mailOptions) => ({
+  From: mailOptions.from,
+  To: toAddressList(mailOptions.to).join(", "),
+  Cc: toAddressList(mailOptions.cc).join(", ") || undefined,
+  Bcc: toAddressList(mailOptions.bcc).join(", ") || undefined,
+  Subject: mailOptions.subject,
+  HtmlBody: mailOptions.html,
+  TextBody: mailOptions.text,
+  ReplyTo: mailOptions.replyTo,
+  Headers: Object.entries(toThreadingHeaders(mailOptions)).map(([Name, Value]) => ({ Name, Value })),
+  MessageStream: process.env.POSTMARK_MESSAGE_STREAM || "outbound",
+  Attachments: toPostmarkAttachments(mailOptions),
+});
+
+/**
+ * Sends mail via Postmark.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<{messageId: string}>} Send result
+ */
+const sendPostmarkMail = async (mailOptions) => {
+  const { data } = await postJson(
+    POSTMARK_API_URL,
+    { "X-Postmark-Server-Token": process.env.POSTMARK_SERVER_TOKEN },
+    toPostmarkPayload(mailOptions),
+  );
+  return { messageId: data.MessageID };
+};
+
+/**
+ * Creates Postmark transport.
+ * @returns {{name: string, verify: Function, sendMail: Function}} Email transport
+ */
+export const createPostmarkTransport = () => ({
+  name: "postmark",
+  verify: () =>
+    verifySettings("postmark", {
+      POSTMARK_SERVER_TOKEN: process.env.POSTMARK_SERVER_TOKEN,
+    }),
+  sendMail: sendPostmarkMail,
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Email transport registry
+ * @description Selects the email delivery provider configured via EMAIL_PROVIDER
+ * @module transports/registry
+ */
+
+import { createSmtpTransport, SMTP_ENV_VARS } from "./smtp.mjs";
+import { createPostmarkTransport, POSTMARK_ENV_VARS } from "./postmark.mjs";
+import { createSendgridTransport, SENDGRID_ENV_VARS } from "./sendgrid.mjs";
+import { createResendTransport, RESEND_ENV_VARS } from "./resend.mjs";
+import { createMailgunTransport, MAILGUN_ENV_VARS } from "./mailgun.mjs";
+import { createCaptureTransport, CAPTURE_ENV_VARS } from "./capture.mjs";
+
+const PROVIDERS = {
+  smtp: { create: createSmtpTransport, envVars: SMTP_ENV_VARS },
+  postmark: { create: createPostmarkTransport, envVars: POSTMARK_ENV_VARS },
+  sendgrid: { create: createSendgridTransport, envVars: SENDGRID_ENV_VARS },
+  resend: { create: createResendTransport, envVars: RESEND_ENV_VARS },
+  mailgun: { create: createMailgunTransport, envVars: MAILGUN_ENV_VARS },
+  capture: { create: createCaptureTransport, envVars: CAPTURE_ENV_VARS },
+};
+
+/**
+ * Returns configured email provider name (defaults to smtp).
+ * @returns {string} Provider name
+ */
+export const getEmailProvider = () =>
+  (process.env.EMAIL_PROVIDER || "smtp").trim().toLowerCase();
+
+/**
+ * Looks up provider registry entry.
+ * @param {string} name - Provider name
+ * @returns {{create: Function, envVars: string[]}} Provider entry
+ * @throws {Error} If provider is unknown
+ */
+const getProviderEntry = (name) => {
+  const entry = PROVIDERS[name];
+  if (!entry) throw new Error(`Unknown email provider: ${name}`);
+  return entry;
+};
+
+/**
+ * Returns environment variables required by configured provider.
+ * @returns {string[]} Required env var names
+ */
+export const getProviderEnvVars = () =>
+  getProviderEntry(getEmailProvider()).envVars;
+
+/**
+ * Creates email transport for configured provider.
+ * @returns {{name: string, verify: Function, sendMail: Function, close?: Function}} Email transport
+ */
+export const createEmailTransporter = () =>
+  getProviderEntry(getEmailProvider()).create();
+
+// Reused across warm invocations; rebuilt when provider or its settings change
+let cachedTransport = null;
+
+/**
+ * Returns fingerprint of provider configuration.
+ * @returns {string} Provider name and settings
+ */
+const getTransportKey = () => {
+  const name = getEmailProvider();
+  return JSON.stringify([name, ...getProviderEntry(name).envVars.map((key) => process.env[key])]);
+};
+
+/**
+ * Returns shared email transport (pooled connections for SMTP), created on first use.
+ * @returns {{name: string, verify: Function, sendMail: Function, close?: Function}} Email transport
+ */
+export const getEmailTransporter = () => {
+  const key = getTransportKey();
+  if (cachedTransport?.key !== key) {
+    cachedTransport?.transport.close?.();
+    cachedTransport = { key, transport: createEmailTransporter() };
+  }
+  return cachedTransport.transport;
+};
+
+/**
+ * Lists sender, recipient and provider environment variables that are not set.
+ * @returns {string[]} Missing env var names
+ */
+export const findMissingEnvVars = () =>
+  ["FROM_EMAIL", "TO_EMAIL", ...getProviderEnvVars()].filter((key) => !process.env[key]);
+
+/**
+ * Checks that sender, recipient and provider environment variables are set.
+ * @throws {Error} If any required environment variables are missing
+ */
+export const checkEnvVariables = () => {
+  const missing = findMissingEnvVars();
+  if (missing.length > 0) {
+    throw new Error(`Missing env vars: ${missing.join(", ")}`);
+  }
+};
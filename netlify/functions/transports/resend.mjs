@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Resend HTTP API email transport
+ * @description Sends mail through the Resend /emails endpoint
+ * @module transports/resend
+ */
+
+import { postJson, toBase64Attachments, toThreadingHeaders, verifySettings } from "./http.mjs";
+import { toAddressList } from "../mail/addresses.mjs";
+
+const RESEND_API_URL = "https://api.resend.com/emails";
+
+/**
+ * Environment variables required by the Resend transport.
+ * @type {string[]}
+ */
+export const RESEND_ENV_VARS = ["RESEND_API_KEY"];
+
+/**
+ * Maps attachments to Resend format.
+ * @param {Object} mailOptions - Nodemailer-style mail options
+ * @returns {Array<Object>} Resend attachments
+ */
+const toResendAttachments = (mailOptions) =>
+  toBase64Attachments(mailOptions.attachments).map((file) => ({
+    filename: file.filename,
+    content: file.content,
+    content_type: file.contentType,
+  }));
+
+/**
+ * Maps nodemailer-style mail options to a Resend payload.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object} Resend email payload
+ */
+const toResendPayload = (mailOptions) => ({
+  from: mailOptions.from,
+  to: toAddressList(mailOptions.to),
+  ...(mailOptions.cc && { cc: toAddressList(mailOptions.cc) }),
+  ...(mailOptions.bcc && { bcc: toAddressList(mailOptions.bcc) }),
+  subject: mailOptions.subject,
+  html: mailOptions.html,
+  text: mailOptions.text,
+  ...(mailOptions.replyTo && { reply_to: mailOptions.replyTo }),
+  ...(mailOptions.messageId && { headers: toThreadingHeaders(mailOptions) }),
+  ...(mailOptions.attachments?.length && { attachments: toResendAttachments(mailOptions) }),
+});
+
+/**
+ * Sends mail via Resend.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<{messageId: string}>} Send result
+ */
+const sendResendMail = async (mailOptions) => {
+  const { data } = await postJson(
+    RESEND_API_URL,
+    { Authorization: `Bearer ${process.env.RESEND_API_KEY}` },
+    toResendPayload(mailOptions),
+  );
+  return { messageId: data.id };
+};
+
+/**
+ * Creates Resend transport.
+ * @returns {{name: string, verify: Function, sendMail: Function}} Email transport
+ */
+export const createResendTransport = () => ({
+  name: "resend",
+  verify: () =>
+    verifySettings("resend", { RESEND_API_KEY: process.env.RESEND_API_KEY }),
+  sendMail: sendResendMail,
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview SendGrid HTTP API email transport
+ * @description Sends mail through the SendGrid v3 mail/send endpoint
+ * @module transports/sendgrid
+ */
+
+import { postJson, toBase64Attachments, toThreadingHeaders, verifySettings } from "./http.mjs";
+import { parseAddress, toAddressList } from "../mail/addresses.mjs";
+
+const SENDGRID_API_URL = "https://api.sendgrid.com/v3/mail/send";
+
+/**
+ * Environment variables required by the SendGrid transport.
+ * @type {string[]}
+ */
+export const SENDGRID_ENV_VARS = ["SENDGRID_API_KEY"];
+
+/**
+ * Converts addresses to SendGrid email objects ("Name <addr>" becomes {email, name}).
+ * @param {string|string[]|undefined} value - Address field
+ * @returns {Array<{email: string, name?: string}>} SendGrid address objects
+ */
+const toEmailObjects = (value) => toAddressList(value).map(parseAddress);
+
+/**
+ * Builds SendGrid personalization (cc/bcc only when set, SendGrid rejects empty lists).
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object} Personalization
+ */
+const toPersonalization = (mailOptions) => ({
+  to: toEmailObjects(mailOptions.to),
+  ...(toAddressList(mailOptions.cc).length > 0 && { cc: toEmailObjects(mailOptions.cc) }),
+  ...(toAddressList(mailOptions.bcc).length > 0 && { bcc: toEmailObjects(mailOptions.bcc) }),
+});
+
+/**
+ * Maps attachments to SendGrid format.
+ * @param {Object} mailOptions - Nodemailer-style mail options
+ * @returns {Array<Object>} SendGrid attachments
+ */
+const toSendgridAttachments = (mailOptions) =>
+  toBase64Attachments(mailOptions.attachments).map((file) => ({
+    content: file.content,
+    filename: file.filename,
+    type: file.contentType,
+    disposition: "attachment",
+  }));
+
+/**
+ * Builds SendGrid content parts (plain text must come first).
+ * @param {Object} mailOptions - Mail options
+ * @returns {Array<{type: string, value: string}>} Content parts
+ */
+const toContentParts = (mailOptions) =>
+  [
+    { type: "text/plain", value: mailOptions.text },
+    { type: "text/html", value: mailOptions.html },
+  ].filter((part) => part.value);
+
+/**
+ * Maps nodemailer-style mail options to a SendGrid payload.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Object} SendGrid mail payload
+ */
+const toSendgridPayload = (mailOptions) => ({
+  personalizations: [toPersonalization(mailOptions)],
+  from: parseAddress(mailOptions.from),
+  subject: mailOptions.subject,
+  content: toContentParts(mailOptions),
+  ...(mailOptions.replyTo && { reply_to: parseAddress(mailOptions.replyTo) }),
+  ...(mailOptions.messageId && { headers: toThreadingHeaders(mailOptions) }),
+  ...(mailOptions.attachments?.length && { attachments: toSendgridAttachments(mailOptions) }),
+});
+
+/**
+ * Sends mail via SendGrid.
+ * @param {Object} mailOptions - Mail options
+ * @returns {Promise<{messageId: string}>} Send result
+ */
+const sendSendgridMail = async (mailOptions) => {
+  const { headers } = await postJson(
+    SENDGRID_API_URL,
+    { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+    toSendgridPayload(mailOptions),
+  );
+  return { messageId: headers.get("x-message-id") };
+};
+
+/**
+ * Creates SendGrid transport.
+ * @returns {{name: string, verify: Function, sendMail: Function}} Email transport
+ */
+export const createSendgridTransport = () => ({
+  name: "sendgrid",
+  verify: () =>
+    verifySettings("sendgrid", {
+      SENDGRID_API_KEY: process.env.SENDGRID_API_KEY,
+    }),
+  sendMail: sendSendgridMail,
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview SMTP email transport via nodemailer
+ * @description Wraps a nodemailer SMTP transporter behind the shared transport interface
+ * @module transports/smtp
+ */
+
+import nodemailer from "nodemailer";
+
+/**
+ * Environment variables required by the SMTP transport.
+ * @type {string[]}
+ */
+export const SMTP_ENV_VARS = ["SMTP_HOST", "SMTP_PORT", "SMTP_USER", "SMTP_PASS"];
+
+/**
+ * Resolves whether the SMTP connection uses implicit TLS.
+ * @param {number} port - SMTP port
+ * @returns {boolean} True for implicit TLS (SMTPS)
+ */
+const isSecureConnection = (port) => {
+  const secure = process.env.SMTP_SECURE;
+  if (secure) return secure === "true";
+  return port === 465;
+};
+
+/**
+ * Retrieves SMTP configuration from environment variables.
+ * Pooled, so notification and confirmation share connections that stay open across warm invocations.
+ * @returns {Object} SMTP configuration object
+ */
+const getSmtpConfig = () => {
+  const port = parseInt(process.env.SMTP_PORT);
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: isSecureConnection(port),
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    pool: true,
+    maxConnections: 2,
+    // Providers drop idle connections; the pool reconnects on the next send
+    socketTimeout: 30 * 1000,
+  };
+};
+
+/**
+ * Resolves nodemailer's createTransport across bundling scenarios.
+ * @returns {Function} nodemailer createTransport function
+ * @throws {Error} If createTransport is not available
+ */
+const resolveCreateTransport = () => {
+  // Handle different bundling scenarios
+  if (typeof nodemailer.createTransport === "function") {
+    return nodemailer.createTransport;
+  }
+  if (
+    nodemailer.default &&
+    typeof nodemailer.default.createTransport === "function"
+  ) {
+    return nodemailer.default.createTransport;
+  }
+  throw new Error("nodemailer.createTransport not available");
+};
+
+/**
+ * Creates SMTP transport.
+ * @returns {{name: string, verify: Function, sendMail: Function, close: Function}} Email transport
+ */
+export const createSmtpTransport = () => {
+  const transporter = resolveCreateTransport()(getSmtpConfig());
+  return {
+    name: "smtp",
+    verify: () => transporter.verify(),
+    sendMail: (mailOptions) => transporter.sendMail(mailOptions),
+    close: () => transporter.close(),
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Signed email verification links (double opt-in)
+ * @description "<submissionId>.<expiresAt>.<hmac>" tokens mailed to the sender; the notification is held until one is redeemed
+ * @module verification/token
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { isSharedStore } from "../stores/registry.mjs";
+import { SUBMISSIONS_NAMESPACE } from "../submissions/repository.mjs";
+import { OUTBOX_NAMESPACE } from "../outbox/queue.mjs";
+
+export const VERIFICATION_ENV_VARS = ["VERIFICATION_SECRET"];
+
+// Written by send-email and read by verify-email, which runs in another instance
+const VERIFICATION_NAMESPACES = [SUBMISSIONS_NAMESPACE, OUTBOX_NAMESPACE];
+
+const DEFAULT_TTL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Checks whether double opt-in is enabled (DOUBLE_OPT_IN=true).
+ * @returns {boolean} True if the notification waits for the sender's click
+ */
+export const isDoubleOptInEnabled = () => (process.env.DOUBLE_OPT_IN || "").trim().toLowerCase() === "true";
+
+/**
+ * Returns the signing secret.
+ * @returns {string} Secret
+ * @throws {Error} If VERIFICATION_SECRET is unset
+ */
+export const getVerificationSecret = () => {
+  if (!process.env.VERIFICATION_SECRET) throw new Error("Missing env vars: VERIFICATION_SECRET");
+  return process.env.VERIFICATION_SECRET;
+};
+
+/**
+ * Lists namespaces that verify-email needs but cannot see on the memory backend.
+ * @returns {string[]} Namespaces on memory
+ */
+export const findUnsharedVerificationStores = () => VERIFICATION_NAMESPACES.filter((namespace) => !isSharedStore(namespace));
+
+/**
+ * Refuses double opt-in on unshared stores, where every verification link would find no submission.
+ * @throws {Error} If submissions or outbox are on memory
+ */
+export const assertVerificationStores = () => {
+  const unshared = findUnsharedVerificationStores();
+  if (unshared.length > 0) throw new Error(`DOUBLE_OPT_IN needs a shared store (not memory) for: ${unshared.join(", ")}`);
+};
+
+/**
+ * Returns link lifetime from VERIFICATION_TTL_HOURS (default 24).
+ * @returns {number} Lifetime in hours
+ */
+export const getVerificationTtlHours = () => {
+  const hours = Number(process.env.VERIFICATION_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS;
+};
+
+/**
+ * Returns link lifetime in milliseconds.
+ * @returns {number} Lifetime in milliseconds
+ */
+export const getVerificationTtlMs = () => getVerificationTtlHours() * HOUR_MS;
+
+/**
+ * Signs submission id and expiry.
+ * @param {string} secret - Signing secret
+ * @param {string} payload - "<submissionId>.<expiresAt>"
+ * @returns {string} Hex signature
+ */
+const sign = (secret, payload) => createHmac("sha256", secret).update(`verify:${payload}`).digest("hex");
+
+/**
+ * Creates verification token for a submission.
+ * @param {string} submissionId - Submission id
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Current time in ms
+ * @returns {string} Verification token
+ */
+export const createVerificationToken = (submissionId, secret, now = Date.now()) => {
+  const payload = `${submissionId}.${now + getVerificationTtlMs()}`;
+  return `${payload}.${sign(secret, payload)}`;
+};
+
+/**
+ * Reads verification token.
+ * @param {string} secret - Signing secret
+ * @param {*} token - Token from the link
+ * @param {number} [now] - Current time in ms
+ * @returns {{submissionId: string, expired: boolean}|null} Token contents, null if malformed or forged
+ */
+export const readVerificationToken = (secret, token, now = Date.now()) => {
+  const [submissionId, expiresAt, signature] = typeof token === "string" ? token.split(".") : [];
+  if (!/^[\w-]+$/.test(submissionId || "") || !/^\d+$/.test(expiresAt || "") || !signature) return null;
+  const received = Buffer.from(signature);
+  const expected = Buffer.from(sign(secret, `${submissionId}.${expiresAt}`));
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) return null;
+  return { submissionId, expired: Number(expiresAt) <= now };
+};
+
+/**
+ * Builds link to the SPA verification page (site URL from SITE_URL or Netlify's URL).
+ * @param {string} token - Verification token
+ * @returns {string} Verification URL
+ */
+export const buildVerificationUrl = (token) => {
+  const base = (process.env.SITE_URL || process.env.URL || "").replace(/\/+$/, "");
+  return `${base}/verify-email?token=${encodeURIComponent(token)}`;
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Netlify serverless function redeeming email verification links (double opt-in)
+ * @description The SPA's /verify-email page posts the token; a valid token releases the held notification
+ * @module verify-email
+ */
+
+import { connectStores } from "./stores/registry.mjs";
+import { ERROR_CODES } from "../../shared/errors.js";
+import { HttpError } from "./http/errors.mjs";
+import { buildPreflightResponse, resolveCors, withCorsHeaders } from "./http/cors.mjs";
+import { getRequestId, REQUEST_ID_HEADER } from "./http/request-id.mjs";
+import { createLogger } from "./logging/logger.mjs";
+import { getSubmission, updateSubmission } from "./submissions/repository.mjs";
+import { releaseJob } from "./outbox/queue.mjs";
+import { deliverJob } from "./outbox/delivery.mjs";
+import { findUnsharedVerificationStores, readVerificationToken } from "./verification/token.mjs";
+
+const CORS_OPTIONS = { methods: "POST, OPTIONS", allowHeaders: "Content-Type, X-Request-Id", exposeHeaders: "X-Request-Id" };
+
+// === RESPONSE BUILDERS ===
+/**
+ * Builds JSON response (never cached).
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} extraHeaders - Additional headers
+ * @returns {Object} Response object
+ */
+const buildResponse = (statusCode, data, extraHeaders = {}) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...extraHeaders },
+  body: JSON.stringify(data),
+});
+
+/**
+ * Builds error response from HttpError (Allow header on 405).
+ * @param {HttpError} error - HTTP error
+ * @returns {Object} Response object
+ */
+const buildHttpErrorResponse = (error) =>
+  buildResponse(
+    error.statusCode,
+    { error: error.message, code: error.code, ...error.data },
+    error.statusCode === 405 ? { Allow: CORS_OPTIONS.methods } : {},
+  );
+
+// === VERIFICATION ===
+/**
+ * Reads token from the JSON body and checks signature and expiry.
+ * @param {string|null} body - Raw request body
+ * @returns {string} Submission id
+ * @throws {HttpError} 503 if VERIFICATION_SECRET is unset, 400 if the token is invalid, 410 if it expired
+ */
+const readSubmissionId = (body) => {
+  const secret = process.env.VERIFICATION_SECRET;
+  if (!secret) throw new HttpError(503, "Email verification not configured");
+  let token;
+  try {
+    token = JSON.parse(body || "{}").token;
+  } catch {
+    throw new HttpError(400, "Invalid JSON");
+  }
+  const result = readVerificationToken(secret, token);
+  if (!result) throw new HttpError(400, "Invalid verification link", {}, ERROR_CODES.VERIFICATION_INVALID);
+  if (result.expired) throw new HttpError(410, "Verification link expired", {}, ERROR_CODES.VERIFICATION_EXPIRED);
+  return result.submissionId;
+};
+
+/**
+ * Refuses to look up submissions on memory, which never holds what send-email stored in another instance.
+ * @throws {HttpError} 503 naming the namespaces on memory
+ */
+const assertSharedVerificationStores = () => {
+  const unshared = findUnsharedVerificationStores();
+  if (unshared.length > 0) throw new HttpError(503, `Email verification needs a shared store for: ${unshared.join(", ")}`);
+};
+
+/**
+ * Releases held notification (at most once, repeated clicks find nothing to release).
+ * @param {Object} submission - Stored submission record
+ * @returns {Promise<Object|null>} Leased job, null if already released or expired
+ */
+const releaseNotification = (submission) => {
+  const jobId = submission.delivery?.notification?.jobId;
+  return jobId ? releaseJob(jobId) : null;
+};
+
+/**
+ * Marks submission verified and sends the released notification (failures are retried by the outbox-worker).
+ * @param {string} submissionId - Submission id
+ * @param {Object} job - Leased notification job
+ * @param {Object} log - Request logger
+ * @returns {Promise<void>}
+ */
+const deliverVerified = async (submissionId, job, log) => {
+  await updateSubmission(submissionId, { verifiedAt: new Date().toISOString() });
+  const outcome = await deliverJob(job, log);
+  log.info("verification.confirmed", { submissionId, notification: outcome.status });
+};
+
+/**
+ * Marks submission verified and delivers its notification; verifying again reports success without resending.
+ * @param {string} submissionId - Submission id from the token
+ * @param {Object} log - Request logger
+ * @returns {Promise<Object>} 200 response
+ * @throws {HttpError} 404 if the submission is gone, 410 if the held notification expired
+ */
+const confirmSubmission = async (submissionId, log) => {
+  const submission = await getSubmission(submissionId);
+  if (!submission) throw new HttpError(404, "Submission not found", {}, ERROR_CODES.VERIFICATION_INVALID);
+  const job = await releaseNotification(submission);
+  if (!job && !submission.verifiedAt) {
+    throw new HttpError(410, "Verification link expired", {}, ERROR_CODES.VERIFICATION_EXPIRED);
+  }
+  if (job) await deliverVerified(submissionId, job, log);
+  return buildResponse(200, { status: "verified", submissionId });
+};
+
+/**
+ * Handles request from an allowed origin.
+ * @param {Object} event - Netlify event object
+ * @param {Object} log - Request logger
+ * @returns {Promise<Object>} HTTP response object (without CORS headers)
+ */
+const handleRequest = async (event, log) => {
+  if (event.httpMethod === "OPTIONS") return buildPreflightResponse();
+  try {
+    if (event.httpMethod !== "POST") throw new HttpError(405, "Method not allowed");
+    connectStores(event);
+    assertSharedVerificationStores();
+    return await confirmSubmission(readSubmissionId(event.body), log);
+  } catch (error) {
+    if (error instanceof HttpError) return buildHttpErrorResponse(error);
+    log.error("request.error", { error });
+    return buildResponse(500, { error: "Internal server error", code: ERROR_CODES.INTERNAL_ERROR });
+  }
+};
+
+// === MAIN HANDLER ===
+/**
+ * Main Netlify function handler (same origin allowlist as send-email).
+ * @param {Object} event - Netlify event object
+ * @returns {Promise<Object>} HTTP response object
+ */
+export const handler = async (event) => {
+  const requestId = getRequestId(event.headers);
+  const log = createLogger({ function: "verify-email", requestId });
+  const cors = resolveCors(event.headers || {}, CORS_OPTIONS);
+  const response = cors.allowed
+    ? await handleRequest(event, log)
+    : buildResponse(403, { error: "Origin not allowed", code: ERROR_CODES.ORIGIN_NOT_ALLOWED });
+  const withId = { ...response, headers: { ...response.headers, [REQUEST_ID_HEADER]: requestId } };
+  return withCorsHeaders(withId, cors.headers);
+};
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Webhook dispatcher
+ * @description Delivers submission events to all targets concurrently, one capped attempt per request;
+ * retries run later as outbox jobs so the request never waits for them
+ * @module webhooks/dispatcher
+ */
+
+import { enqueueWebhook } from "../outbox/queue.mjs";
+import { loadWebhookTargets } from "./targets.mjs";
+import { buildWebhookPayload } from "./payloads.mjs";
+import { getSignatureHeaders } from "./signature.mjs";
+
+// Inline attempts run alongside the emails and must end well inside Netlify's 10 s function limit
+const INLINE_TIMEOUT_MS = 3000;
+
+/**
+ * Checks whether a response status is worth retrying (rate limited or server error).
+ * @param {number} status - HTTP status
+ * @returns {boolean} True if retryable
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Sends one attempt to target.
+ * @param {Object} target - Webhook target
+ * @param {string} body - Serialized payload
+ * @param {string} eventId - Submission ID (sent as delivery ID)
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<{ok: boolean, status?: number, retryable: boolean, error?: string}>} Attempt result
+ */
+const attemptDelivery = async (target, body, eventId, timeoutMs) => {
+  try {
+    const response = await fetch(target.url, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-webhook-id": eventId, ...getSignatureHeaders(target.secret, body) },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const ok = response.ok;
+    return { ok, status: response.status, retryable: !ok && isRetryableStatus(response.status), error: ok ? undefined : `HTTP ${response.status}` };
+  } catch (error) {
+    const message = error.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : error.message;
+    return { ok: false, retryable: true, error: message };
+  }
+};
+
+/**
+ * Sends event to one target once (retries are outbox jobs, see outbox/delivery.mjs).
+ * @param {Object} target - Webhook target
+ * @param {Object} event - Submission event
+ * @param {number} [timeoutMs] - Attempt timeout (defaults to the target's)
+ * @returns {Promise<{ok: boolean, status?: number, retryable: boolean, error?: string}>} Attempt result
+ */
+export const sendWebhook = (target, event, timeoutMs = target.timeoutMs) =>
+  attemptDelivery(target, JSON.stringify(buildWebhookPayload(target, event)), event.id, timeoutMs);
+
+/**
+ * Attempts target once within the request; a retryable failure is queued for the outbox-worker.
+ * @param {Object} target - Webhook target
+ * @param {Object} event - Submission event
+ * @returns {Promise<{name: string, ok: boolean, status?: number, attempts: number, error?: string, nextAttemptAt?: string}>} Delivery result
+ */
+const deliverInline = async (target, event) => {
+  const { ok, status, retryable, error } = await sendWebhook(target, event, Math.min(target.timeoutMs, INLINE_TIMEOUT_MS));
+  const result = { name: target.name, ok, status, attempts: 1, error };
+  if (ok || !retryable || target.retries < 1) return result;
+  const job = await enqueueWebhook(event.id, target.name, event, error);
+  return { ...result, nextAttemptAt: new Date(job.nextAttemptAt).toISOString() };
+};
+
+/**
+ * Delivers event to all configured targets, one capped attempt each; never throws.
+ * @param {Object} event - Submission event
+ * @param {Object[]} [targets] - Targets (defaults to WEBHOOK_TARGETS)
+ * @returns {Promise<Object[]>} Delivery result per target
+ */
+export const dispatchWebhooks = async (event, targets = loadWebhookTargets()) => {
+  const results = await Promise.allSettled(targets.map((target) => deliverInline(target, event)));
+  return results.map((result, index) =>
+    result.status === "fulfilled" ? result.value : { name: targets[index].name, ok: false, attempts: 0, error: result.reason.message });
+};
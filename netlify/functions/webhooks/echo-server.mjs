@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Local webhook echo server
+ * @description Stand-in receiver for development and tests: records requests, checks signatures, can simulate failures
+ * @module webhooks/echo-server
+ *
+ * Usage: node netlify/functions/webhooks/echo-server.mjs [port]
+ * (verifies signatures with WEBHOOK_SECRET if set)
+ */
+
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { verifySignature } from "./signature.mjs";
+
+/**
+ * Reads request body as string.
+ * @param {import("node:http").IncomingMessage} request - Request
+ * @returns {Promise<string>} Body
+ */
+const readBody = async (request) => {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Parses JSON body leniently.
+ * @param {string} body - Raw body
+ * @returns {*} Parsed payload or null
+ */
+const parseJson = (body) => {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Starts echo server.
+ * @param {Object} [options] - Options
+ * @param {number} [options.port] - Port (0 picks a free one)
+ * @param {string} [options.secret] - Secret to verify signatures with
+ * @param {number} [options.failTimes] - Answer the first N requests with 503
+ * @param {number} [options.delayMs] - Delay before answering (to provoke timeouts)
+ * @param {Function} [options.onRequest] - Called with every recorded request
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} Running server
+ */
+export const startEchoServer = async ({ port = 0, secret, failTimes = 0, delayMs = 0, onRequest } = {}) => {
+  const requests = [];
+  const server = createServer(async (request, response) => {
+    const body = await readBody(request);
+    const signatureValid = secret ? verifySignature(secret, request.headers, body) : null;
+    const record = { path: request.url, headers: request.headers, body: parseJson(body), signatureValid };
+    requests.push(record);
+    onRequest?.(record);
+    if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    response.writeHead(requests.length <= failTimes ? 503 : 200, { "content-type": "application/json" });
+    response.end(JSON.stringify({ received: requests.length, signatureValid }));
+  });
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const close = () => new Promise((resolve) => server.close(resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close };
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startEchoServer({
+    port: Number(process.argv[2]) || 8787,
+    secret: process.env.WEBHOOK_SECRET,
+    onRequest: (record) => console.log(JSON.stringify({ signatureValid: record.signatureValid, body: record.body }, null, 2)),
+  });
+  console.log(`Webhook echo server listening on ${url}`);
+}
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Webhook payload templates
+ * @description Builds the submission event and renders it for Slack, Discord, Teams or custom JSON templates
+ * @module webhooks/payloads
+ */
+
+const MAX_TEXT_LENGTH = 3000;
+
+/**
+ * Builds platform-neutral submission event (no request metadata such as IP).
+ * @param {Object} submission - Stored submission record
+ * @param {Object} formData - Validated form data
+ * @returns {Object} Submission event
+ */
+export const buildSubmissionEvent = (submission, formData) => ({
+  event: "submission.created",
+  id: submission.id,
+  reference: submission.reference,
+  createdAt: submission.createdAt,
+  form: { id: formData.formId, title: formData.formTitle },
+  name: formData.name,
+  email: formData.email,
+  subject: formData.subject || formData.formTitle,
+  message: formData.message,
+  fields: submission.fields,
+  attachments: submission.attachments,
+  spamScore: submission.spamScore,
+});
+
+/**
+ * Shortens text to the limit chat platforms accept.
+ * @param {string} value - Text
+ * @param {number} [max] - Maximum length
+ * @returns {string} Truncated text
+ */
+const truncate = (value, max = MAX_TEXT_LENGTH) =>
+  String(value ?? "").length > max ? `${String(value).slice(0, max - 1)}…` : String(value ?? "");
+
+/**
+ * Escapes Slack mrkdwn control characters.
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeSlack = (value) =>
+  String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Returns headline for chat messages.
+ * @param {Object} event - Submission event
+ * @returns {string} Headline
+ */
+const getHeadline = (event) => `New ${event.form.title} submission from ${event.name}`;
+
+/**
+ * Lists form-specific fields as name/value pairs.
+ * @param {Object} event - Submission event
+ * @returns {Array<{name: string, value: string}>} Facts
+ */
+const getFacts = (event) => [
+  { name: "Email", value: event.email },
+  { name: "Subject", value: event.subject },
+  ...Object.entries(event.fields)
+    .filter(([key, value]) => value && !["name", "email", "subject", "message"].includes(key))
+    .map(([key, value]) => ({ name: key, value })),
+  { name: "Reference", value: event.reference },
+];
+
+/**
+ * Builds Slack incoming-webhook payload.
+ * @param {Object} event - Submission event
+ * @returns {Object} Slack payload
+ */
+const toSlackPayload = (event) => ({
+  text: escapeSlack(getHeadline(event)),
+  blocks: [
+    { type: "header", text: { type: "plain_text", text: truncate(getHeadline(event), 150) } },
+    {
+      type: "section",
+      fields: getFacts(event).map((fact) => ({ type: "mrkdwn", text: `*${escapeSlack(fact.name)}*\n${escapeSlack(fact.value)}` })),
+    },
+    { type: "section", text: { type: "mrkdwn", text: escapeSlack(truncate(event.message)) } },
+  ],
+});
+
+/**
+ * Builds Discord webhook payload (mentions disabled so user input cannot ping @everyone).
+ * @param {Object} event - Submission event
+ * @returns {Object} Discord payload
+ */
+const toDiscordPayload = (event) => ({
+  allowed_mentions: { parse: [] },
+  embeds: [
+    {
+      title: truncate(getHeadline(event), 256),
+      description: truncate(event.message, 4096),
+      fields: getFacts(event).map((fact) => ({ name: fact.name, value: truncate(fact.value, 1024), inline: true })),
+      timestamp: event.createdAt,
+    },
+  ],
+});
+
+/**
+ * Builds Microsoft Teams (Office 365 connector) MessageCard payload.
+ * @param {Object} event - Submission event
+ * @returns {Object} Teams payload
+ */
+const toTeamsPayload = (event) => ({
+  "@type": "MessageCard",
+  "@context": "https://schema.org/extensions",
+  summary: getHeadline(event),
+  themeColor: "667EEA",
+  title: getHeadline(event),
+  sections: [{ facts: getFacts(event), text: truncate(event.message) }],
+});
+
+/**
+ * Payload builders by format ("json" sends the event unchanged).
+ * @type {Object<string, Function>}
+ */
+const FORMATTERS = {
+  json: (event) => event,
+  slack: toSlackPayload,
+  discord: toDiscordPayload,
+  teams: toTeamsPayload,
+};
+
+export const PAYLOAD_FORMATS = Object.keys(FORMATTERS);
+
+/**
+ * Looks up dotted path in event.
+ * @param {Object} event - Submission event
+ * @param {string} path - Dotted path, e.g. "fields.priority"
+ * @returns {*} Value or empty string
+ */
+const lookupPath = (event, path) =>
+  path.split(".").reduce((node, key) => (node == null ? undefined : node[key]), event) ?? "";
+
+/**
+ * Renders custom template: every "{{path}}" in string values is replaced with the event value.
+ * A string that consists of a single placeholder keeps the value's JSON type.
+ * @param {*} template - Template node (object, array or string)
+ * @param {Object} event - Submission event
+ * @returns {*} Rendered node
+ */
+export const renderTemplate = (template, event) => {
+  if (Array.isArray(template)) return template.map((node) => renderTemplate(node, event));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, node]) => [key, renderTemplate(node, event)]));
+  }
+  if (typeof template !== "string") return template;
+  const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (single) return lookupPath(event, single[1]);
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => String(lookupPath(event, path)));
+};
+
+/**
+ * Builds payload for target (custom template wins over format).
+ * @param {Object} target - Webhook target
+ * @param {Object} event - Submission event
+ * @returns {Object} Payload
+ */
+export const buildWebhookPayload = (target, event) =>
+  target.template ? renderTemplate(target.template, event) : FORMATTERS[target.format](event);
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Webhook payload signing
+ * @description HMAC-SHA256 over "<timestamp>.<body>" so receivers can verify origin and reject replays
+ * @module webhooks/signature
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+export const SIGNATURE_HEADER = "x-webhook-signature";
+export const TIMESTAMP_HEADER = "x-webhook-timestamp";
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Computes signature of body.
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature ("sha256=<hex>")
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * Builds signature headers for body (none if no secret configured).
+ * @param {string} [secret] - Shared secret
+ * @param {string} body - Raw request body
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Headers
+ */
+export const getSignatureHeaders = (secret, body, now = Date.now()) => {
+  if (!secret) return {};
+  const timestamp = Math.floor(now / 1000);
+  return { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: signPayload(secret, timestamp, body) };
+};
+
+/**
+ * Verifies signature headers of received webhook (receiver side).
+ * @param {string} secret - Shared secret
+ * @param {Object} headers - Lower-case request headers
+ * @param {string} body - Raw request body
+ * @param {Object} [options] - Options
+ * @param {number} [options.toleranceSeconds] - Maximum accepted clock skew / age
+ * @param {number} [options.now] - Current time in ms
+ * @returns {boolean} True if signature is valid and fresh
+ */
+export const verifySignature = (secret, headers, body, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ""));
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
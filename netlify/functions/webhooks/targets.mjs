@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Webhook target configuration
+ * @description Targets loaded from WEBHOOK_TARGETS (JSON) with per-target format, secret, timeout and retries
+ * @module webhooks/targets
+ */
+
+import { PAYLOAD_FORMATS } from "./payloads.mjs";
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Collects configuration problems of a target.
+ * @param {Object} target - Webhook target
+ * @returns {string[]} Problems (empty if valid)
+ */
+const findTargetProblems = (target) => {
+  const problems = [];
+  if (!/^https?:\/\//i.test(target.url || "")) problems.push("url must be an http(s) URL");
+  if (!PAYLOAD_FORMATS.includes(target.format)) problems.push(`unknown format "${target.format}"`);
+  if (target.template && (typeof target.template !== "object" || Array.isArray(target.template))) {
+    problems.push("template must be a JSON object");
+  }
+  ["timeoutMs", "retries"]
+    .filter((field) => target[field] !== undefined && !(target[field] >= 0))
+    .forEach((field) => problems.push(`${field} must be a non-negative number`));
+  return problems;
+};
+
+/**
+ * Throws if target is invalid.
+ * @param {Object} target - Webhook target
+ * @throws {Error} If target has no name or invalid settings
+ */
+const assertTarget = (target) => {
+  const problems = target.name ? findTargetProblems(target) : ["name missing"];
+  if (problems.length > 0) {
+    throw new Error(`Invalid webhook target "${target.name}": ${problems.join(", ")}`);
+  }
+};
+
+/**
+ * Parses WEBHOOK_TARGETS value.
+ * @param {string} raw - JSON array of targets
+ * @returns {Object[]} Targets
+ * @throws {Error} If value is not a JSON array
+ */
+const parseTargets = (raw) => {
+  let targets;
+  try {
+    targets = JSON.parse(raw);
+  } catch (error) {
+    throw new Error("WEBHOOK_TARGETS is not valid JSON");
+  }
+  if (!Array.isArray(targets)) {
+    throw new Error("WEBHOOK_TARGETS must be a JSON array");
+  }
+  return targets;
+};
+
+/**
+ * Applies defaults (format json, shared WEBHOOK_SECRET, timeout, retries).
+ * @param {Object} target - Configured target
+ * @returns {Object} Target with defaults
+ */
+const withDefaults = (target) => ({
+  format: "json",
+  secret: process.env.WEBHOOK_SECRET,
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  retries: DEFAULT_RETRIES,
+  ...target,
+});
+
+/**
+ * Loads and validates configured webhook targets.
+ * @returns {Object[]} Webhook targets (empty if none configured)
+ */
+export const loadWebhookTargets = () => {
+  const raw = process.env.WEBHOOK_TARGETS;
+  const targets = raw ? parseTargets(raw).map(withDefaults) : [];
+  targets.forEach(assertTarget);
+  return targets;
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Attachment rules shared by SPA and Netlify Function
+ * @description Limits, allowed file types and list checks for schema fields of type "file"
+ * @module shared/attachments
+ */
+
+/**
+ * Size and count limits (total stays below the 6 MB function payload after base64 encoding).
+ * @type {{maxFiles: number, maxFileBytes: number, maxTotalBytes: number}}
+ */
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 3,
+  maxFileBytes: 2 * 1024 * 1024,
+  maxTotalBytes: 4 * 1024 * 1024,
+};
+
+/**
+ * Allowed file extensions and their MIME type.
+ * @type {Object<string, string>}
+ */
+export const ATTACHMENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+};
+
+/**
+ * Error codes returned for file fields.
+ * @type {Object<string, string>}
+ */
+export const ATTACHMENT_ERRORS = {
+  REQUIRED: 'required',
+  TOO_MANY_FILES: 'too_many_files',
+  FILE_TOO_LARGE: 'file_too_large',
+  TOTAL_TOO_LARGE: 'total_too_large',
+  UNSUPPORTED_TYPE: 'unsupported_type',
+  INVALID_CONTENT: 'invalid_file_content',
+};
+
+// Types browsers send when they do not know the file type
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+/**
+ * Checks whether field holds file uploads.
+ * @param {Object} field - Field definition
+ * @returns {boolean} True for file fields
+ */
+export const isFileField = (field) => field.type === 'file';
+
+/**
+ * Returns lower-case file extension.
+ * @param {string} filename - File name
+ * @returns {string} Extension without dot ('' if none)
+ */
+export const getFileExtension = (filename) => {
+  const index = String(filename).lastIndexOf('.');
+  return index === -1 ? '' : String(filename).slice(index + 1).toLowerCase();
+};
+
+/**
+ * Returns MIME type for an allowed file name.
+ * @param {string} filename - File name
+ * @returns {string|null} MIME type or null if extension is not allowed
+ */
+export const getAttachmentType = (filename) =>
+  Object.hasOwn(ATTACHMENT_TYPES, getFileExtension(filename))
+    ? ATTACHMENT_TYPES[getFileExtension(filename)]
+    : null;
+
+/**
+ * Returns value for the accept attribute of file inputs.
+ * @returns {string} Comma-separated extensions
+ */
+export const getAcceptAttribute = () =>
+  Object.keys(ATTACHMENT_TYPES).map((extension) => `.${extension}`).join(',');
+
+/**
+ * Checks extension and declared type of a file.
+ * @param {{name: string, type: string}} file - File metadata
+ * @returns {boolean} True if file type is allowed
+ */
+const isAllowedType = (file) => {
+  const expected = getAttachmentType(file.name);
+  return Boolean(expected) && (GENERIC_TYPES.includes(file.type || '') || file.type === expected);
+};
+
+/**
+ * Checks files of one field against count, size and type rules.
+ * @param {Object} field - File field definition
+ * @param {Array<{name: string, size: number, type: string}>} files - Selected files
+ * @returns {string|null} Error code or null if valid
+ */
+export const checkAttachmentList = (field, files) => {
+  if (files.length === 0) return field.required ? ATTACHMENT_ERRORS.REQUIRED : null;
+  if (files.length > (field.multiple ? ATTACHMENT_LIMITS.maxFiles : 1)) return ATTACHMENT_ERRORS.TOO_MANY_FILES;
+  if (!files.every(isAllowedType)) return ATTACHMENT_ERRORS.UNSUPPORTED_TYPE;
+  if (files.some((file) => file.size > ATTACHMENT_LIMITS.maxFileBytes)) return ATTACHMENT_ERRORS.FILE_TOO_LARGE;
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  return total > ATTACHMENT_LIMITS.maxTotalBytes ? ATTACHMENT_ERRORS.TOTAL_TOO_LARGE : null;
+};
+
+/**
+ * Checks all file fields of a schema.
+ * @param {Object} schema - Form schema
+ * @param {Object<string, Array>} filesByField - Files grouped by field name
+ * @returns {Object<string, string>} Error codes by field name
+ */
+export const getAttachmentErrors = (schema, filesByField) => {
+  const errors = {};
+  schema.fields.filter(isFileField).forEach((field) => {
+    const error = checkAttachmentList(field, filesByField[field.name] || []);
+    if (error) errors[field.name] = error;
+  });
+  return errors;
+};
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Error codes shared by SPA and Netlify Functions
+ * @description Stable machine-readable codes sent with every error response; the SPA maps them to translated messages
+ * @module shared/errors
+ */
+
+/**
+ * Error code catalogue (values never change once published).
+ * @type {Object<string, string>}
+ */
+export const ERROR_CODES = Object.freeze({
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNKNOWN_FORM: 'UNKNOWN_FORM',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  CAPTCHA_FAILED: 'CAPTCHA_FAILED',
+  CAPTCHA_LOW_SCORE: 'CAPTCHA_LOW_SCORE',
+  SPAM_REJECTED: 'SPAM_REJECTED',
+  IDEMPOTENCY_MISMATCH: 'IDEMPOTENCY_MISMATCH',
+  IDEMPOTENCY_IN_PROGRESS: 'IDEMPOTENCY_IN_PROGRESS',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  VERIFICATION_INVALID: 'VERIFICATION_INVALID',
+  VERIFICATION_EXPIRED: 'VERIFICATION_EXPIRED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+});
+
+/**
+ * Default code per HTTP status, used when an error does not name one.
+ * @type {Object<number, string>}
+ */
+export const STATUS_ERROR_CODES = Object.freeze({
+  400: ERROR_CODES.INVALID_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  404: ERROR_CODES.NOT_FOUND,
+  405: ERROR_CODES.METHOD_NOT_ALLOWED,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.VALIDATION_FAILED,
+  429: ERROR_CODES.RATE_LIMITED,
+  503: ERROR_CODES.NOT_CONFIGURED,
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Form schema definitions shared by SPA and Netlify Function
+ * @description Declarative field definitions; add a schema here to serve a new form without code changes
+ * @module shared/forms
+ */
+
+/**
+ * Default form used when a request carries no formId.
+ * @type {string}
+ */
+export const DEFAULT_FORM_ID = 'contact';
+
+/**
+ * Form schemas keyed by formId.
+ * Every schema defines `name`, `email` and `message`; `subject` falls back to the schema title.
+ * Field options: name, type (text|email|tel|textarea|select|file), label, placeholder,
+ * required, minLength, maxLength, options (select only), rows (textarea only), multiple (file only).
+ * @type {Object<string, {id: string, title: string, fields: Object[]}>}
+ */
+export const FORM_SCHEMAS = {
+  contact: {
+    id: 'contact',
+    title: 'Contact',
+    fields: [
+      { name: 'name', type: 'text', label: 'Name', placeholder: 'Your Name', required: true, maxLength: 100 },
+      { name: 'email', type: 'email', label: 'E-Mail', placeholder: 'your@email.com', required: true, maxLength: 254 },
+      { name: 'subject', type: 'text', label: 'Subject', placeholder: 'What is this about?', required: true, maxLength: 200 },
+      { name: 'message', type: 'textarea', label: 'Message', placeholder: 'Your message...', required: true, maxLength: 5000, rows: 5 },
+      { name: 'attachments', type: 'file', label: 'Attachments', multiple: true },
+    ],
+  },
+  quote: {
+    id: 'quote',
+    title: 'Quote Request',
+    fields: [
+      { name: 'name', type: 'text', label: 'Name', placeholder: 'Your Name', required: true, maxLength: 100 },
+      { name: 'email', type: 'email', label: 'E-Mail', placeholder: 'your@email.com', required: true, maxLength: 254 },
+      { name: 'company', type: 'text', label: 'Company', placeholder: 'Company (optional)', maxLength: 100 },
+      {
+        name: 'budget',
+        type: 'select',
+        label: 'Budget',
+        required: true,
+        options: ['< 1.000 €', '1.000 – 5.000 €', '5.000 – 20.000 €', '> 20.000 €'],
+      },
+      { name: 'message', type: 'textarea', label: 'Project Description', placeholder: 'Describe your project...', required: true, maxLength: 5000, rows: 6 },
+    ],
+  },
+  support: {
+    id: 'support',
+    title: 'Support',
+    fields: [
+      { name: 'name', type: 'text', label: 'Name', placeholder: 'Your Name', required: true, maxLength: 100 },
+      { name: 'email', type: 'email', label: 'E-Mail', placeholder: 'your@email.com', required: true, maxLength: 254 },
+      { name: 'priority', type: 'select', label: 'Priority', required: true, options: ['Low', 'Normal', 'High'] },
+      { name: 'subject', type: 'text', label: 'Subject', placeholder: 'Short summary of the issue', required: true, maxLength: 200 },
+      { name: 'message', type: 'textarea', label: 'Description', placeholder: 'What happened? Steps to reproduce...', required: true, maxLength: 5000, rows: 6 },
+      { name: 'attachments', type: 'file', label: 'Screenshots / Files', multiple: true },
+    ],
+  },
+};
+
+/**
+ * Returns schema for formId.
+ * @param {string} [formId] - Form identifier (defaults to contact)
+ * @returns {Object|null} Form schema or null if unknown
+ */
+export const getFormSchema = (formId = DEFAULT_FORM_ID) =>
+  Object.hasOwn(FORM_SCHEMAS, formId) ? FORM_SCHEMAS[formId] : null;
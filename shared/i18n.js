@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Locale resolution and translation shared by SPA and Netlify Function
+ * @description Looks up dotted keys in locale catalogs with fallback to the default locale
+ * @module shared/i18n
+ */
+
+import { en } from './locales/en.js';
+import { de } from './locales/de.js';
+
+/**
+ * Locale used when no requested locale is supported.
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Locale catalogs keyed by language code.
+ * @type {Object<string, Object>}
+ */
+export const CATALOGS = { en, de };
+
+/**
+ * Supported locale codes.
+ * @type {string[]}
+ */
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/**
+ * Parses Accept-Language header into locales ordered by quality.
+ * @param {string} header - Accept-Language header value
+ * @returns {string[]} Locales, most preferred first
+ */
+export const parseAcceptLanguage = (header) =>
+  String(header || '')
+    .split(',')
+    .map((part) => part.trim().split(';q='))
+    .filter(([tag]) => tag && tag !== '*')
+    .map(([tag, quality]) => ({ tag, quality: quality === undefined ? 1 : Number(quality) }))
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+
+/**
+ * Finds supported locale for a single tag (exact match, then base language).
+ * @param {*} tag - Locale tag such as "de-AT"
+ * @returns {string|null} Supported locale or null
+ */
+const matchLocale = (tag) => {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase().replace('_', '-');
+  if (SUPPORTED_LOCALES.includes(normalized)) return normalized;
+  const base = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+};
+
+/**
+ * Resolves first supported locale from requested tags.
+ * @param {string|string[]|undefined} requested - Locale tag or tags in order of preference
+ * @returns {string} Supported locale (falls back to DEFAULT_LOCALE)
+ */
+export const resolveLocale = (requested) => {
+  const tags = Array.isArray(requested) ? requested : [requested];
+  return tags.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+};
+
+/**
+ * Looks up dotted key in catalog.
+ * @param {Object} catalog - Locale catalog
+ * @param {string} key - Dotted key, e.g. "form.send"
+ * @returns {*} Catalog value or undefined
+ */
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+/**
+ * Looks up key in locale, falling back to the default locale.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key
+ * @returns {*} Catalog value or undefined
+ */
+const lookupWithFallback = (locale, key) =>
+  lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+/**
+ * Translates key, replacing {placeholders} with params.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [fallback] - Returned if key is missing in all catalogs
+ * @returns {string} Translated string
+ */
+export const translate = (locale, key, params = {}, fallback = key) => {
+  const value = lookupWithFallback(locale, key);
+  if (typeof value !== 'string') return fallback;
+  return value.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
+
+/**
+ * Returns translated list (e.g. bullet points).
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key of an array
+ * @returns {string[]} Translated list (empty if missing)
+ */
+export const translateList = (locale, key) => {
+  const value = lookupWithFallback(locale, key);
+  return Array.isArray(value) ? value : [];
+};
@@ -0,0 +1,401 @@
+/**
+ * @fileoverview German locale catalog
+ * @description UI strings for SPA pages, form messages and the confirmation email
+ * @module shared/locales/de
+ */
+
+export const de = {
+  language: 'Deutsch',
+  theme: {
+    toggle: 'Farbschema wechseln',
+  },
+  hero: {
+    title: 'Serverloses Kontaktformular',
+    subtitle: 'Modernes Kontaktformular mit Netlify Functions, reCAPTCHA v3 und intelligentem Spamschutz',
+    cta: 'Live-Demo testen',
+  },
+  footer: {
+    builtWith: 'Mit ❤️ gebaut mit Netlify Functions',
+    github: 'Auf GitHub ansehen',
+    documentation: 'Dokumentation',
+    navigation: 'Footer-Navigation',
+    language: 'Sprache',
+    privacy: 'Datenschutz',
+    sources: 'Quellen',
+    about: 'Über',
+    home: 'Start',
+    recaptcha: `Diese Seite ist durch reCAPTCHA geschützt. Es gelten die
+          <a href="https://policies.google.com/privacy" target="_blank" rel="noopener">Datenschutzerklärung</a> und die
+          <a href="https://policies.google.com/terms" target="_blank" rel="noopener">Nutzungsbedingungen</a> von Google.`,
+  },
+  home: {
+    demoTitle: 'Live-Demo',
+    demoDescription: 'Teste das Kontaktformular - alle Nachrichten werden per E-Mail zugestellt.',
+    featuresTitle: 'Funktionen',
+    techStackTitle: 'Tech-Stack',
+    features: {
+      serverless: {
+        title: 'Serverless Functions',
+        description: 'Netlify Functions als skalierbares Backend ohne Serververwaltung',
+      },
+      recaptcha: {
+        title: 'reCAPTCHA v3',
+        description: 'Unsichtbarer Spamschutz mit Google reCAPTCHA v3 (score-basiert)',
+      },
+      rateLimiting: {
+        title: 'Rate Limiting',
+        description: 'Automatische Begrenzung auf 5 Anfragen pro Stunde und IP-Adresse',
+      },
+      smtp: {
+        title: 'SMTP-Anbindung',
+        description: 'Zuverlässiger E-Mail-Versand über Nodemailer und SMTP',
+      },
+      responsive: {
+        title: 'Responsive Design',
+        description: 'Mobile-first-Design mit BEM-Methodik für alle Bildschirmgrößen',
+      },
+      cleanCode: {
+        title: 'Clean Code',
+        description: 'ES6+-Module, JSDoc-Dokumentation, max. 14 Zeilen pro Funktion',
+      },
+    },
+  },
+  form: {
+    switcherLabel: 'Formularart',
+    choose: 'Bitte auswählen...',
+    send: 'Nachricht senden',
+    sending: 'Wird gesendet...',
+    honeypot: 'Dieses Feld bitte leer lassen',
+    attachmentsHint: '{types} · bis zu {maxFiles} Dateien, je {maxSize} MB',
+    options: {
+      Low: 'Niedrig',
+      Normal: 'Normal',
+      High: 'Hoch',
+    },
+  },
+  forms: {
+    contact: {
+      title: 'Kontakt',
+      fields: {
+        name: { label: 'Name', placeholder: 'Dein Name' },
+        email: { label: 'E-Mail', placeholder: 'deine@email.de' },
+        subject: { label: 'Betreff', placeholder: 'Worum geht es?' },
+        message: { label: 'Nachricht', placeholder: 'Deine Nachricht...' },
+        attachments: { label: 'Anhänge' },
+      },
+    },
+    quote: {
+      title: 'Angebotsanfrage',
+      fields: {
+        name: { label: 'Name', placeholder: 'Dein Name' },
+        email: { label: 'E-Mail', placeholder: 'deine@email.de' },
+        company: { label: 'Firma', placeholder: 'Firma (optional)' },
+        budget: { label: 'Budget' },
+        message: { label: 'Projektbeschreibung', placeholder: 'Beschreibe dein Projekt...' },
+      },
+    },
+    support: {
+      title: 'Support',
+      fields: {
+        name: { label: 'Name', placeholder: 'Dein Name' },
+        email: { label: 'E-Mail', placeholder: 'deine@email.de' },
+        priority: { label: 'Priorität' },
+        subject: { label: 'Betreff', placeholder: 'Kurze Zusammenfassung des Problems' },
+        message: { label: 'Beschreibung', placeholder: 'Was ist passiert? Schritte zum Nachstellen...' },
+        attachments: { label: 'Screenshots / Dateien' },
+      },
+    },
+  },
+  status: {
+    success: 'Nachricht erfolgreich gesendet!',
+    checkFields: 'Bitte überprüfe die markierten Felder.',
+    error: 'Fehler: {message}',
+    serverError: 'Serverfehler ({status})',
+    verifyEmail: 'Fast geschafft! Bitte klicke auf den Link, den wir an deine E-Mail-Adresse gesendet haben, um deine Nachricht zuzustellen.',
+    reference: 'Deine Referenz: #{reference}',
+  },
+  fieldErrors: {
+    required: 'Dieses Feld ist erforderlich.',
+    too_short: 'Diese Eingabe ist zu kurz.',
+    too_long: 'Diese Eingabe ist zu lang.',
+    invalid_option: 'Bitte wähle eine der Optionen.',
+    invalid_email: 'Bitte gib eine gültige E-Mail-Adresse ein.',
+    invalid_characters: 'Dieses Feld enthält unzulässige Zeichen.',
+    too_many_files: 'Zu viele Dateien ausgewählt.',
+    file_too_large: 'Eine der Dateien ist zu groß.',
+    total_too_large: 'Die Dateien sind insgesamt zu groß.',
+    unsupported_type: 'Dieser Dateityp ist nicht erlaubt.',
+    invalid_file_content: 'Der Dateiinhalt passt nicht zum Dateityp.',
+  },
+  errors: {
+    INVALID_REQUEST: 'Die Anfrage konnte nicht gelesen werden. Bitte lade die Seite neu und versuche es erneut.',
+    PAYLOAD_TOO_LARGE: 'Deine Nachricht oder Dateien sind zu groß.',
+    UNKNOWN_FORM: 'Dieses Formular ist nicht mehr verfügbar. Bitte lade die Seite neu.',
+    VALIDATION_FAILED: 'Bitte überprüfe die markierten Felder.',
+    METHOD_NOT_ALLOWED: 'Diese Anfrage wird nicht unterstützt.',
+    ORIGIN_NOT_ALLOWED: 'Von dieser Seite können keine Nachrichten gesendet werden.',
+    RATE_LIMITED: 'Zu viele Nachrichten. Bitte versuche es in {minutes} Min. erneut.',
+    CAPTCHA_FAILED: 'Die Spam-Prüfung ist fehlgeschlagen. Bitte lade die Seite neu und versuche es erneut.',
+    CAPTCHA_LOW_SCORE: 'Deine Nachricht wirkt automatisiert. Bitte versuche es später erneut.',
+    SPAM_REJECTED: 'Deine Nachricht konnte nicht angenommen werden.',
+    IDEMPOTENCY_MISMATCH: 'Diese Nachricht wurde bereits mit anderem Inhalt gesendet. Bitte lade die Seite neu.',
+    IDEMPOTENCY_IN_PROGRESS: 'Deine Nachricht wird noch gesendet. Bitte warte einen Moment.',
+    VERIFICATION_INVALID: 'Dieser Bestätigungslink ist ungültig.',
+    VERIFICATION_EXPIRED: 'Dieser Bestätigungslink ist abgelaufen. Bitte sende deine Nachricht erneut.',
+    INTERNAL_ERROR: 'Bei uns ist etwas schiefgelaufen. Bitte versuche es später erneut (Referenz: {requestId}).',
+  },
+  privacy: {
+    title: 'Datenschutzerklärung',
+    content: `
+          <h2>Datenerhebung</h2>
+          <p>
+            Dieses Kontaktformular erhebt ausschließlich die Daten, die du freiwillig angibst:
+          </p>
+          <ul>
+            <li>Konstantin Aksenov</li>
+            <li>konstantin.aksenov@dev2k.org</li>
+          </ul>
+
+          <h2>Datenverwendung</h2>
+          <p>
+            Die erhobenen Daten werden ausschließlich zur Beantwortung deiner Anfrage verwendet.
+            Zum Schutz vor Spam nutzen wir Google reCAPTCHA v3, das deine IP-Adresse
+            gemäß der Datenschutzerklärung von Google verarbeitet.
+          </p>
+
+          <h2>Datenspeicherung</h2>
+          <p>
+            Nachrichten werden über Netlify Functions versendet und per SMTP zugestellt.
+            Jede angenommene Nachricht wird zusätzlich mit Zeitpunkt, IP-Adresse und
+            Browserinformationen gespeichert, damit sie bei einem Zustellfehler nicht verloren geht.
+            Gespeicherte Nachrichten werden nach der eingestellten Aufbewahrungsfrist gelöscht.
+            Das Rate Limiting nutzt temporäre IP-basierte Zähler, die nach einer Stunde ablaufen.
+          </p>
+
+          <h2>Dienste Dritter</h2>
+          <ul>
+            <li><strong>Netlify:</strong> Hosting der Serverless Functions</li>
+            <li><strong>Google reCAPTCHA v3:</strong> Spamschutz</li>
+            <li><strong>SMTP-Anbieter:</strong> E-Mail-Zustellung</li>
+          </ul>
+
+          <h2>Deine Rechte</h2>
+          <p>
+            Du hast das Recht auf Auskunft, Berichtigung und Löschung deiner personenbezogenen Daten.
+            Für eine Kopie oder die Löschung einer gespeicherten Nachricht kontaktiere uns bitte
+            mit der verwendeten E-Mail-Adresse.
+          </p>
+
+          <h2>Kontakt</h2>
+          <p>
+            Bei Fragen zum Datenschutz erreichst du uns über das
+            <a href="/" data-link>Kontaktformular</a>.
+          </p>
+
+          <p class="content-page__updated">Zuletzt aktualisiert: 20. Januar 2026</p>`,
+  },
+  sources: {
+    title: 'Quellen & Danksagungen',
+    content: `
+          <h2>Technologien</h2>
+          <ul>
+            <li>
+              <strong>Netlify Functions:</strong>
+              <a href="https://www.netlify.com/products/functions/" target="_blank" rel="noopener">
+                Serverless-Backend
+              </a>
+            </li>
+            <li>
+              <strong>Nodemailer:</strong>
+              <a href="https://nodemailer.com/" target="_blank" rel="noopener">
+                Bibliothek für E-Mail-Versand
+              </a>
+            </li>
+            <li>
+              <strong>Google reCAPTCHA v3:</strong>
+              <a href="https://developers.google.com/recaptcha/docs/v3" target="_blank" rel="noopener">
+                Spamschutz
+              </a>
+            </li>
+          </ul>
+
+          <h2>Icons & Assets</h2>
+          <p>
+            Die Icons dieses Projekts sind eigene SVG-Dateien oder stammen von:
+          </p>
+          <ul>
+            <li>
+              <a href="https://fontawesome.com/" target="_blank" rel="noopener">
+                Font Awesome
+              </a> - Icons (MIT-Lizenz)
+            </li>
+            <li>Eigene SVG-Illustrationen</li>
+          </ul>
+
+          <h2>Schriften</h2>
+          <p>
+            Dieses Projekt verwendet Systemschriften für optimale Performance und
+            ein einheitliches Erscheinungsbild auf allen Plattformen.
+          </p>
+
+          <h2>Code-Bibliotheken</h2>
+          <ul>
+            <li><strong>ES6+ JavaScript:</strong> Modernes Vanilla-JavaScript</li>
+            <li><strong>Sass/SCSS:</strong> CSS-Präprozessor</li>
+            <li><strong>BEM-Methodik:</strong> CSS-Namenskonvention</li>
+          </ul>
+
+          <h2>Inspiration</h2>
+          <p>
+            Dieses Projekt entstand aus dem Bedarf an einer einfachen, sicheren und
+            serverlosen Kontaktformular-Lösung, die Datenschutz und
+            Benutzerfreundlichkeit in den Mittelpunkt stellt.
+          </p>
+
+          <h2>Open Source</h2>
+          <p>
+            Dieses Projekt ist Open Source und auf
+            <a href="https://github.com/4devs2k/FormHandling-Netlify" target="_blank" rel="noopener">
+              GitHub
+            </a> verfügbar.
+          </p>`,
+  },
+  about: {
+    title: 'Über',
+    content: `
+          <h2>Über mich</h2>
+          <p>
+            Hallo, ich bin <strong>Konstantin Aksenov</strong> – ein leidenschaftlicher Softwareentwickler
+            mit Schwerpunkt auf modernen Webanwendungen, von der Benutzeroberfläche bis zur Serverinfrastruktur.
+          </p>
+          <p>
+            Mit Erfahrung in <strong>JavaScript, Angular und Node.js</strong> entwickle ich nicht nur
+            ansprechende Frontends, sondern auch robuste Backend-Systeme und DevOps-Lösungen. Meine Leidenschaft
+            sind skalierbare, wartbare Anwendungen mit sauberem Code und großartiger Benutzererfahrung.
+          </p>
+
+          <h2>Technologien, mit denen ich arbeite</h2>
+          <ul>
+            <li><strong>Frontend:</strong> Angular, TypeScript, JavaScript (ES6+), HTML5, CSS3/Sass</li>
+            <li><strong>Backend:</strong> Node.js, Express, Netlify Functions, RESTful APIs</li>
+            <li><strong>Datenbanken:</strong> MariaDB, MySQL, MongoDB</li>
+            <li><strong>Tools & DevOps:</strong> Git, Docker, Netlify, CI/CD</li>
+            <li><strong>Best Practices:</strong> BEM, Clean Code, JSDoc, Test-Driven Development</li>
+          </ul>
+
+          <h2>Über dieses Projekt</h2>
+          <p>
+            Dieses serverlose Kontaktformular zeigt moderne Webentwicklung
+            mit Netlify Functions - eine sichere und skalierbare Lösung
+            ohne klassische Serverinfrastruktur.
+          </p>
+
+          <h2>Hauptfunktionen</h2>
+          <ul>
+            <li><strong>Serverless-Architektur:</strong> Keine Backend-Server zu verwalten</li>
+            <li><strong>Spamschutz:</strong> Google reCAPTCHA v3</li>
+            <li><strong>Rate Limiting:</strong> 5 Anfragen pro Stunde und IP</li>
+            <li><strong>E-Mail-Versand:</strong> Zuverlässiges SMTP mit Nodemailer</li>
+            <li><strong>Responsive Design:</strong> Funktioniert auf allen Geräten</li>
+            <li><strong>Clean Code:</strong> Gut dokumentierte, wartbare Codebasis</li>
+          </ul>
+
+          <h2>Technische Umsetzung</h2>
+          <p>
+            Gebaut mit Vanilla-JavaScript (ES6+), Sass/SCSS und BEM-Methodik
+            zeigt dieses Projekt, wie ein produktionsreifes Kontaktformular
+            mit Serverless Functions entsteht. Die Architektur umfasst:
+          </p>
+          <ul>
+            <li>Clientseitige Formularvalidierung</li>
+            <li>reCAPTCHA-v3-Token-Erzeugung</li>
+            <li>Verarbeitung im Netlify-Function-Backend</li>
+            <li>Rate Limiting mit TTL-basierten Zählern</li>
+            <li>E-Mail-Templates mit HTML-Formatierung</li>
+            <li>SPA mit History-API-Routing</li>
+          </ul>
+
+          <h2>Entwicklungsphilosophie</h2>
+          <p>
+            Das Projekt folgt unter anderem diesen Best Practices:
+          </p>
+          <ul>
+            <li>JSDoc-Dokumentation für alle Funktionen</li>
+            <li>Maximal 14 Zeilen pro Funktion für bessere Wartbarkeit</li>
+            <li>ES6-Module für bessere Code-Organisation</li>
+            <li>BEM-Namenskonvention für CSS</li>
+            <li>Mobile-first responsive Design</li>
+            <li>Trennung der Verantwortlichkeiten und saubere Architektur</li>
+          </ul>
+
+          <h2>Kontakt</h2>
+          <p>
+            Lust auf eine Zusammenarbeit? Schau auf meinem
+            <a href="https://github.com/KosMaster87" target="_blank" rel="noopener">GitHub</a>
+            vorbei oder vernetze dich mit mir auf
+            <a href="https://www.linkedin.com/in/konstantin-aksenov-802b88190/" target="_blank" rel="noopener">LinkedIn</a>.
+            Du erreichst mich auch unter
+            <a href="mailto:konstantin.aksenov@dev2k.org">konstantin.aksenov@dev2k.org</a>.
+          </p>
+
+          <h2>Portfolio</h2>
+          <p>
+            Mein vollständiges Portfolio mit weiteren Projekten findest du unter
+            <a href="https://portfolio.dev2k.org" target="_blank" rel="noopener">Portfolio</a>.
+          </p>`,
+  },
+  verify: {
+    title: 'E-Mail-Bestätigung',
+    checking: 'Dein Bestätigungslink wird geprüft...',
+    verified: 'Danke! Deine E-Mail-Adresse ist bestätigt und deine Nachricht wurde zugestellt.',
+    expired: 'Dieser Bestätigungslink ist abgelaufen. Bitte sende deine Nachricht erneut.',
+    invalid: 'Dieser Bestätigungslink ist ungültig oder wurde bereits entfernt.',
+    error: 'Die Bestätigung konnte nicht abgeschlossen werden. Bitte versuche es später erneut.',
+    back: 'Zurück zur Startseite',
+  },
+  formResult: {
+    successTitle: 'Nachricht gesendet',
+    heldTitle: 'Nachricht erhalten',
+    errorTitle: 'Nachricht nicht gesendet',
+    held: 'Danke, deine Nachricht ist angekommen. Sie konnte nicht automatisch geprüft werden und wird deshalb vor der Zustellung kontrolliert.',
+    error: 'Deine Nachricht konnte nicht gesendet werden. Bitte versuche es erneut.',
+    back: 'Zurück zur Startseite',
+    retry: 'Zurück zum Formular',
+  },
+  notFound: {
+    title: '404 - Seite nicht gefunden',
+    text: 'Die gesuchte Seite existiert leider nicht.',
+    back: 'Zurück zur Startseite',
+  },
+  email: {
+    confirmation: {
+      subject: 'Nachricht erhalten - Danke für deine Kontaktaufnahme',
+      title: 'Nachricht erhalten - Bestätigung',
+      heading: 'Nachricht erhalten!',
+      subheading: 'Danke, dass du dich gemeldet hast',
+      greeting: 'Hallo {name}!',
+      intro: 'Ich habe deine Nachricht erhalten und melde mich so schnell wie möglich bei dir.',
+      nextTitle: 'Wie geht es weiter?',
+      nextSteps: [
+        'Ich antworte in der Regel innerhalb von 24-48 Stunden',
+        'Schau in deinen Spam-Ordner, falls du meine Antwort nicht findest',
+        'Melde dich gerne erneut, falls nötig',
+      ],
+      ctaIntro: 'In der Zwischenzeit kannst du dir gerne weitere Arbeiten von mir ansehen',
+      cta: 'Zum Portfolio',
+      footer: 'Dies ist eine automatische Bestätigungs-E-Mail',
+    },
+    verification: {
+      subject: 'Bitte bestätige deine E-Mail-Adresse',
+      title: 'E-Mail-Adresse bestätigen',
+      heading: 'Noch ein Schritt',
+      subheading: 'Bestätige deine E-Mail-Adresse, um deine Nachricht zu senden',
+      greeting: 'Hallo {name}!',
+      intro: 'Bitte bestätige, dass dies deine E-Mail-Adresse ist. Deine Nachricht wird zugestellt, sobald du auf den Button klickst.',
+      cta: 'E-Mail-Adresse bestätigen',
+      expiry: 'Der Link ist {hours} Stunden gültig.',
+      ignore: 'Falls du das Kontaktformular nicht ausgefüllt hast, kannst du diese E-Mail ignorieren.',
+      footer: 'Dies ist eine automatische Bestätigungs-E-Mail',
+    },
+  },
+};
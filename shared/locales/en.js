@@ -0,0 +1,401 @@
+/**
+ * @fileoverview English locale catalog
+ * @description UI strings for SPA pages, form messages and the confirmation email
+ * @module shared/locales/en
+ */
+
+export const en = {
+  language: 'English',
+  theme: {
+    toggle: 'Toggle theme',
+  },
+  hero: {
+    title: 'Serverless Contact Form',
+    subtitle: 'Modern contact form with Netlify Functions, reCAPTCHA v3, and intelligent spam protection',
+    cta: 'Try Live Demo',
+  },
+  footer: {
+    builtWith: 'Built with ❤️ using Netlify Functions',
+    github: 'View on GitHub',
+    documentation: 'Documentation',
+    navigation: 'Footer navigation',
+    language: 'Language',
+    privacy: 'Privacy Policy',
+    sources: 'Sources',
+    about: 'About',
+    home: 'Home',
+    recaptcha: `This site is protected by reCAPTCHA and the Google
+          <a href="https://policies.google.com/privacy" target="_blank" rel="noopener">Privacy Policy</a> and
+          <a href="https://policies.google.com/terms" target="_blank" rel="noopener">Terms of Service</a> apply.`,
+  },
+  home: {
+    demoTitle: 'Live Demo',
+    demoDescription: 'Test the contact form - all messages are delivered via email.',
+    featuresTitle: 'Features',
+    techStackTitle: 'Tech Stack',
+    features: {
+      serverless: {
+        title: 'Serverless Functions',
+        description: 'Netlify Functions for scalable backend without server management',
+      },
+      recaptcha: {
+        title: 'reCAPTCHA v3',
+        description: 'Invisible spam protection with Google reCAPTCHA v3 (score-based)',
+      },
+      rateLimiting: {
+        title: 'Rate Limiting',
+        description: 'Automatic limit of 5 requests per hour per IP address',
+      },
+      smtp: {
+        title: 'SMTP Integration',
+        description: 'Reliable email delivery via Nodemailer with SMTP',
+      },
+      responsive: {
+        title: 'Responsive Design',
+        description: 'Mobile-first design with BEM methodology for all screen sizes',
+      },
+      cleanCode: {
+        title: 'Clean Code',
+        description: 'ES6+ modules, JSDoc documentation, max 14 lines per function',
+      },
+    },
+  },
+  form: {
+    switcherLabel: 'Form type',
+    choose: 'Please choose...',
+    send: 'Send Message',
+    sending: 'Sending...',
+    honeypot: 'Leave this field empty',
+    attachmentsHint: '{types} · up to {maxFiles} files, {maxSize} MB each',
+    options: {
+      Low: 'Low',
+      Normal: 'Normal',
+      High: 'High',
+    },
+  },
+  forms: {
+    contact: {
+      title: 'Contact',
+      fields: {
+        name: { label: 'Name', placeholder: 'Your Name' },
+        email: { label: 'E-Mail', placeholder: 'your@email.com' },
+        subject: { label: 'Subject', placeholder: 'What is this about?' },
+        message: { label: 'Message', placeholder: 'Your message...' },
+        attachments: { label: 'Attachments' },
+      },
+    },
+    quote: {
+      title: 'Quote Request',
+      fields: {
+        name: { label: 'Name', placeholder: 'Your Name' },
+        email: { label: 'E-Mail', placeholder: 'your@email.com' },
+        company: { label: 'Company', placeholder: 'Company (optional)' },
+        budget: { label: 'Budget' },
+        message: { label: 'Project Description', placeholder: 'Describe your project...' },
+      },
+    },
+    support: {
+      title: 'Support',
+      fields: {
+        name: { label: 'Name', placeholder: 'Your Name' },
+        email: { label: 'E-Mail', placeholder: 'your@email.com' },
+        priority: { label: 'Priority' },
+        subject: { label: 'Subject', placeholder: 'Short summary of the issue' },
+        message: { label: 'Description', placeholder: 'What happened? Steps to reproduce...' },
+        attachments: { label: 'Screenshots / Files' },
+      },
+    },
+  },
+  status: {
+    success: 'Message sent successfully!',
+    checkFields: 'Please check the highlighted fields.',
+    error: 'Error: {message}',
+    serverError: 'Server error ({status})',
+    verifyEmail: 'Almost done! Please click the link we sent to your email address to deliver your message.',
+    reference: 'Your reference: #{reference}',
+  },
+  fieldErrors: {
+    required: 'This field is required.',
+    too_short: 'This entry is too short.',
+    too_long: 'This entry is too long.',
+    invalid_option: 'Please choose one of the options.',
+    invalid_email: 'Please enter a valid email address.',
+    invalid_characters: 'This field contains characters that are not allowed.',
+    too_many_files: 'Too many files selected.',
+    file_too_large: 'One of the files is too large.',
+    total_too_large: 'The files are too large in total.',
+    unsupported_type: 'This file type is not allowed.',
+    invalid_file_content: 'The file content does not match its type.',
+  },
+  errors: {
+    INVALID_REQUEST: 'The request could not be read. Please reload the page and try again.',
+    PAYLOAD_TOO_LARGE: 'Your message or files are too large.',
+    UNKNOWN_FORM: 'This form is no longer available. Please reload the page.',
+    VALIDATION_FAILED: 'Please check the highlighted fields.',
+    METHOD_NOT_ALLOWED: 'This request is not supported.',
+    ORIGIN_NOT_ALLOWED: 'Messages cannot be sent from this site.',
+    RATE_LIMITED: 'Too many messages. Please try again in {minutes} min.',
+    CAPTCHA_FAILED: 'The spam check failed. Please reload the page and try again.',
+    CAPTCHA_LOW_SCORE: 'Your message looks automated. Please try again later.',
+    SPAM_REJECTED: 'Your message could not be accepted.',
+    IDEMPOTENCY_MISMATCH: 'This message was already sent with different content. Please reload the page.',
+    IDEMPOTENCY_IN_PROGRESS: 'Your message is still being sent. Please wait a moment.',
+    VERIFICATION_INVALID: 'This verification link is invalid.',
+    VERIFICATION_EXPIRED: 'This verification link has expired. Please send your message again.',
+    INTERNAL_ERROR: 'Something went wrong on our side. Please try again later (reference: {requestId}).',
+  },
+  privacy: {
+    title: 'Privacy Policy',
+    content: `
+          <h2>Data Collection</h2>
+          <p>
+            This contact form collects only the information you voluntarily provide:
+          </p>
+          <ul>
+            <li>Konstantin Aksenov</li>
+            <li>konstantin.aksenov@dev2k.org</li>
+          </ul>
+
+          <h2>Data Usage</h2>
+          <p>
+            The collected data is used exclusively to respond to your inquiry.
+            We use Google reCAPTCHA v3 to protect against spam, which processes
+            your IP address according to Google's Privacy Policy.
+          </p>
+
+          <h2>Data Storage</h2>
+          <p>
+            Messages are sent via Netlify Functions and delivered through SMTP.
+            Each accepted message is also stored together with the time of submission,
+            your IP address and browser information, so that it is not lost if email
+            delivery fails. Stored messages are deleted after the configured retention period.
+            Rate limiting uses temporary IP-based counters that expire after one hour.
+          </p>
+
+          <h2>Third-Party Services</h2>
+          <ul>
+            <li><strong>Netlify:</strong> Serverless function hosting</li>
+            <li><strong>Google reCAPTCHA v3:</strong> Spam protection</li>
+            <li><strong>SMTP Provider:</strong> Email delivery</li>
+          </ul>
+
+          <h2>Your Rights</h2>
+          <p>
+            You have the right to access, correct, or delete your personal data.
+            To request a copy or the deletion of a stored message, please contact us
+            with the email address you used.
+          </p>
+
+          <h2>Contact</h2>
+          <p>
+            For privacy-related questions, please contact us through the
+            <a href="/" data-link>contact form</a>.
+          </p>
+
+          <p class="content-page__updated">Last updated: January 20, 2026</p>`,
+  },
+  sources: {
+    title: 'Sources & Credits',
+    content: `
+          <h2>Technologies</h2>
+          <ul>
+            <li>
+              <strong>Netlify Functions:</strong>
+              <a href="https://www.netlify.com/products/functions/" target="_blank" rel="noopener">
+                Serverless Backend
+              </a>
+            </li>
+            <li>
+              <strong>Nodemailer:</strong>
+              <a href="https://nodemailer.com/" target="_blank" rel="noopener">
+                Email Sending Library
+              </a>
+            </li>
+            <li>
+              <strong>Google reCAPTCHA v3:</strong>
+              <a href="https://developers.google.com/recaptcha/docs/v3" target="_blank" rel="noopener">
+                Spam Protection
+              </a>
+            </li>
+          </ul>
+
+          <h2>Icons & Assets</h2>
+          <p>
+            Icons used in this project are custom-created SVG files or sourced from:
+          </p>
+          <ul>
+            <li>
+              <a href="https://fontawesome.com/" target="_blank" rel="noopener">
+                Font Awesome
+              </a> - Icons (MIT License)
+            </li>
+            <li>Custom SVG illustrations</li>
+          </ul>
+
+          <h2>Fonts</h2>
+          <p>
+            This project uses system fonts for optimal performance and
+            consistent cross-platform appearance.
+          </p>
+
+          <h2>Code Libraries</h2>
+          <ul>
+            <li><strong>ES6+ JavaScript:</strong> Modern vanilla JavaScript</li>
+            <li><strong>Sass/SCSS:</strong> CSS preprocessing</li>
+            <li><strong>BEM Methodology:</strong> CSS naming convention</li>
+          </ul>
+
+          <h2>Inspiration</h2>
+          <p>
+            This project was inspired by the need for a simple, secure, and
+            serverless contact form solution that prioritizes privacy and
+            user experience.
+          </p>
+
+          <h2>Open Source</h2>
+          <p>
+            This project is open source and available on
+            <a href="https://github.com/4devs2k/FormHandling-Netlify" target="_blank" rel="noopener">
+              GitHub
+            </a>.
+          </p>`,
+  },
+  about: {
+    title: 'About',
+    content: `
+          <h2>About Me</h2>
+          <p>
+            Hi, I'm <strong>Konstantin Aksenov</strong> – a passionate software developer
+            specializing in modern web applications, from user interfaces to server infrastructure.
+          </p>
+          <p>
+            With expertise in <strong>JavaScript, Angular, and Node.js</strong>, I build not only
+            engaging frontends but also robust backend systems and DevOps solutions. My passion
+            lies in creating scalable, maintainable applications with clean code and great user experience.
+          </p>
+
+          <h2>Technologies I Work With</h2>
+          <ul>
+            <li><strong>Frontend:</strong> Angular, TypeScript, JavaScript (ES6+), HTML5, CSS3/Sass</li>
+            <li><strong>Backend:</strong> Node.js, Express, Netlify Functions, RESTful APIs</li>
+            <li><strong>Databases:</strong> MariaDB, MySQL, MongoDB</li>
+            <li><strong>Tools & DevOps:</strong> Git, Docker, Netlify, CI/CD</li>
+            <li><strong>Best Practices:</strong> BEM, Clean Code, JSDoc, Test-Driven Development</li>
+          </ul>
+
+          <h2>About This Project</h2>
+          <p>
+            This serverless contact form demonstrates modern web development
+            practices using Netlify Functions, providing a secure and scalable
+            solution without traditional server infrastructure.
+          </p>
+
+          <h2>Key Features</h2>
+          <ul>
+            <li><strong>Serverless Architecture:</strong> No backend servers to manage</li>
+            <li><strong>Spam Protection:</strong> Google reCAPTCHA v3 integration</li>
+            <li><strong>Rate Limiting:</strong> 5 requests per hour per IP</li>
+            <li><strong>Email Delivery:</strong> Reliable SMTP with Nodemailer</li>
+            <li><strong>Responsive Design:</strong> Works on all devices</li>
+            <li><strong>Clean Code:</strong> Well-documented, maintainable codebase</li>
+          </ul>
+
+          <h2>Technical Implementation</h2>
+          <p>
+            Built with vanilla JavaScript (ES6+), Sass/SCSS, and BEM methodology,
+            this project showcases how to create a production-ready contact form
+            using serverless functions. The architecture includes:
+          </p>
+          <ul>
+            <li>Client-side form validation</li>
+            <li>reCAPTCHA v3 token generation</li>
+            <li>Netlify Function backend processing</li>
+            <li>Rate limiting with TTL-based counters</li>
+            <li>Email templating with HTML formatting</li>
+            <li>SPA with History API routing</li>
+          </ul>
+
+          <h2>Development Philosophy</h2>
+          <p>
+            The project follows best practices including:
+          </p>
+          <ul>
+            <li>JSDoc documentation for all functions</li>
+            <li>Maximum 14 lines per function for maintainability</li>
+            <li>ES6 modules for better code organization</li>
+            <li>BEM naming convention for CSS</li>
+            <li>Mobile-first responsive design</li>
+            <li>Separation of concerns and clean architecture</li>
+          </ul>
+
+          <h2>Get in Touch</h2>
+          <p>
+            Interested in working together? Check out my
+            <a href="https://github.com/KosMaster87" target="_blank" rel="noopener">GitHub</a>
+            or connect with me on
+            <a href="https://www.linkedin.com/in/konstantin-aksenov-802b88190/" target="_blank" rel="noopener">LinkedIn</a>.
+            You can also reach me at
+            <a href="mailto:konstantin.aksenov@dev2k.org">konstantin.aksenov@dev2k.org</a>.
+          </p>
+
+          <h2>Portfolio</h2>
+          <p>
+            View my complete portfolio with more projects at
+            <a href="https://portfolio.dev2k.org" target="_blank" rel="noopener">Portfolio</a>.
+          </p>`,
+  },
+  verify: {
+    title: 'Email Verification',
+    checking: 'Checking your verification link...',
+    verified: 'Thank you! Your email address is confirmed and your message has been delivered.',
+    expired: 'This verification link has expired. Please send your message again.',
+    invalid: 'This verification link is invalid or was already removed.',
+    error: 'The verification could not be completed. Please try again later.',
+    back: 'Go back to home',
+  },
+  formResult: {
+    successTitle: 'Message Sent',
+    heldTitle: 'Message Received',
+    errorTitle: 'Message Not Sent',
+    held: 'Thank you, your message has been received. It could not be verified automatically, so it will be reviewed before it reaches us.',
+    error: 'Your message could not be sent. Please try again.',
+    back: 'Go back to home',
+    retry: 'Back to the form',
+  },
+  notFound: {
+    title: '404 - Page Not Found',
+    text: "Sorry, the page you're looking for doesn't exist.",
+    back: 'Go back to home',
+  },
+  email: {
+    confirmation: {
+      subject: 'Message Received - Thank You for Contacting Me',
+      title: 'Message Received - Confirmation',
+      heading: 'Message Received!',
+      subheading: 'Thank you for reaching out',
+      greeting: 'Hi {name}!',
+      intro: "I've received your message and will get back to you as soon as possible.",
+      nextTitle: "What's Next?",
+      nextSteps: [
+        'I typically respond within 24-48 hours',
+        "Check your spam folder if you don't see my reply",
+        'Feel free to follow up if needed',
+      ],
+      ctaIntro: 'In the meantime, feel free to explore more of my work',
+      cta: 'Visit Portfolio',
+      footer: 'This is an automated confirmation email',
+    },
+    verification: {
+      subject: 'Please confirm your email address',
+      title: 'Confirm your email address',
+      heading: 'One more step',
+      subheading: 'Confirm your email address to send your message',
+      greeting: 'Hi {name}!',
+      intro: 'Please confirm that this is your email address. Your message is delivered as soon as you click the button.',
+      cta: 'Confirm email address',
+      expiry: 'The link is valid for {hours} hours.',
+      ignore: "If you didn't fill in the contact form, you can ignore this email.",
+      footer: 'This is an automated verification email',
+    },
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Spam protection fields shared by SPA and Netlify Function
+ * @description Names of the hidden honeypot and render-token fields sent with every submission
+ * @module shared/spam
+ */
+
+/**
+ * Hidden field humans never see or fill in; any value marks the submission as automated.
+ * @type {string}
+ */
+export const HONEYPOT_FIELD = 'website';
+
+/**
+ * Hidden field carrying the signed timestamp of when the form was rendered.
+ * @type {string}
+ */
+export const RENDER_TOKEN_FIELD = 'renderToken';
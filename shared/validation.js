@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Schema-based form validation shared by SPA and Netlify Function
+ * @description Normalizes field values (Unicode NFC, trimmed) and validates them against a form schema
+ * @module shared/validation
+ */
+
+import { isFileField } from './attachments.js';
+
+// Single-line fields must not contain any control characters (incl. CR/LF header injection)
+const SINGLE_LINE_FORBIDDEN = /[\u0000-\u001F\u007F-\u009F\u2028\u2029]/u;
+// Multi-line fields may contain line breaks and tabs, but no other control characters
+const MULTI_LINE_FORBIDDEN = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/u;
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:".]{2,}$/u;
+
+/**
+ * Error codes returned per field.
+ * @type {Object<string, string>}
+ */
+export const FIELD_ERRORS = {
+  REQUIRED: 'required',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  INVALID_OPTION: 'invalid_option',
+  INVALID_EMAIL: 'invalid_email',
+  INVALID_CHARACTERS: 'invalid_characters',
+};
+
+/**
+ * Normalizes raw field value to NFC, trimmed string with LF line breaks.
+ * @param {*} value - Raw value
+ * @returns {string} Normalized string ('' for missing or non-string values)
+ */
+const normalizeValue = (value) => {
+  if (typeof value !== 'string') return '';
+  return value.normalize('NFC').replace(/\r\n?/g, '\n').trim();
+};
+
+/**
+ * Checks value for characters not allowed in field type.
+ * @param {Object} field - Field definition
+ * @param {string} value - Normalized value
+ * @returns {boolean} True if value contains forbidden characters
+ */
+const hasForbiddenCharacters = (field, value) =>
+  (field.type === 'textarea' ? MULTI_LINE_FORBIDDEN : SINGLE_LINE_FORBIDDEN).test(value);
+
+/**
+ * Checks value against field type and options.
+ * @param {Object} field - Field definition
+ * @param {string} value - Normalized value
+ * @returns {string|null} Error code or null if valid
+ */
+const getFormatError = (field, value) => {
+  if (hasForbiddenCharacters(field, value)) return FIELD_ERRORS.INVALID_CHARACTERS;
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return FIELD_ERRORS.INVALID_EMAIL;
+  if (field.options && !field.options.includes(value)) return FIELD_ERRORS.INVALID_OPTION;
+  return null;
+};
+
+/**
+ * Determines error code for a single field value.
+ * @param {Object} field - Field definition
+ * @param {string} value - Normalized value
+ * @returns {string|null} Error code or null if valid
+ */
+const getFieldError = (field, value) => {
+  if (!value) return field.required ? FIELD_ERRORS.REQUIRED : null;
+  if (field.minLength && value.length < field.minLength) return FIELD_ERRORS.TOO_SHORT;
+  if (field.maxLength && value.length > field.maxLength) return FIELD_ERRORS.TOO_LONG;
+  return getFormatError(field, value);
+};
+
+/**
+ * Validates data against schema (file fields are checked by shared/attachments).
+ * @param {Object} schema - Form schema
+ * @param {Object} data - Raw field values by name
+ * @returns {{values: Object<string, string>, errors: Object<string, string>}} Normalized values and error codes by field
+ */
+export const validateFields = (schema, data) => {
+  const values = {};
+  const errors = {};
+  schema.fields.filter((field) => !isFileField(field)).forEach((field) => {
+    values[field.name] = normalizeValue(data[field.name]);
+    const error = getFieldError(field, values[field.name]);
+    if (error) errors[field.name] = error;
+  });
+  return { values, errors };
+};
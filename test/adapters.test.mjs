@@ -0,0 +1,88 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { toNodeHandler } from "../netlify/functions/adapters/node.mjs";
+
+/**
+ * Pipeline that echoes the body and content type it received.
+ * @param {Request} request - Web Request
+ * @returns {Promise<Response>} Echo response
+ */
+const echo = async (request) =>
+  Response.json({ contentType: request.headers.get("content-type"), body: await request.text() });
+
+/**
+ * Mimics express.json() in Express 4: parses JSON bodies, sets `req.body = {}` for everything else without reading.
+ * @param {Object} req - Node request
+ * @returns {Promise<void>}
+ */
+const expressJson = async (req) => {
+  if (!(req.headers["content-type"] || "").startsWith("application/json")) {
+    req.body = {};
+    return;
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  Object.assign(req, { body: JSON.parse(Buffer.concat(chunks)), _body: true });
+};
+
+/**
+ * Mimics express.urlencoded(): consumes the stream and keeps only the parsed fields.
+ * @param {Object} req - Node request
+ * @returns {Promise<void>}
+ */
+const expressUrlencoded = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  Object.assign(req, { body: Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString())), _body: true });
+};
+
+const handler = toNodeHandler(echo);
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer(async (req, res) => {
+    await (req.url === "/urlencoded" ? expressUrlencoded(req) : expressJson(req));
+    await handler(req, res, (error) => {
+      res.statusCode = 500;
+      res.end(error.message);
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe("node adapter behind express.json()", () => {
+  it("re-serializes JSON bodies parsed by the middleware", async () => {
+    const response = await fetch(`${baseUrl}/json`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ name: "Ada" }),
+    });
+    assert.deepEqual(JSON.parse((await response.json()).body), { name: "Ada" });
+  });
+
+  it("reads urlencoded posts from the stream despite req.body = {}", async () => {
+    const response = await fetch(`${baseUrl}/json`, { method: "POST", body: new URLSearchParams({ name: "Ada" }) });
+    assert.equal((await response.json()).body, "name=Ada");
+  });
+
+  it("reads multipart posts from the stream despite req.body = {}", async () => {
+    const form = new FormData();
+    form.append("name", "Ada");
+    const result = await (await fetch(`${baseUrl}/json`, { method: "POST", body: form })).json();
+    assert.match(result.contentType, /^multipart\/form-data; boundary=/);
+    assert.match(result.body, /name="name"\r\n\r\nAda\r\n/);
+  });
+
+  it("fails with a configuration error when middleware consumed a form post", async () => {
+    const response = await fetch(`${baseUrl}/urlencoded`, { method: "POST", body: new URLSearchParams({ name: "Ada" }) });
+    assert.equal(response.status, 500);
+    assert.match(await response.text(), /consumed by middleware/);
+  });
+});
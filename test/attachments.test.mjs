@@ -0,0 +1,84 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, multipartRequest } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+import { matchesMagicBytes } from "../netlify/functions/attachments/magic-bytes.mjs";
+import { validateAttachments } from "../netlify/functions/attachments/validate.mjs";
+import { ATTACHMENT_ERRORS, getAttachmentType } from "../shared/attachments.js";
+import { getFormSchema } from "../shared/forms.js";
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+const PDF = Buffer.from("%PDF-1.7\n");
+
+/**
+ * Builds file part as returned by the multipart parser, with the type a browser derives from the extension.
+ * @param {string} filename - Client file name
+ * @param {Buffer} content - File content
+ * @returns {Object} Parsed file
+ */
+const filePart = (filename, content) => ({
+  fieldName: "attachments",
+  filename,
+  contentType: getAttachmentType(filename) ?? "application/octet-stream",
+  content,
+});
+
+describe("magic bytes", () => {
+  it("accept content that matches the declared type", () => {
+    assert.equal(matchesMagicBytes("image/png", PNG), true);
+    assert.equal(matchesMagicBytes("application/pdf", PDF), true);
+    assert.equal(matchesMagicBytes("image/webp", Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), true);
+    assert.equal(matchesMagicBytes("text/plain", Buffer.from("Grüße\n")), true);
+  });
+
+  it("reject mismatched, binary and unknown content", () => {
+    assert.equal(matchesMagicBytes("image/png", PDF), false);
+    assert.equal(matchesMagicBytes("image/jpeg", PNG), false);
+    assert.equal(matchesMagicBytes("text/plain", Buffer.from([0x4d, 0x5a, 0x00, 0x90])), false);
+    assert.equal(matchesMagicBytes("application/x-msdownload", Buffer.from("MZ")), false);
+  });
+});
+
+describe("attachment validation", () => {
+  const schema = getFormSchema("contact");
+
+  it("rejects a renamed file whose content does not match its extension", () => {
+    const { errors } = validateAttachments(schema, [filePart("invoice.pdf", PNG)]);
+    assert.deepEqual(errors, { attachments: ATTACHMENT_ERRORS.INVALID_CONTENT });
+  });
+
+  it("strips paths from file names and derives the type from the extension", () => {
+    const { attachments, errors } = validateAttachments(schema, [filePart("../../etc/scan.PDF", PDF)]);
+    assert.deepEqual(errors, {});
+    assert.deepEqual(attachments.map(({ filename, contentType }) => [filename, contentType]), [["scan.PDF", "application/pdf"]]);
+  });
+
+  it("rejects unsupported types and too many files before sniffing content", () => {
+    assert.deepEqual(validateAttachments(schema, [filePart("setup.exe", PNG)]).errors, {
+      attachments: ATTACHMENT_ERRORS.UNSUPPORTED_TYPE,
+    });
+    const files = ["a.png", "b.png", "c.png", "d.png"].map((name) => filePart(name, PNG));
+    assert.equal(validateAttachments(schema, files).errors.attachments, ATTACHMENT_ERRORS.TOO_MANY_FILES);
+  });
+});
+
+describe("send-email with attachments", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("attaches accepted files to the notification only", async () => {
+    const request = multipartRequest(buildSubmission(), [{ name: "screenshot.png", content: PNG, type: "image/png" }]);
+    assert.equal((await handleSendEmail(request)).status, 200);
+    const [notification, confirmation] = getCapturedMails();
+    assert.deepEqual(notification.attachments.map((file) => file.filename), ["screenshot.png"]);
+    assert.ok(!confirmation.attachments?.length);
+  });
+
+  it("refuses files whose magic bytes do not match and sends nothing", async () => {
+    const request = multipartRequest(buildSubmission({ message: "Disguised file." }), [{ name: "photo.jpg", content: PDF }]);
+    const response = await handleSendEmail(request);
+    assert.equal(response.status, 422);
+    assert.equal((await response.json()).fields.attachments, ATTACHMENT_ERRORS.INVALID_CONTENT);
+    assert.equal(getCapturedMails().length, 0);
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest } from "./helpers.mjs";
+import { verifyCaptcha } from "../netlify/functions/captcha/registry.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+
+afterEach(() => {
+  for (const name of ["ALLOW_FAKE_CAPTCHA", "CONTEXT", "NODE_ENV"]) delete process.env[name];
+  process.env.CAPTCHA_PROVIDER = "none";
+});
+
+describe("CAPTCHA without secret", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("refuses submissions instead of skipping verification", async () => {
+    process.env.CAPTCHA_PROVIDER = "turnstile";
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ captchaToken: "token" })));
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, "NOT_CONFIGURED");
+    assert.equal(getCapturedMails().length, 0);
+  });
+
+  it("skips verification only when CAPTCHA_PROVIDER is none", async () => {
+    const result = await verifyCaptcha(null);
+    assert.deepEqual([result.success, result.skipped], [true, true]);
+    assert.equal((await handleSendEmail(jsonRequest(buildSubmission()))).status, 200);
+  });
+});
+
+describe("fake CAPTCHA provider", () => {
+  const verifyPass = () => {
+    process.env.CAPTCHA_PROVIDER = "fake";
+    return verifyCaptcha("fake-pass");
+  };
+
+  it("rejects every token in production", async () => {
+    process.env.CONTEXT = "production";
+    process.env.NODE_ENV = "test";
+    assert.equal((await verifyPass()).success, false);
+  });
+
+  it("rejects every token without any sign of a non-production environment", async () => {
+    assert.equal((await verifyPass()).success, false);
+  });
+
+  it("runs in deploy previews, in NODE_ENV test and with the explicit flag", async () => {
+    process.env.CONTEXT = "deploy-preview";
+    assert.equal((await verifyPass()).score, 0.9);
+    delete process.env.CONTEXT;
+    process.env.NODE_ENV = "test";
+    assert.equal((await verifyPass()).success, true);
+    delete process.env.NODE_ENV;
+    process.env.ALLOW_FAKE_CAPTCHA = "true";
+    assert.equal((await verifyPass()).success, true);
+  });
+});
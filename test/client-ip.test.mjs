@@ -0,0 +1,92 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest } from "./helpers.mjs";
+import { normalizeIp, resolveClientIp } from "../netlify/functions/http/client-ip.mjs";
+import { toNetworkPrefix } from "../netlify/functions/rate-limit/keys.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { toNetlifyV1Handler } from "../netlify/functions/adapters/netlify.mjs";
+import { toCloudflareWorker } from "../netlify/functions/adapters/cloudflare.mjs";
+
+afterEach(() => {
+  delete process.env.TRUSTED_PROXIES;
+});
+
+describe("normalizeIp", () => {
+  it("writes one address the same way whatever the spelling", () => {
+    assert.equal(normalizeIp("[2001:DB8:0:0::1]:443"), "2001:db8::1");
+    assert.equal(normalizeIp("::ffff:192.0.2.1"), "192.0.2.1");
+    assert.equal(normalizeIp("192.0.2.1:8080"), "192.0.2.1");
+    assert.equal(normalizeIp("unknown"), null);
+  });
+});
+
+describe("resolveClientIp", () => {
+  const spoofed = { "x-nf-client-connection-ip": "198.51.100.66", "x-forwarded-for": "198.51.100.77" };
+
+  it("uses the peer address and ignores client-sent platform and forwarding headers", () => {
+    assert.deepEqual(resolveClientIp(spoofed, "203.0.113.7"), { ip: "203.0.113.7", source: "peer" });
+  });
+
+  it("resolves nothing without a peer address", () => {
+    assert.deepEqual(resolveClientIp(spoofed), { ip: null, source: null });
+  });
+
+  it("walks the given number of trusted hops before the peer", () => {
+    process.env.TRUSTED_PROXIES = "1";
+    const headers = { "x-forwarded-for": "198.51.100.1, 10.0.0.2" };
+    assert.deepEqual(resolveClientIp(headers, "10.0.0.3"), { ip: "10.0.0.2", source: "x-forwarded-for" });
+  });
+
+  it("skips trusted ranges and ignores chains from untrusted peers", () => {
+    process.env.TRUSTED_PROXIES = "10.0.0.0/8";
+    const headers = { forwarded: 'for="[2001:db8::1]:443", for=10.0.0.2' };
+    assert.equal(resolveClientIp(headers, "10.0.0.3").ip, "2001:db8::1");
+    assert.equal(resolveClientIp(headers, "203.0.113.9").ip, "203.0.113.9");
+  });
+});
+
+describe("toNetworkPrefix", () => {
+  it("keys IPv6 clients by /64 and leaves other keys alone", () => {
+    assert.equal(toNetworkPrefix("2001:db8:1:2:aaaa::1"), "2001:db8:1:2::/64");
+    assert.equal(toNetworkPrefix("::ffff:192.0.2.1"), "192.0.2.1");
+    assert.equal(toNetworkPrefix("unresolved"), "unresolved");
+  });
+});
+
+describe("rate limiting by client IP", () => {
+  process.env.RATE_LIMIT_POLICIES = JSON.stringify([
+    { name: "ip-once", keys: ["ip"], algorithm: "sliding-window", limit: 1, windowMs: 60000 },
+  ]);
+  const post = (message, headers) => jsonRequest(buildSubmission({ message }), headers);
+
+  it("puts unresolved clients into one shared bucket, so IP limits still apply", async () => {
+    const first = await handleSendEmail(post("First request without a peer address."));
+    const second = await handleSendEmail(post("Second request without a peer address."));
+    assert.deepEqual([first.status, second.status], [200, 429]);
+  });
+
+  it("limits by the Netlify connection IP, not by spoofable forwarding headers", async () => {
+    const handler = toNetlifyV1Handler(handleSendEmail);
+    const event = (message, spoof) => ({
+      httpMethod: "POST",
+      rawUrl: "https://example.com/.netlify/functions/send-email",
+      headers: {
+        "content-type": "application/json",
+        origin: "https://example.com",
+        "x-nf-client-connection-ip": "203.0.113.5",
+        "x-forwarded-for": spoof,
+      },
+      body: JSON.stringify(buildSubmission({ message })),
+    });
+    assert.equal((await handler(event("Netlify request number one.", "198.51.100.1"))).statusCode, 200);
+    assert.equal((await handler(event("Netlify request number two.", "198.51.100.2"))).statusCode, 429);
+  });
+
+  it("does not trust x-nf-client-connection-ip on Cloudflare", async () => {
+    const worker = toCloudflareWorker(handleSendEmail);
+    const request = (message, spoof) =>
+      post(message, { "cf-connecting-ip": "203.0.113.6", "x-nf-client-connection-ip": spoof });
+    assert.equal((await worker.fetch(request("Worker request number one.", "198.51.100.1"), {})).status, 200);
+    assert.equal((await worker.fetch(request("Worker request number two.", "198.51.100.2"), {})).status, 429);
+  });
+});
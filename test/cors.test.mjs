@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, FUNCTION_URL, jsonRequest, ORIGIN } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+import { getAllowedOrigins, isOriginAllowed, resolveCors } from "../netlify/functions/http/cors.mjs";
+
+const OPTIONS = { methods: "POST, OPTIONS", allowHeaders: "Content-Type" };
+
+describe("CORS allowlist", () => {
+  afterEach(() => {
+    process.env.CORS_ALLOWED_ORIGINS = ORIGIN;
+    delete process.env.URL;
+  });
+
+  it("matches exact origins and subdomain wildcards, ignoring case and trailing slashes", () => {
+    const allowed = ["https://example.com", "https://*.example.org"];
+    assert.equal(isOriginAllowed("HTTPS://Example.com/", allowed), true);
+    assert.equal(isOriginAllowed("https://forms.eu.example.org", allowed), true);
+    assert.equal(isOriginAllowed("https://example.org", allowed), false);
+    assert.equal(isOriginAllowed("http://forms.example.org", allowed), false);
+    assert.equal(isOriginAllowed("https://evil-example.org", allowed), false);
+    assert.equal(isOriginAllowed("https://example.com.evil.net", allowed), false);
+  });
+
+  it("falls back to the Netlify site URL and allows any origin without configuration", () => {
+    delete process.env.CORS_ALLOWED_ORIGINS;
+    process.env.URL = "https://site.netlify.app/";
+    assert.deepEqual(getAllowedOrigins(), ["https://site.netlify.app"]);
+    delete process.env.URL;
+    assert.equal(isOriginAllowed("https://anywhere.example"), true);
+  });
+
+  it("echoes an allowed Origin and sends no allow header to other origins", () => {
+    const allowed = resolveCors({ origin: ORIGIN }, OPTIONS);
+    assert.equal(allowed.headers["Access-Control-Allow-Origin"], ORIGIN);
+    const rejected = resolveCors({ origin: "https://evil.example" }, OPTIONS);
+    assert.deepEqual(rejected, { allowed: false, headers: { Vary: "Origin" } });
+  });
+
+  it("lets requests without Origin through without CORS headers", () => {
+    assert.deepEqual(resolveCors({}, OPTIONS), { allowed: true, headers: { Vary: "Origin" } });
+  });
+});
+
+describe("send-email CORS", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("answers preflights from allowed origins with 204 and the allowed methods", async () => {
+    const response = await handleSendEmail(new Request(FUNCTION_URL, { method: "OPTIONS", headers: { origin: ORIGIN } }));
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("access-control-allow-origin"), ORIGIN);
+    assert.match(response.headers.get("access-control-allow-methods"), /POST/);
+    assert.ok(response.headers.get("access-control-max-age"));
+  });
+
+  it("refuses preflights from other origins", async () => {
+    const request = new Request(FUNCTION_URL, { method: "OPTIONS", headers: { origin: "https://evil.example" } });
+    const response = await handleSendEmail(request);
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("accepts posts without Origin header, as servers and curl send them", async () => {
+    const request = jsonRequest(buildSubmission({ message: "Posted from a server-side integration." }));
+    request.headers.delete("origin");
+    const response = await handleSendEmail(request);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("access-control-allow-origin"), null);
+    assert.equal(getCapturedMails().length, 2);
+  });
+});
@@ -0,0 +1,61 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.mjs";
+import { handler as diagnostics } from "../netlify/functions/diagnostics.mjs";
+
+const RATE_LIMIT_POLICIES = process.env.RATE_LIMIT_POLICIES;
+
+/**
+ * Requests the diagnostics report.
+ * @param {Object} [options] - Method and token
+ * @param {string} [options.httpMethod] - HTTP method
+ * @param {string} [options.token] - Bearer token
+ * @returns {Promise<{statusCode: number, body: Object, headers: Object}>} Response with parsed body
+ */
+const getReport = async ({ httpMethod = "GET", token = "diagnostics-token" } = {}) => {
+  const response = await diagnostics({ httpMethod, headers: { authorization: `Bearer ${token}` } });
+  return { ...response, body: JSON.parse(response.body) };
+};
+
+describe("diagnostics function", () => {
+  beforeEach(() => (process.env.DIAGNOSTICS_TOKEN = "diagnostics-token"));
+  afterEach(() => {
+    for (const key of ["DIAGNOSTICS_TOKEN", "RECAPTCHA_SECRET_KEY"]) delete process.env[key];
+    Object.assign(process.env, { CAPTCHA_PROVIDER: "none", RATE_LIMIT_POLICIES });
+  });
+
+  it("refuses requests without the configured token", async () => {
+    assert.equal((await getReport({ token: "wrong" })).statusCode, 401);
+    delete process.env.DIAGNOSTICS_TOKEN;
+    const response = await getReport();
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.body.code, "NOT_CONFIGURED");
+  });
+
+  it("allows only GET", async () => {
+    const response = await getReport({ httpMethod: "POST" });
+    assert.equal(response.statusCode, 405);
+    assert.equal(response.headers.Allow, "GET");
+  });
+
+  it("reports degraded with warnings for memory stores and disabled CAPTCHA", async () => {
+    const { statusCode, body, headers } = await getReport();
+    assert.equal(statusCode, 200);
+    assert.equal(body.status, "degraded");
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(body.checks).map(([name, check]) => [name, check.status])),
+      { environment: "ok", transport: "ok", captcha: "warn", config: "ok", stores: "warn", outbox: "warn" },
+    );
+    assert.equal(headers["Cache-Control"], "no-store");
+    assert.match(headers["Server-Timing"], /stores;dur=/);
+  });
+
+  it("fails with 503 when a check finds an error", async () => {
+    Object.assign(process.env, { CAPTCHA_PROVIDER: "recaptcha", RATE_LIMIT_POLICIES: "{not json" });
+    const { statusCode, body } = await getReport();
+    assert.equal(statusCode, 503);
+    assert.equal(body.status, "error");
+    assert.deepEqual(body.checks.captcha.missing, ["RECAPTCHA_SECRET_KEY"]);
+    assert.equal(body.checks.config.status, "error");
+  });
+});
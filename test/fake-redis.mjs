@@ -0,0 +1,91 @@
+/**
+ * @fileoverview In-process stand-in for the Upstash REST pipeline endpoint
+ * @description Answers the commands stores/redis.mjs sends and rejects malformed arguments like Redis does
+ * @module test/fake-redis
+ */
+
+export const REDIS_URL = "https://redis.test";
+
+/**
+ * Parses integer argument the way Redis does.
+ * @param {*} value - Command argument
+ * @returns {number} Integer
+ * @throws {Error} If the argument is not an integer
+ */
+const toInteger = (value) => {
+  if (value === null || !/^-?\d+$/.test(String(value))) throw new Error("ERR value is not an integer or out of range");
+  return Number(value);
+};
+
+/**
+ * Creates command table over a Map of {value, expiresAt} entries.
+ * @param {Map<string, Object>} data - Keyspace
+ * @returns {Object<string, Function>} Command implementations
+ */
+const createCommands = (data) => {
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key) ?? null;
+  };
+  const set = (key, value, px) => data.set(key, { value, expiresAt: px ? Date.now() + toInteger(px) : null });
+  return {
+    PING: () => "PONG",
+    GET: (key) => read(key)?.value ?? null,
+    SET: (key, value, option, px) => (set(key, value, option === "PX" ? px : null), "OK"),
+    DEL: (key) => Number(data.delete(key)),
+    INCR: (key) => {
+      const entry = read(key);
+      const value = (entry ? toInteger(entry.value) : 0) + 1;
+      data.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+      return value;
+    },
+    PEXPIRE: (key, ms, flag) => {
+      const entry = read(key);
+      const ttl = toInteger(ms);
+      if (!entry || (flag === "NX" && entry.expiresAt)) return 0;
+      entry.expiresAt = Date.now() + ttl;
+      return 1;
+    },
+    // Only the compare-and-set script of stores/redis.mjs is understood
+    EVAL: (script, keyCount, key, expected, next, px) => {
+      if ((read(key)?.value ?? "") !== expected) return 0;
+      set(key, next, toInteger(px) || null);
+      return 1;
+    },
+    SCAN: (cursor, match, pattern) => {
+      const prefix = pattern.replace(/\*$/, "");
+      return ["0", [...data.keys()].filter((key) => key.startsWith(prefix) && read(key))];
+    },
+  };
+};
+
+/**
+ * Runs one command, turning thrown errors into pipeline error items.
+ * @param {Object<string, Function>} commands - Command table
+ * @param {Array} command - Command name and arguments
+ * @returns {{result?: *, error?: string}} Pipeline item
+ */
+const runCommand = (commands, [name, ...args]) => {
+  try {
+    return { result: commands[name](...args) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Replaces global fetch with the fake pipeline endpoint and points the Redis store at it.
+ * @returns {{data: Map<string, Object>, restore: Function}} Keyspace and restore function
+ */
+export const installFakeRedis = () => {
+  const data = new Map();
+  const commands = createCommands(data);
+  const originalFetch = globalThis.fetch;
+  Object.assign(process.env, { UPSTASH_REDIS_REST_URL: REDIS_URL, UPSTASH_REDIS_REST_TOKEN: "test-token" });
+  globalThis.fetch = async (url, init) => {
+    if (String(url) !== `${REDIS_URL}/pipeline`) return originalFetch(url, init);
+    return Response.json(JSON.parse(init.body).map((command) => runCommand(commands, command)));
+  };
+  return { data, restore: () => (globalThis.fetch = originalFetch) };
+};
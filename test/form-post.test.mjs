@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, formRequest, jsonRequest } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+
+/**
+ * Posts fields the way a browser without JavaScript does and returns the redirect target.
+ * @param {Object} fields - Form fields
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<URL>} Location of the 303 response
+ */
+const postForm = async (fields, headers) => {
+  const response = await handleSendEmail(formRequest(fields, headers));
+  assert.equal(response.status, 303);
+  return new URL(response.headers.get("location"), "https://example.com");
+};
+
+describe("plain form posts", () => {
+  beforeEach(() => clearCapturedMails());
+  afterEach(() => {
+    delete process.env.SPAM_TOKEN_SECRET;
+    delete process.env.RECAPTCHA_SECRET_KEY;
+    process.env.CAPTCHA_PROVIDER = "none";
+  });
+
+  it("delivers posts without render token and redirects to the success route with the reference", async () => {
+    process.env.SPAM_TOKEN_SECRET = "render-secret";
+    const location = await postForm(buildSubmission({ message: "Sent from a browser without JavaScript." }));
+    assert.equal(location.pathname, "/form/success");
+    assert.match(location.searchParams.get("reference"), /^[A-Z]+-\d{4}-[0-9A-F]+$/);
+    assert.equal(getCapturedMails().length, 2);
+  });
+
+  it("holds posts without CAPTCHA token for review and says so", async () => {
+    Object.assign(process.env, { CAPTCHA_PROVIDER: "recaptcha", RECAPTCHA_SECRET_KEY: "captcha-secret" });
+    const fields = buildSubmission({ message: "No CAPTCHA widget without JavaScript." });
+    const location = await postForm(fields);
+    assert.equal(location.pathname, "/form/held");
+    assert.equal((await postForm(fields)).pathname, "/form/held");
+    assert.equal(getCapturedMails().length, 0);
+  });
+
+  it("still rejects JSON posts without CAPTCHA token", async () => {
+    Object.assign(process.env, { CAPTCHA_PROVIDER: "recaptcha", RECAPTCHA_SECRET_KEY: "captcha-secret" });
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Script skipped the widget." })));
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "CAPTCHA_FAILED");
+  });
+
+  it("redirects invalid posts to the error route with the error code", async () => {
+    const location = await postForm(buildSubmission({ email: "not-an-address" }));
+    assert.equal(location.pathname, "/form/error");
+    assert.equal(location.searchParams.get("code"), "VALIDATION_FAILED");
+  });
+});
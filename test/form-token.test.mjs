@@ -0,0 +1,38 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ORIGIN } from "./helpers.mjs";
+import { handler } from "../netlify/functions/form-token.mjs";
+
+/**
+ * Calls the form-token function.
+ * @param {string} httpMethod - HTTP method
+ * @param {string} [origin] - Origin header
+ * @returns {Promise<{statusCode: number, body: Object}>} Status and parsed body
+ */
+const requestToken = async (httpMethod, origin = ORIGIN) => {
+  const response = await handler({ httpMethod, headers: { origin } });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+describe("form-token function", () => {
+  it("issues a token on GET", async () => {
+    process.env.SPAM_TOKEN_SECRET = "render-secret";
+    const { statusCode, body } = await requestToken("GET");
+    delete process.env.SPAM_TOKEN_SECRET;
+    assert.equal(statusCode, 200);
+    assert.match(body.token, /^\d+\./);
+  });
+
+  it("answers other methods with METHOD_NOT_ALLOWED", async () => {
+    assert.deepEqual(await requestToken("POST"), {
+      statusCode: 405,
+      body: { error: "Method not allowed", code: "METHOD_NOT_ALLOWED" },
+    });
+  });
+
+  it("answers other origins with ORIGIN_NOT_ALLOWED", async () => {
+    const { statusCode, body } = await requestToken("GET", "https://evil.example");
+    assert.equal(statusCode, 403);
+    assert.equal(body.code, "ORIGIN_NOT_ALLOWED");
+  });
+});
@@ -0,0 +1,51 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+import { getFormSchema } from "../shared/forms.js";
+import { FIELD_ERRORS, validateFields } from "../shared/validation.js";
+
+describe("form schemas", () => {
+  it("default to the contact form and know only their own ids", () => {
+    assert.equal(getFormSchema().id, "contact");
+    assert.equal(getFormSchema("quote").title, "Quote Request");
+    assert.equal(getFormSchema("toString"), null);
+  });
+
+  it("validate fields with per-field error codes", () => {
+    const { values, errors } = validateFields(getFormSchema("quote"), {
+      name: " Ada\r\nBcc: x@example.org ",
+      email: "ada@example.org",
+      budget: "a lot",
+      message: "x".repeat(5001),
+    });
+    assert.deepEqual(errors, {
+      name: FIELD_ERRORS.INVALID_CHARACTERS,
+      budget: FIELD_ERRORS.INVALID_OPTION,
+      message: FIELD_ERRORS.TOO_LONG,
+    });
+    assert.equal(values.company, "");
+  });
+});
+
+describe("send-email with several forms", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("delivers the quote form with its own fields and the form title as subject", async () => {
+    const submission = { ...buildSubmission({ formId: "quote", company: "Engines Ltd" }), budget: "> 20.000 €" };
+    delete submission.subject;
+    const response = await handleSendEmail(jsonRequest(submission));
+    assert.equal(response.status, 200);
+    const [notification] = getCapturedMails();
+    assert.match(notification.subject, /^Quote Request Form: Quote Request from Ada Lovelace/);
+    assert.ok(notification.text.includes("Engines Ltd"));
+  });
+
+  it("rejects unknown form ids", async () => {
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ formId: "newsletter" })));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, "UNKNOWN_FORM");
+    assert.equal(getCapturedMails().length, 0);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Shared setup for the node --test suite
+ * @description Points the functions at the capture transport and memory stores; import before any function module
+ * @module test/helpers
+ */
+
+import { after, before } from "node:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+Object.assign(process.env, {
+  EMAIL_PROVIDER: "capture",
+  FROM_EMAIL: "forms@example.com",
+  TO_EMAIL: "team@example.com",
+  CORS_ALLOWED_ORIGINS: "https://example.com",
+  STORE_BACKEND: "memory",
+  CAPTCHA_PROVIDER: "none",
+  LOG_LEVEL: "error",
+  RATE_LIMIT_POLICIES: JSON.stringify([{ name: "ip", keys: ["ip"], algorithm: "sliding-window", limit: 1000, windowMs: 3600000 }]),
+});
+
+export const ORIGIN = "https://example.com";
+export const FUNCTION_URL = "https://example.com/.netlify/functions/send-email";
+
+/**
+ * Returns a valid contact form submission.
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Form fields
+ */
+export const buildSubmission = (overrides = {}) => ({
+  name: "Ada Lovelace",
+  email: "ada@example.org",
+  subject: "Engine",
+  message: "Please get back to me about the analytical engine.",
+  ...overrides,
+});
+
+/**
+ * Builds JSON POST request from the allowed origin.
+ * @param {Object} body - Request body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Request} Web Request
+ */
+export const jsonRequest = (body, headers = {}) =>
+  new Request(FUNCTION_URL, {
+    method: "POST",
+    headers: { "content-type": "application/json", origin: ORIGIN, ...headers },
+    body: Buffer.from(JSON.stringify(body)),
+  });
+
+/**
+ * Builds urlencoded POST request, as sent by a browser without JavaScript.
+ * @param {Object} fields - Form fields
+ * @param {Object} [headers] - Extra headers
+ * @returns {Request} Web Request
+ */
+export const formRequest = (fields, headers = {}) =>
+  new Request(FUNCTION_URL, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded", origin: ORIGIN, accept: "text/html", ...headers },
+    body: Buffer.from(new URLSearchParams(fields).toString()),
+  });
+
+/**
+ * Builds multipart POST request with files, as sent by the SPA when attachments are selected.
+ * @param {Object} fields - Form fields
+ * @param {Array<{name: string, content: string|Buffer, type?: string}>} files - Files for the attachments field
+ * @returns {Request} Web Request
+ */
+export const multipartRequest = (fields, files) => {
+  const body = new FormData();
+  Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+  files.forEach(({ name, content, type = "application/octet-stream" }) =>
+    body.append("attachments", new Blob([content], { type }), name),
+  );
+  return new Request(FUNCTION_URL, { method: "POST", headers: { origin: ORIGIN }, body });
+};
+
+/**
+ * Points the file store (STORE_DIR) at a temporary directory for the calling test file and removes it afterwards.
+ * Tests select it per namespace, e.g. SUBMISSIONS_STORE=file, to share entries between function handlers.
+ */
+export const useTempStoreDir = () => {
+  let directory;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "formhandling-test-"));
+    process.env.STORE_DIR = directory;
+  });
+  after(() => rm(directory, { recursive: true, force: true }));
+};
+
+/**
+ * Replaces global fetch with a recorder that answers every request with `respond()`.
+ * @param {Function} [respond] - Returns the Response for a call (default: empty JSON object)
+ * @returns {{calls: Array<{url: string, init: Object}>, restore: Function}} Recorded calls and restore function
+ */
+export const recordFetch = (respond = () => Response.json({})) => {
+  const calls = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), init });
+    return respond();
+  };
+  return { calls, restore: () => (globalThis.fetch = originalFetch) };
+};
@@ -0,0 +1,62 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+import { CATALOGS, parseAcceptLanguage, resolveLocale, translate, translateList } from "../shared/i18n.js";
+
+/**
+ * Lists dotted keys of all leaves in a catalog.
+ * @param {Object} node - Catalog or nested section
+ * @param {string} [prefix] - Key of the section
+ * @returns {string[]} Dotted keys
+ */
+const listKeys = (node, prefix = "") =>
+  Object.entries(node).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value) ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`],
+  );
+
+describe("locale resolution", () => {
+  it("orders Accept-Language by quality and matches the base language", () => {
+    assert.deepEqual(parseAcceptLanguage("fr;q=0.5, de-AT, *;q=0.1"), ["de-AT", "fr"]);
+    assert.equal(resolveLocale(["fr", "de_CH"]), "de");
+    assert.equal(resolveLocale([undefined, "pt-BR"]), "en");
+  });
+});
+
+describe("catalog lookup", () => {
+  it("translates with placeholders and falls back to the default catalog", () => {
+    assert.equal(translate("de", "email.confirmation.greeting", { name: "Ada" }), "Hallo Ada!");
+    assert.equal(translate("fr", "email.confirmation.greeting", { name: "Ada" }), "Hi Ada!");
+    assert.ok(translateList("fr", "email.confirmation.nextSteps").length > 0);
+  });
+
+  it("returns the fallback for keys missing in every catalog", () => {
+    assert.equal(translate("de", "missing.key"), "missing.key");
+    assert.equal(translate("de", "missing.key", {}, "Fallback"), "Fallback");
+    assert.deepEqual(translateList("de", "missing.list"), []);
+  });
+
+  it("defines every key of the default catalog in each locale", () => {
+    const expected = listKeys(CATALOGS.en).sort();
+    for (const [locale, catalog] of Object.entries(CATALOGS)) assert.deepEqual(listKeys(catalog).sort(), expected, locale);
+  });
+});
+
+describe("confirmation email locale", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("follows the locale chosen in the form over Accept-Language", async () => {
+    const request = jsonRequest(buildSubmission({ locale: "de" }), { "accept-language": "en-US,en;q=0.9" });
+    assert.equal((await handleSendEmail(request)).status, 200);
+    const confirmation = getCapturedMails()[1];
+    assert.match(confirmation.subject, /^Nachricht erhalten/);
+    assert.ok(confirmation.text.includes("Ada"));
+  });
+
+  it("uses Accept-Language without a chosen locale", async () => {
+    const request = jsonRequest(buildSubmission({ message: "Grüße aus Wien." }), { "accept-language": "de-AT" });
+    await handleSendEmail(request);
+    assert.match(getCapturedMails()[1].subject, /^Nachricht erhalten/);
+  });
+});
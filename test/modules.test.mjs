@@ -0,0 +1,17 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { readdir } from "node:fs/promises";
+import { promisify } from "node:util";
+
+const run = promisify(execFile);
+const SHARED_DIR = new URL("../shared/", import.meta.url);
+
+describe("shared modules", () => {
+  it("load as ES modules without a module type warning", async () => {
+    const files = (await readdir(SHARED_DIR)).filter((file) => file.endsWith(".js"));
+    const imports = files.map((file) => `import ${JSON.stringify(new URL(file, SHARED_DIR).href)};`).join("");
+    const { stderr } = await run(process.execPath, ["--input-type=module", "--eval", imports]);
+    assert.equal(stderr, "");
+  });
+});
@@ -0,0 +1,26 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import "./helpers.mjs";
+import { countJobs, enqueueMail, failJob } from "../netlify/functions/outbox/queue.mjs";
+import { handler as outboxWorker } from "../netlify/functions/outbox-worker.mjs";
+
+afterEach(() => {
+  delete process.env.SUBMISSION_RETENTION_DAYS;
+});
+
+describe("outbox store", () => {
+  it("refuses to run the worker on the memory backend", async () => {
+    const response = await outboxWorker({ headers: {} });
+    assert.equal(response.statusCode, 503);
+  });
+
+  it("expires dead letters with the submission retention", async () => {
+    process.env.SUBMISSION_RETENTION_DAYS = String(50 / (24 * 60 * 60 * 1000));
+    const job = await enqueueMail("retention-test", "notification", { to: "team@example.com", subject: "Hi", text: "Hi" });
+    await failJob(job, new Error("SMTP down"), 1);
+    const { dead } = await countJobs();
+    await sleep(80);
+    assert.equal((await countJobs()).dead, dead - 1);
+  });
+});
@@ -0,0 +1,51 @@
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.mjs";
+import { createStore } from "../netlify/functions/stores/registry.mjs";
+import { checkSlidingWindow } from "../netlify/functions/rate-limit/algorithms.mjs";
+import { checkRateLimit } from "../netlify/functions/rate-limit/limiter.mjs";
+
+const DEFAULT_POLICIES = process.env.RATE_LIMIT_POLICIES;
+const HOUR_MS = 60 * 60 * 1000;
+
+after(() => {
+  process.env.RATE_LIMIT_POLICIES = DEFAULT_POLICIES;
+});
+
+/**
+ * Runs the limiter for a series of requests.
+ * @param {Object[]} contexts - Request contexts
+ * @returns {Promise<boolean[]>} Allowed flag per request
+ */
+const checkAll = async (contexts) => {
+  const allowed = [];
+  for (const context of contexts) allowed.push((await checkRateLimit(context)).allowed);
+  return allowed;
+};
+
+describe("sliding window", () => {
+  it("does not count denied requests", async () => {
+    const store = createStore("rate-limit");
+    const policy = { name: "window-test", limit: 2, windowMs: 1000 };
+    const results = [];
+    for (const now of [0, 10, 100, 110, 120]) results.push((await checkSlidingWindow(store, "k", policy, now)).allowed);
+    assert.deepEqual(results, [true, true, false, false, false]);
+    assert.equal((await checkSlidingWindow(store, "k", policy, 1500)).allowed, true);
+  });
+});
+
+describe("rate limiter", () => {
+  for (const first of [
+    { name: "ip-window", keys: ["ip"], algorithm: "sliding-window", limit: 2, windowMs: HOUR_MS },
+    { name: "ip-bucket", keys: ["ip"], algorithm: "token-bucket", capacity: 2, refillIntervalMs: HOUR_MS },
+  ]) {
+    it(`gives the request back to ${first.algorithm} when a later policy denies it`, async () => {
+      const email = { name: "email-once", keys: ["email"], algorithm: "sliding-window", limit: 1, windowMs: HOUR_MS };
+      process.env.RATE_LIMIT_POLICIES = JSON.stringify([first, email]);
+      const ip = `203.0.113.${first.algorithm.length}`;
+      const blocked = { ip, email: `spam@${first.algorithm}.example`, formId: "contact" };
+      const other = { ip, email: `ada@${first.algorithm}.example`, formId: "contact" };
+      assert.deepEqual(await checkAll([blocked, blocked, blocked, other]), [true, false, false, true]);
+    });
+  }
+});
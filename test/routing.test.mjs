@@ -0,0 +1,27 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.mjs";
+import { resolveRoute } from "../netlify/functions/routing/rules.mjs";
+import { toAddressList } from "../netlify/functions/mail/addresses.mjs";
+
+const formData = { formId: "support", email: "ada@example.org", subject: "Login", message: "It broke.", fields: {} };
+
+describe("routing rules", () => {
+  it("matches form ids like the other list conditions", () => {
+    const rules = [{ name: "support", match: { forms: [" Support "] }, to: "support@example.com" }];
+    assert.deepEqual(resolveRoute(formData, rules).to, ["support@example.com"]);
+  });
+
+  it("falls back to TO_EMAIL when no rule matches", () => {
+    const rules = [{ name: "quotes", match: { forms: ["quote"] }, to: "sales@example.com" }];
+    assert.deepEqual(resolveRoute(formData, rules), { rule: null, to: ["team@example.com"], cc: [], bcc: [], subjectPrefix: "" });
+  });
+});
+
+describe("toAddressList", () => {
+  it("accepts single addresses, comma-separated strings and arrays", () => {
+    assert.deepEqual(toAddressList("a@example.com, b@example.com ,"), ["a@example.com", "b@example.com"]);
+    assert.deepEqual(toAddressList([" c@example.com "]), ["c@example.com"]);
+    assert.deepEqual(toAddressList(undefined), []);
+  });
+});
@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { buildSubmission, jsonRequest, recordFetch } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+
+describe("send-email pipeline", () => {
+  beforeEach(() => clearCapturedMails());
+
+  it("sends notification and confirmation through the capture transport", async () => {
+    const response = await handleSendEmail(jsonRequest(buildSubmission()));
+    const result = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(result.success, true);
+    assert.match(result.reference, /^[A-Z]+-\d{4}-[0-9A-F]+$/);
+    const [notification, confirmation] = getCapturedMails();
+    assert.deepEqual(notification.to, ["team@example.com"]);
+    assert.equal(notification.replyTo, "ada@example.org");
+    assert.ok(notification.subject.includes(result.reference));
+    assert.equal(confirmation.to, "ada@example.org");
+    assert.equal(confirmation.inReplyTo, notification.messageId);
+  });
+
+  it("rejects invalid fields with per-field codes and sends nothing", async () => {
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ email: "not-an-address" })));
+    const result = await response.json();
+    assert.equal(response.status, 422);
+    assert.ok(result.fields.email);
+    assert.equal(getCapturedMails().length, 0);
+  });
+
+  it("rejects requests from other origins", async () => {
+    const response = await handleSendEmail(jsonRequest(buildSubmission(), { origin: "https://evil.example" }));
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, "ORIGIN_NOT_ALLOWED");
+  });
+
+  it("replays the stored response for a repeated idempotency key", async () => {
+    const headers = { "idempotency-key": "retry-1" };
+    const submission = buildSubmission({ message: "Sent twice because the connection dropped." });
+    const first = await handleSendEmail(jsonRequest(submission, headers));
+    const repeat = await handleSendEmail(jsonRequest(submission, headers));
+    assert.equal(repeat.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(await repeat.json(), await first.json());
+    assert.equal(getCapturedMails().length, 2);
+  });
+});
+
+describe("idempotency", () => {
+  let fetchRecorder;
+  beforeEach(() => clearCapturedMails());
+  afterEach(() => {
+    fetchRecorder?.restore();
+    for (const key of ["IDEMPOTENCY_WINDOW_MINUTES", "DOUBLE_OPT_IN", "WEBHOOK_TARGETS"]) delete process.env[key];
+  });
+
+  it("keeps the window of the first request when repeats arrive", async () => {
+    process.env.IDEMPOTENCY_WINDOW_MINUTES = String(150 / 60000);
+    const submit = () => handleSendEmail(jsonRequest(buildSubmission({ message: "Repeated until the window ends." })));
+    await submit();
+    await sleep(100);
+    assert.equal((await submit()).headers.get("idempotent-replayed"), "true");
+    await sleep(100);
+    assert.equal((await submit()).headers.get("idempotent-replayed"), null);
+  });
+
+  it("keeps the key when the request fails after a webhook went out, so a retry sends nothing again", async () => {
+    fetchRecorder = recordFetch();
+    process.env.WEBHOOK_TARGETS = JSON.stringify([{ name: "crm", url: "https://hooks.example.com/forms" }]);
+    process.env.DOUBLE_OPT_IN = "true";
+    const submit = () => handleSendEmail(jsonRequest(buildSubmission({ message: "Fails after the webhook." })));
+    assert.equal((await submit()).status, 500);
+    const repeat = await submit();
+    assert.equal(repeat.status, 500);
+    assert.equal(repeat.headers.get("idempotent-replayed"), "true");
+    assert.equal(fetchRecorder.calls.length, 1);
+  });
+});
@@ -0,0 +1,145 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { BlobsServer } from "@netlify/blobs/server";
+import "./helpers.mjs";
+import { installFakeRedis } from "./fake-redis.mjs";
+import {
+  connectStores,
+  createStore,
+  getStoreBackend,
+  STORE_NAMESPACES,
+} from "../netlify/functions/stores/registry.mjs";
+import { createReference } from "../netlify/functions/submissions/reference.mjs";
+
+const BLOBS_TOKEN = "test-token";
+// The local BlobsServer answers reads without an ETag, so concurrent updates are only atomic on real Netlify Blobs
+const NO_CONDITIONAL_WRITES = { "netlify-blobs": "local BlobsServer sends no ETag on reads" };
+
+/**
+ * Starts local Blobs server and exposes it to @netlify/blobs via NETLIFY_BLOBS_CONTEXT.
+ * @param {string} directory - Storage directory
+ * @returns {Promise<BlobsServer>} Running server
+ */
+const startBlobsServer = async (directory) => {
+  const server = new BlobsServer({ directory, token: BLOBS_TOKEN });
+  const { port } = await server.start();
+  const url = `http://localhost:${port}`;
+  const context = { edgeURL: url, uncachedEdgeURL: url, siteID: "test-site", token: BLOBS_TOKEN };
+  process.env.NETLIFY_BLOBS_CONTEXT = Buffer.from(JSON.stringify(context)).toString("base64");
+  return server;
+};
+
+let directory;
+let blobsServer;
+let redis;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), "formhandling-stores-"));
+  process.env.STORE_DIR = join(directory, "file");
+  blobsServer = await startBlobsServer(join(directory, "blobs"));
+  redis = installFakeRedis();
+});
+
+after(async () => {
+  redis.restore();
+  await blobsServer.stop();
+  await rm(directory, { recursive: true, force: true });
+});
+
+for (const backend of ["memory", "file", "redis", "netlify-blobs"]) {
+  describe(`${backend} store`, () => {
+    const skipConcurrent = NO_CONDITIONAL_WRITES[backend] ?? false;
+    const open = (namespace) => {
+      process.env.STORE_BACKEND = backend;
+      return createStore(namespace);
+    };
+
+    it("sets, gets, lists and deletes values", async () => {
+      const store = open("contract");
+      await store.set("item:a", { n: 1 });
+      await store.set("other", "x");
+      assert.deepEqual(await store.get("item:a"), { n: 1 });
+      assert.deepEqual(await store.list("item:"), ["item:a"]);
+      await store.delete("item:a");
+      assert.equal(await store.get("item:a"), null);
+    });
+
+    it("expires values after their TTL and stops listing them", async () => {
+      const store = open("contract");
+      await store.set("short", 1, 20);
+      await sleep(40);
+      assert.deepEqual(await store.list("short"), []);
+      assert.equal(await store.get("short"), null);
+    });
+
+    it("increments counters with and without TTL", async () => {
+      const store = open("contract");
+      assert.equal(await store.increment("counter:ttl", 60000), 1);
+      assert.equal(await store.increment("counter:ttl", 60000), 2);
+      assert.equal(await store.increment("counter:forever"), 1);
+      assert.equal(await store.increment("counter:forever"), 2);
+    });
+
+    it("updates existing values", async () => {
+      const store = open("contract");
+      await store.set("entry", { n: 1 }, 60000);
+      assert.deepEqual(await store.update("entry", (value) => ({ n: value.n + 1 }), 60000), { n: 2 });
+      assert.deepEqual(await store.get("entry"), { n: 2 });
+    });
+
+    it("takes the TTL of an update from the next value", async () => {
+      const store = open("contract");
+      await store.update("dated", () => ({ ttlMs: 20 }), (value) => value.ttlMs);
+      await sleep(40);
+      assert.equal(await store.get("dated"), null);
+    });
+
+    it("updates values atomically", { skip: skipConcurrent }, async () => {
+      const store = open("contract");
+      await Promise.all([1, 2, 3].map(() => store.update("tally", (value) => (value ?? 0) + 1, 60000)));
+      assert.equal(await store.get("tally"), 3);
+    });
+
+    it("creates consecutive submission references", { skip: backend === "memory" && "random on memory" }, async () => {
+      process.env.STORE_BACKEND = backend;
+      const date = new Date("2031-05-01T00:00:00Z");
+      const first = await createReference(date);
+      const second = await createReference(date);
+      assert.match(first, /^CF-2031-\d{4}$/);
+      assert.equal(Number(second.slice(-4)), Number(first.slice(-4)) + 1);
+    });
+  });
+}
+
+describe("submission references on memory", () => {
+  it("are random, since every instance would count from 1 again", async () => {
+    process.env.STORE_BACKEND = "memory";
+    const date = new Date("2031-05-01T00:00:00Z");
+    const references = await Promise.all([1, 2, 3].map(() => createReference(date)));
+    references.forEach((reference) => assert.match(reference, /^CF-2031-[0-9A-F]{8}$/));
+    assert.equal(new Set(references).size, 3);
+  });
+});
+
+describe("store selection on Netlify", () => {
+  it("defaults every namespace to Netlify Blobs", () => {
+    delete process.env.STORE_BACKEND;
+    assert.deepEqual(STORE_NAMESPACES.map(getStoreBackend), STORE_NAMESPACES.map(() => "netlify-blobs"));
+    assert.doesNotThrow(() => connectStores());
+  });
+
+  it("fails at startup when a namespace is still on memory", () => {
+    process.env.STORE_BACKEND = "netlify-blobs";
+    process.env.IDEMPOTENCY_STORE = "memory";
+    try {
+      assert.throws(() => connectStores(), /not shared.*: idempotency$/);
+      assert.doesNotThrow(() => connectStores(undefined, { requireShared: false }));
+    } finally {
+      delete process.env.IDEMPOTENCY_STORE;
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { useTempStoreDir } from "./helpers.mjs";
+import { handler as submissionsApi } from "../netlify/functions/submissions-api.mjs";
+import { handler as outboxWorker } from "../netlify/functions/outbox-worker.mjs";
+import {
+  getSubmission,
+  saveSubmission,
+  updateDeliveryStatus,
+  updateSubmission,
+  updateWebhookStatus,
+} from "../netlify/functions/submissions/repository.mjs";
+
+const formData = { formId: "contact", email: "ada@example.org", fields: { message: "Hello" } };
+
+/**
+ * Lists submissions through the API with a valid token.
+ * @returns {Promise<Object>} Netlify response object
+ */
+const listSubmissions = () =>
+  submissionsApi({ httpMethod: "GET", headers: { authorization: "Bearer api-token" }, queryStringParameters: {} });
+
+useTempStoreDir();
+
+afterEach(() => {
+  for (const key of ["SUBMISSION_RETENTION_DAYS", "SUBMISSIONS_API_TOKEN", "SUBMISSIONS_STORE", "OUTBOX_STORE"]) {
+    delete process.env[key];
+  }
+});
+
+describe("submission retention", () => {
+  it("keeps the expiry from the save when the submission is updated", async () => {
+    process.env.SUBMISSION_RETENTION_DAYS = String(150 / (24 * 60 * 60 * 1000));
+    const { id } = await saveSubmission(formData, {});
+    await sleep(100);
+    await updateSubmission(id, { note: "seen" });
+    await updateDeliveryStatus(id, "notification", { status: "sent" });
+    await updateWebhookStatus(id, { name: "crm", ok: true });
+    assert.equal((await getSubmission(id)).delivery.notification.status, "sent");
+    await sleep(100);
+    assert.equal(await getSubmission(id), null);
+  });
+
+  it("keeps submissions forever without SUBMISSION_RETENTION_DAYS", async () => {
+    const { id } = await saveSubmission(formData, {});
+    await updateSubmission(id, { note: "seen" });
+    assert.equal((await getSubmission(id)).note, "seen");
+  });
+});
+
+describe("submissions in other function instances", () => {
+  it("refuses the API on memory, which only holds this instance's submissions", async () => {
+    process.env.SUBMISSIONS_API_TOKEN = "api-token";
+    const response = await listSubmissions();
+    assert.equal(response.statusCode, 503);
+    assert.equal(JSON.parse(response.body).code, "NOT_CONFIGURED");
+  });
+
+  it("lists submissions from a shared store", async () => {
+    Object.assign(process.env, { SUBMISSIONS_API_TOKEN: "api-token", SUBMISSIONS_STORE: "file" });
+    const { id } = await saveSubmission(formData, {});
+    const response = await listSubmissions();
+    assert.equal(response.statusCode, 200);
+    assert.ok(response.body.includes(id));
+  });
+
+  it("refuses the outbox-worker while submissions are on memory", async () => {
+    process.env.OUTBOX_STORE = "file";
+    const response = await outboxWorker({ headers: {} });
+    assert.equal(response.statusCode, 503);
+    assert.match(JSON.parse(response.body).error, /submissions$/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, html, raw, text } from "../netlify/functions/templates/engine.mjs";
+import { button, infoRow } from "../netlify/functions/templates/partials.mjs";
+import { buildNotificationEmail, buildNotificationText } from "../netlify/functions/templates/notification.mjs";
+
+const SCRIPT = `<script>alert("x")</script>`;
+
+describe("template engine", () => {
+  it("escapes every interpolation unless it is marked safe", () => {
+    assert.equal(escapeHtml(`<a href='x'>&"`), "&lt;a href=&#39;x&#39;&gt;&amp;&quot;");
+    assert.equal(String(html`<p>${SCRIPT}</p>`), "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>");
+    assert.equal(String(html`<p>${raw("<b>ok</b>")}</p>`), "<p><b>ok</b></p>");
+  });
+
+  it("nests fragments without escaping them twice and drops empty values", () => {
+    const items = ["a&b", html`<i>c</i>`];
+    assert.equal(String(html`<ul>${items}</ul>${null}${false}${undefined}`), "<ul>a&amp;b<i>c</i></ul>");
+  });
+
+  it("joins plain-text lines without null or false entries", () => {
+    assert.equal(text(["Hello", null, "", false, "Bye"]), "Hello\n\nBye");
+  });
+});
+
+describe("template partials", () => {
+  it("escape labels, values and links", () => {
+    const row = String(infoRow("Name", SCRIPT));
+    assert.ok(row.includes("&lt;script&gt;") && !row.includes(SCRIPT));
+    const link = String(button(`https://example.com/?a=1&b="2"`, "<Go>", true));
+    assert.ok(link.includes(`href="https://example.com/?a=1&amp;b=&quot;2&quot;"`));
+    assert.ok(link.includes("&lt;Go&gt;") && link.includes(`target="_blank"`));
+  });
+});
+
+describe("notification email", () => {
+  const details = [{ label: "Company", value: "<Engines & Co>" }];
+
+  it("escapes submitted values in the HTML body", () => {
+    const body = buildNotificationEmail(SCRIPT, "ada@example.org", "Hi", `${SCRIPT}\nline two`, details);
+    assert.ok(!body.includes(SCRIPT));
+    assert.ok(body.includes("&lt;Engines &amp; Co&gt;"));
+  });
+
+  it("keeps the plain-text alternative unescaped", () => {
+    const body = buildNotificationText("Ada", "ada@example.org", "Hi", "a < b & c", details);
+    assert.ok(body.includes("Company: <Engines & Co>"));
+    assert.ok(body.includes("a < b & c"));
+  });
+});
@@ -0,0 +1,45 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { recordFetch } from "./helpers.mjs";
+import { createPostmarkTransport } from "../netlify/functions/transports/postmark.mjs";
+import { createSendgridTransport } from "../netlify/functions/transports/sendgrid.mjs";
+import { createResendTransport } from "../netlify/functions/transports/resend.mjs";
+import { createMailgunTransport } from "../netlify/functions/transports/mailgun.mjs";
+
+const TRANSPORTS = {
+  postmark: createPostmarkTransport,
+  sendgrid: createSendgridTransport,
+  resend: createResendTransport,
+  mailgun: createMailgunTransport,
+};
+
+const mailOptions = {
+  from: "Contact Form <forms@example.com>",
+  to: "team@example.com",
+  replyTo: "Ada Lovelace <ada@example.org>",
+  subject: "Hello",
+  text: "Hello",
+};
+
+let fetchRecorder;
+
+afterEach(() => fetchRecorder?.restore());
+
+describe("HTTP API transports", () => {
+  for (const [name, createTransport] of Object.entries(TRANSPORTS)) {
+    it(`gives up on ${name} requests that hang`, async () => {
+      fetchRecorder = recordFetch();
+      await createTransport().sendMail(mailOptions);
+      assert.ok(fetchRecorder.calls[0].init.signal instanceof AbortSignal);
+    });
+  }
+
+  it("sends SendGrid addresses with display names as separate email and name", async () => {
+    fetchRecorder = recordFetch();
+    await createSendgridTransport().sendMail(mailOptions);
+    const payload = JSON.parse(fetchRecorder.calls[0].init.body);
+    assert.deepEqual(payload.from, { email: "forms@example.com", name: "Contact Form" });
+    assert.deepEqual(payload.reply_to, { email: "ada@example.org", name: "Ada Lovelace" });
+    assert.deepEqual(payload.personalizations[0].to, [{ email: "team@example.com" }]);
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest, ORIGIN, useTempStoreDir } from "./helpers.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { handler as verifyEmail } from "../netlify/functions/verify-email.mjs";
+import { clearCapturedMails, getCapturedMails } from "../netlify/functions/transports/capture.mjs";
+
+/**
+ * Redeems verification token the way the SPA's /verify-email page does.
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} Netlify response object
+ */
+const postToken = (token) =>
+  verifyEmail({ httpMethod: "POST", headers: { origin: ORIGIN }, body: JSON.stringify({ token }) });
+
+/**
+ * Reads token from the verification link in the captured confirmation email.
+ * @returns {string} Token
+ */
+const readMailedToken = () => {
+  const [mail] = getCapturedMails();
+  return decodeURIComponent(mail.text.match(/verify-email\?token=([^\s&"<]+)/)[1]);
+};
+
+useTempStoreDir();
+
+describe("double opt-in", () => {
+  beforeEach(() => {
+    clearCapturedMails();
+    Object.assign(process.env, { DOUBLE_OPT_IN: "true", VERIFICATION_SECRET: "link-secret" });
+  });
+  afterEach(() => {
+    for (const key of ["DOUBLE_OPT_IN", "VERIFICATION_SECRET", "SUBMISSIONS_STORE", "OUTBOX_STORE"]) delete process.env[key];
+  });
+
+  it("delivers the held notification after the link is redeemed through the shared store", async () => {
+    Object.assign(process.env, { SUBMISSIONS_STORE: "file", OUTBOX_STORE: "file" });
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Please verify me first." })));
+    assert.equal(response.status, 202);
+    assert.equal((await response.json()).verificationRequired, true);
+    assert.deepEqual(getCapturedMails().map((mail) => String(mail.to)), ["ada@example.org"]);
+
+    const verified = await postToken(readMailedToken());
+    assert.equal(verified.statusCode, 200);
+    assert.equal(JSON.parse(verified.body).status, "verified");
+    assert.deepEqual(getCapturedMails().map((mail) => String(mail.to)), ["ada@example.org", "team@example.com"]);
+  });
+
+  it("refuses to start on the memory backend, where verify-email cannot see the submission", async () => {
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Memory cannot verify this." })));
+    assert.equal(response.status, 500);
+    assert.equal(getCapturedMails().length, 0);
+    const verified = await postToken("anything");
+    assert.equal(verified.statusCode, 503);
+    assert.equal(JSON.parse(verified.body).code, "NOT_CONFIGURED");
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSubmission, jsonRequest } from "./helpers.mjs";
+import { buildSubmissionEvent, buildWebhookPayload } from "../netlify/functions/webhooks/payloads.mjs";
+import { startEchoServer } from "../netlify/functions/webhooks/echo-server.mjs";
+import { handleSendEmail } from "../netlify/functions/core/send-email.mjs";
+import { listDueJobs } from "../netlify/functions/outbox/queue.mjs";
+import { deliverJob } from "../netlify/functions/outbox/delivery.mjs";
+import { getSubmission } from "../netlify/functions/submissions/repository.mjs";
+
+const submission = {
+  id: "3f1c9a2e-5d7b-4e8a-9c0d-1b2a3c4d5e6f",
+  reference: "CF-2026-0042",
+  createdAt: "2026-10-19T08:00:00.000Z",
+  fields: { name: "Ada", email: "ada@example.org", subject: "Engine", message: "Hello", company: "Analytical" },
+  attachments: [],
+  spamScore: 0,
+};
+const formData = { formId: "contact", formTitle: "Contact", ...submission.fields };
+
+describe("webhook payloads", () => {
+  it("shows the submission reference, not the internal id, in chat facts", () => {
+    const event = buildSubmissionEvent(submission, formData);
+    const [section] = buildWebhookPayload({ format: "teams" }, event).sections;
+    assert.deepEqual(section.facts.at(-1), { name: "Reference", value: "CF-2026-0042" });
+    assert.ok(section.facts.every((fact) => fact.value !== submission.id));
+  });
+});
+
+describe("webhook delivery", () => {
+  let receiver;
+  afterEach(async () => {
+    await receiver?.close();
+    delete process.env.WEBHOOK_TARGETS;
+  });
+
+  /**
+   * Points WEBHOOK_TARGETS at the echo server.
+   * @param {Object} [options] - Target options
+   */
+  const useReceiver = (options = {}) => {
+    process.env.WEBHOOK_TARGETS = JSON.stringify([{ name: "echo", url: `${receiver.url}/hook`, ...options }]);
+  };
+
+  it("posts the event within the request", async () => {
+    receiver = await startEchoServer();
+    useReceiver();
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Webhook happy path message." })));
+    const { reference } = await response.json();
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(receiver.requests[0].body.reference, reference);
+  });
+
+  it("answers without waiting for a slow target and retries it from the outbox", async () => {
+    receiver = await startEchoServer({ delayMs: 4000 });
+    useReceiver({ timeoutMs: 10000, retries: 1 });
+    const started = Date.now();
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Webhook slow target message." })));
+    assert.ok(Date.now() - started < 3800, "request waited for the webhook");
+    assert.equal(response.status, 200);
+    const { submissionId } = await response.json();
+    const [job] = await listDueJobs(Date.now() + 60 * 60 * 1000);
+    assert.deepEqual([job.kind, job.target, job.submissionId], ["webhook", "echo", submissionId]);
+    assert.equal(JSON.stringify(job).includes(receiver.url), false);
+    assert.equal((await deliverJob(job)).status, "sent");
+    const { webhooks } = await getSubmission(submissionId);
+    assert.deepEqual(webhooks.map(({ name, ok, attempts }) => ({ name, ok, attempts })), [{ name: "echo", ok: true, attempts: 2 }]);
+  });
+
+  it("dead-letters a webhook job once the target's retries are used up", async () => {
+    receiver = await startEchoServer({ failTimes: 10 });
+    useReceiver({ retries: 1 });
+    const response = await handleSendEmail(jsonRequest(buildSubmission({ message: "Webhook failing target message." })));
+    const { submissionId } = await response.json();
+    const jobs = await listDueJobs(Date.now() + 60 * 60 * 1000);
+    const job = jobs.find((candidate) => candidate.submissionId === submissionId);
+    assert.equal((await deliverJob(job)).status, "failed");
+    const [result] = (await getSubmission(submissionId)).webhooks;
+    assert.deepEqual([result.ok, result.attempts, result.nextAttemptAt], [false, 2, undefined]);
+    assert.equal(receiver.requests.length, 2);
+  });
+});